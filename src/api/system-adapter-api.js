@@ -35,8 +35,19 @@
  * @memberof InspectStatblockAPI.SystemAdapter#
  * @param {Actor} actor - The actor document.
  * @param {TokenDocument | undefined} [token] - The linked token document, if any.
- * @param {object} hiddenElements - The current hiddenElements flag state for this actor.
+ * @param {object} hiddenElements - The current hiddenElements flag state for this actor, already resolved
+ *                                  for the viewing user by the core (per-user audiences applied).
+ *                                  Only overrides are present; missing keys follow getDefaultHiddenState.
  * @param {boolean} isGM - Whether the current user is a Game Master.
+ * @param {object} [options={}]
+ * @param {object} [options.visibilityDefaults] - Default visibility settings (settingKey -> shown) to use
+ *                                                instead of the stored ones. Passed by the preview of the
+ *                                                default visibility menu.
+ * @param {object} [options.placeholderSettings] - Placeholder styles (sectionId -> { style, text }) to use
+ *                                                 instead of the stored ones. Passed by the same preview.
+ * @param {object} [options.revealLevels] - elementKey -> partial reveal level (see getRevealLevels). A level only
+ *                                          applies while the element is hidden; the player then sees the
+ *                                          element as described by that level instead of a placeholder.
  * @returns {Promise<SIDS.StandardizedStatblockData>} A promise that resolves to the SIDS object.
  */
 
@@ -51,6 +62,45 @@
  *   and values are their definitions.
  */
 
+/**
+ * (Optional) The categories the default visibility configuration groups the section definitions by,
+ * in display order. Sections without a known category are listed in a trailing "Other" group.
+ * @function getSectionCategories
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @returns {Record<string, {name: string, icon?: string, hint?: string}>}
+ *   Category IDs mapped to their display name (can be a localization key), Font Awesome icon classes and description.
+ */
+
+/**
+ * (Optional) Sections with their own placeholder style for hidden values, e.g. header, AC, abilities.
+ * The default visibility configuration lists them under their category. Adapters render
+ * InspectStatblockCore.getPlaceholder(sectionId) in place of hidden values and leave the element
+ * out when the placeholder has `omit` set.
+ * @function getPlaceholderSections
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @returns {Record<string, {name: string, category?: string}>} Section IDs mapped to their display name
+ *   (can be a localization key) and category (see getSectionCategories).
+ */
+
+/**
+ * (Optional) Source data of an example creature for the preview of the default visibility menu,
+ * used when the GM has not picked a world actor. Core builds a temporary (unsaved) actor from it.
+ * @function getPreviewActorData
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @returns {object} Actor source data.
+ */
+
+/**
+ * (Optional) The ordered reveal levels of an element, from hidden to fully revealed, e.g.
+ * ['Hidden', 'Name Only', 'Revealed']. Right-clicking an element with more than two levels cycles
+ * through them; the levels in between are passed back in getStandardizedActorData's `options.revealLevels`.
+ * Elements without partial levels return null.
+ * @function getRevealLevels
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @param {string} elementKey - The element key.
+ * @returns {string[]|null} Level labels (can be localization keys).
+ */
+
 /**
  * Gets all possible toggleable element keys for the given actor and SIDS data.
  * Used by core for "Show All" and "Hide All" functionality.
@@ -73,12 +123,163 @@
 
 /**
  * Gets the default ability keys for this system (e.g., ['str', 'dex', 'con', 'int', 'wis', 'cha'] for D&D 5e).
- * Used by core for initializing ability-related visibility flags.
+ * Used when listing the toggleable ability keys of an actor.
  * @function getDefaultAbilityKeys
  * @memberof InspectStatblockAPI.SystemAdapter#
  * @returns {Array<string>} Array of ability key strings.
  */
 
+/**
+ * Whether an element is hidden when no GM override is stored for it.
+ * The hiddenElements flag only holds overrides, so core and handler resolve every other element through this.
+ * Defaults depend on the creature when default visibility rules are configured.
+ * @function getDefaultHiddenState
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @param {string} elementKey - The element key.
+ * @param {Actor|null} [actor=null] - The actor, to apply matching default visibility rules.
+ * @param {TokenDocument|null} [tokenDoc=null] - The actor's token, if any.
+ * @returns {boolean} True if the element is hidden by default.
+ */
+
+/**
+ * (Optional) Describes the creature attributes default visibility rules can match on. Rules are
+ * only editable when implemented.
+ * @function getRuleAttributeDefinitions
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @returns {Array<{key: string, label: string, type: 'choice'|'number', choices?: Object<string, string>}>}
+ */
+
+/**
+ * (Optional) Gets the attributes of a creature that default visibility rules are matched against,
+ * keyed like getRuleAttributeDefinitions. Adapters resolve their defaults through
+ * InspectStatblockCore.getDefaultVisibilitySettings(actor, tokenDoc) to apply the rules.
+ * @function getRuleAttributes
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @param {Actor} actor - The actor document.
+ * @param {TokenDocument|null} [tokenDoc=null] - The actor's token, if any.
+ * @returns {object} attribute -> value; null for attributes the creature has no value for.
+ */
+
+/**
+ * (Optional) Describes the auto-reveal triggers the handler fires, listed in the auto-reveal rule editor.
+ * The handler fires a trigger by passing an event to InspectStatblockCore.getTriggeredRevealKeys and
+ * revealing the returned keys.
+ * @function getRevealTriggerDefinitions
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @returns {Array<{key: string, label: string, type?: string, valueLabel?: string, choices?: object, compare?: string, relatedLabel?: string}>}
+ *   Triggers with a `type` ('choice' or 'number') take a value in rules. Number values are compared with the
+ *   event's value as given by `compare` ('below' or 'atLeast'); events with a `previousValue` only match when
+ *   it did not, so a threshold fires once when crossed. Other values must be among the event's values.
+ *   `relatedLabel` describes the elements the event names as related (e.g. the resistance to the damage type taken).
+ */
+
+/**
+ * (Optional) Gets the built-in auto-reveal rules of the system. GMs can switch them on or off but not edit them.
+ * @function getBuiltInRevealRules
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @returns {object[]} Rules as stored by the core (see reveal-rules.js), with a fixed `id`, a `name` (can be a
+ *   localization key) and `defaultEnabled`.
+ */
+
+/**
+ * (Optional) Gets the element keys a section covers, for auto-reveal rules revealing whole sections.
+ * Core falls back to the section's keyPattern, or every key starting with it for groups.
+ * @function getSectionElementKeys
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @param {string} sectionId - ID of the section in getSystemSectionDefinitions.
+ * @param {Actor} actor - The actor document.
+ * @param {string[]} toggleableKeys - Every toggleable element key of the actor.
+ * @returns {string[]|Promise<string[]>}
+ */
+
+/**
+ * (Optional) Gets a readable label of an element key, e.g. a feature's name, for the reveal history
+ * and the auto-reveal approval queue. Core shows the element key when not implemented.
+ * @function getElementLabel
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @param {Actor} actor - The actor document the key belongs to.
+ * @param {string} elementKey - The element key.
+ * @returns {string}
+ */
+
+/**
+ * (Optional) Gets the key identifying the creature source of an actor (e.g. its compendium entry).
+ * Actors with the same source share creature knowledge. Core falls back to the compendium source.
+ * @function getKnowledgeSourceKey
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @param {Actor} actor - The actor document.
+ * @returns {string|null} The source key, or null if the actor has no known source.
+ */
+
+/**
+ * (Optional) Converts an element key into a portable key that matches across different actors
+ * of the same creature, e.g. by replacing embedded document IDs with identifiers or names.
+ * Core uses element keys unchanged when not implemented.
+ * @function getPortableElementKey
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @param {Actor} actor - The actor document the key belongs to.
+ * @param {string} elementKey - The element key.
+ * @returns {string|null} The portable key, or null if it cannot be made portable.
+ */
+
+/**
+ * (Optional) Resolves a portable key back into an element key of the given actor.
+ * @function resolvePortableElementKey
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @param {Actor} actor - The actor document.
+ * @param {string} portableKey - A key produced by getPortableElementKey.
+ * @returns {string|null} The element key, or null if the actor has no matching element.
+ */
+
+/**
+ * (Optional) Upgrades element keys written by older versions of the module (or of the adapter)
+ * to the current key format. Called by the core migration runner for every actor and token with flags.
+ * @function migrateElementKeys
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @param {object} hiddenElements - A copy of the stored hiddenElements flag.
+ * @param {Actor|null} actor - The actor the flags belong to.
+ * @returns {object} The upgraded hiddenElements map.
+ */
+
+/**
+ * (Optional) Upgrades legacy entries of the default visibility settings. Called once per world by
+ * the core migration runner, before any actor or token is migrated.
+ * @function migrateDefaultVisibilitySettings
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @returns {Promise<boolean>} True if the settings were changed.
+ */
+
+/**
+ * (Optional) Gets the knowledge check players can roll to learn about an actor.
+ * When present and returning a check, players get a "Recall Knowledge" button on the statblock window.
+ * @function getKnowledgeCheck
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @param {Actor} actor - The actor document being inspected.
+ * @returns {object|null} The system-specific check description, or null if no check applies.
+ */
+
+/**
+ * (Optional) Rolls the knowledge check for an actor as the current user.
+ * The handler is responsible for revealing elements once the roll is resolved.
+ * @function rollKnowledgeCheck
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @param {Actor} actor - The actor document being inspected.
+ * @param {Token|null} token - The inspected token, if any.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * (Optional) Performs an action the handler requested through InspectStatblockCore.requestHandlerAction.
+ * Called on the active GM only, so the handler can write its own flags for actions that start on a
+ * player's client (e.g. a roll workflow).
+ * @function handleSocketAction
+ * @memberof InspectStatblockAPI.SystemAdapter#
+ * @param {string} name - Name of the action.
+ * @param {object} data - Data of the action, as sent.
+ * @param {string} userId - ID of the requesting user.
+ * @returns {Promise<boolean>} True if the action was performed.
+ */
+
 /**
  * @typedef {Object} SystemSectionDefinition
  * @memberof InspectStatblockAPI
@@ -97,6 +298,10 @@
  * @property {string} [defaultShowSettingKey] - The module setting key (scoped to the adapter module)
  *                                             that determines the default visibility for this section.
  *                                             e.g., "myadapter-defaultShowSection-abilities".
+ *                                             Every distinct key gets a chip in the default visibility configuration.
+ * @property {string} [category] - ID of the category (see getSectionCategories) the setting is listed under
+ *                                 in the default visibility configuration.
+ * @property {string} [hint] - Tooltip of the setting in the default visibility configuration. Can be a localization key.
  */
 
 /**
@@ -2,10 +2,25 @@
 import { renderStatblockFromSIDS } from './renderer.js';
 import { systemRegistry } from './system-registry.js';
 import { registerCoreSettings } from './settings.js'; // Import settings registration
+import { AUDIENCE_FLAG, REVEAL_LEVEL_FLAG, resolveHiddenElementsForUser, getAudienceNames, getAudienceCandidates, isElementHidden, getRevealLevels, getRevealLevel } from './visibility.js';
+import { queueVisibilityUpdate, flushVisibilityUpdates, getPendingHiddenElements, getPendingRevealLevels } from './flag-updates.js';
+import { STORAGE_MODES, getStorageMode, mergeFlagLayers, getTokenFlagDocuments } from './storage.js';
+import { applyCreatureKnowledge, recordCreatureKnowledge } from './bestiary.js';
+import { registerSocket, requestHiddenElementsUpdate, requestHandlerAction, sendRevealRequest } from './socket.js';
+import { runMigrations } from './migrations.js';
+import { BUILTIN_PRESETS, applyVisibilityPreset, promptVisibilityPreset } from './presets.js';
+import { buildVisibilityEntry, downloadVisibilityExport, promptVisibilityImport, findVisibilityEntry, applyVisibilityEntry } from './transfer.js';
+import { getDefaultVisibilitySettings } from './visibility-rules.js';
+import { getPlaceholder } from './placeholders.js';
+import { getTriggeredRevealKeys } from './reveal-rules.js';
+import { RevealRulesConfigApp } from './reveal-rules-config.js';
+import { getRevealHistory, getRevealHistoryLength, getHistorySourceLabel, undoRevealHistory } from './reveal-history.js';
+import { areRevealRequestsEnabled } from './reveal-requests.js';
 
 const MODULE_ID = 'inspect-statblock';
 const APP_ID = 'inspect-statblock-window'; // For Application ID
 const HUD_BUTTON_ID = 'inspect-statblock-hud-button';
+const PLAYER_PREVIEW_ANY = 'any-player'; // previewAs value for a generic, non-specific player
 
 const systemTemplateRegistry = {};
 
@@ -59,6 +74,79 @@ export const InspectStatblockCore = {
      */
     getSystemHandler: function(systemId) {
         return systemRegistry.getHandler(systemId);
+    },
+
+    /**
+     * Records revealed (or re-hidden) elements of an actor into the shared knowledge of its creature source.
+     * Used by system handlers when they reveal elements automatically.
+     * @param {Actor} actor - The actor whose elements changed.
+     * @param {object} changes - elementKey -> true if revealed, false if hidden again.
+     * @returns {Promise<boolean>} True if the knowledge store was updated.
+     */
+    recordCreatureKnowledge: function(actor, changes) {
+        return recordCreatureKnowledge(actor, changes);
+    },
+
+    /**
+     * Applies the shared knowledge of an actor's creature source on top of a hiddenElements map.
+     * @param {Actor} actor - The actor document.
+     * @param {object} hiddenElements - The stored hiddenElements flag.
+     * @returns {object} A new hiddenElements map in which known elements are visible.
+     */
+    applyCreatureKnowledge: function(actor, hiddenElements) {
+        return applyCreatureKnowledge(actor, hiddenElements);
+    },
+
+    /**
+     * Requests a visibility change on an Actor or TokenDocument. Performed by the active GM,
+     * so system handlers can call it from any client (e.g. for auto-reveals triggered by players).
+     * @param {object} request - See requestHiddenElementsUpdate in socket.js.
+     * @returns {Promise<boolean>} True if the change was performed or forwarded to the GM.
+     */
+    requestHiddenElementsUpdate: function(request) {
+        return requestHiddenElementsUpdate(request);
+    },
+
+    /**
+     * Requests an action of the system handler to be performed by the active GM (see the handler's
+     * handleSocketAction), so handlers can write their own flags from any client.
+     * @param {string} name - Name of the action.
+     * @param {object} [data={}] - Serializable data of the action.
+     * @returns {Promise<boolean>} True if the action was performed or forwarded to the GM.
+     */
+    requestHandlerAction: function(name, data = {}) {
+        return requestHandlerAction(name, data);
+    },
+
+    /**
+     * Gets the default visibility settings of a creature: the global defaults with the matching
+     * default visibility rules applied.
+     * @param {Actor|null} [actor=null] - The actor document.
+     * @param {TokenDocument|null} [tokenDoc=null] - The creature's token, if any.
+     * @returns {object} settingKey -> true if shown by default.
+     */
+    getDefaultVisibilitySettings: function(actor = null, tokenDoc = null) {
+        return getDefaultVisibilitySettings(actor, tokenDoc);
+    },
+
+    /**
+     * Gets the placeholder players see in place of a hidden value of a section.
+     * @param {string} sectionId - The placeholder section (see the handler's getPlaceholderSections).
+     * @param {object|null} [settings=null] - Placeholder styles to use instead of the stored ones.
+     * @returns {{style: string, text: string, html: Handlebars.SafeString, omit: boolean}} See getPlaceholder in placeholders.js.
+     */
+    getPlaceholder: function(sectionId, settings = null) {
+        return getPlaceholder(sectionId, settings);
+    },
+
+    /**
+     * Gets the elements the auto-reveal rules reveal for a trigger event (see the handler's
+     * getRevealTriggerDefinitions). The handler fires its triggers and reveals the returned keys.
+     * @param {object} event - See getTriggeredRevealKeys in reveal-rules.js.
+     * @returns {Promise<string[]>} Element keys to reveal.
+     */
+    getTriggeredRevealKeys: function(event) {
+        return getTriggeredRevealKeys(event);
     }
 };
 
@@ -86,11 +174,19 @@ async function registerSystemTemplates() {
  * Main Application class for the Inspect Statblock window.
  */
 class InspectStatblockApp extends Application {
+    /**
+     * @param {Actor} actor - The actor shown.
+     * @param {Token|null} token - Its token on the canvas, if any.
+     * @param {object} [options={}] - Application options. `tokenDocument` gives the token document of a
+     *   token without a placeable, e.g. one on another scene.
+     */
     constructor(actor, token, options = {}) {
         super(options);
         this.actor = actor;
         this.token = token;
-        this.tokenId = token?.id;
+        // The token document holds the flags of the token, also when it has no placeable on the viewed scene
+        this.tokenDocument = token?.document ?? options.tokenDocument ?? null;
+        this.tokenId = token?.id ?? this.tokenDocument?.id;
         
         // TODO inspect-statblock: Debug logging for auto-opening bug investigation
         console.log(`${MODULE_ID} | [DEBUG] Creating InspectStatblockApp:`, {
@@ -104,10 +200,54 @@ class InspectStatblockApp extends Application {
         // Determine the base actor for flag storage
         // If token is linked (actorLink is true), use the base actor
         // If token is not linked, use the token's actor instance
-        this.baseActor = this._getBaseActorForFlags(actor, token);
+        this.baseActor = this._getBaseActorForFlags(actor, this.tokenDocument);
+        // Hybrid mode: the token document holds overrides on top of the base actor's flags
+        this.tokenLayerDoc = getStorageMode() === STORAGE_MODES.HYBRID ? this.tokenDocument : null;
         
-        this.hiddenElements = this.baseActor?.getFlag(MODULE_ID, 'hiddenElements') || {};
+        const layers = this._readFlagLayers();
+        this.hiddenElements = layers.hiddenElements;
+        this.elementAudiences = layers.elementAudiences;
+        this.revealLevels = layers.revealLevels;
+        this.flagSources = layers.sources;
         this._handleActorUpdateBound = this._handleActorUpdate.bind(this);
+        this._handleTokenUpdateBound = this._handleTokenUpdate.bind(this);
+
+        // GM-only "preview as player" state. null when off, otherwise PLAYER_PREVIEW_ANY or a User ID.
+        this.previewAs = null;
+        // Whether the GM's reveal history panel is expanded, kept across re-renders
+        this.historyExpanded = false;
+        // Players: reveal levels as of the last render, and the elements revealed since then
+        this._viewerRevealLevels = null;
+        this.newlyRevealed = [];
+    }
+
+    /**
+     * Whether the statblock should be rendered with GM privileges.
+     * False for players, and for GMs while previewing the window as a player.
+     * @returns {boolean}
+     */
+    _isViewerGM() {
+        return game.user.isGM && !this.previewAs;
+    }
+
+    /**
+     * The user the statblock is currently rendered for: the previewed player if set, otherwise the current user.
+     * @returns {User|null} The viewing user, or null when previewing as a generic player.
+     */
+    _getViewingUser() {
+        if (!this.previewAs) return game.user;
+        if (this.previewAs === PLAYER_PREVIEW_ANY) return null;
+        return game.users.get(this.previewAs) ?? null;
+    }
+
+    /**
+     * The hiddenElements map as seen by the viewing user.
+     * GMs see the stored flags; players (and previews) get elements revealed to them through their audience.
+     * @returns {object} elementKey -> true if hidden for the viewer.
+     */
+    _getViewerHiddenElements() {
+        if (this._isViewerGM()) return this.hiddenElements || {};
+        return resolveHiddenElementsForUser(this.hiddenElements, this.elementAudiences, this._getViewingUser());
     }
 
     // Preserve & restore scroll position across re-renders
@@ -138,29 +278,60 @@ class InspectStatblockApp extends Application {
         return result;
     }
 
+    /**
+     * Reads the stored visibility flags, merging the token overrides over the base actor in hybrid mode.
+     * @returns {{hiddenElements: object, elementAudiences: object, revealLevels: object, sources: object}} The merged
+     *   maps, and elementKey -> 'token' | 'actor' for every stored hiddenElements entry.
+     * @private
+     */
+    _readFlagLayers() {
+        const hidden = mergeFlagLayers(
+            this.baseActor?.getFlag(MODULE_ID, 'hiddenElements'),
+            this.tokenLayerDoc?.getFlag(MODULE_ID, 'hiddenElements')
+        );
+        const audiences = mergeFlagLayers(
+            this.baseActor?.getFlag(MODULE_ID, AUDIENCE_FLAG),
+            this.tokenLayerDoc?.getFlag(MODULE_ID, AUDIENCE_FLAG)
+        );
+        const revealLevels = mergeFlagLayers(
+            this.baseActor?.getFlag(MODULE_ID, REVEAL_LEVEL_FLAG),
+            this.tokenLayerDoc?.getFlag(MODULE_ID, REVEAL_LEVEL_FLAG)
+        );
+        return { hiddenElements: hidden.values, elementAudiences: audiences.values, revealLevels: revealLevels.values, sources: hidden.sources };
+    }
+
+    /**
+     * The document GM changes made in this window are written to: the token in hybrid mode, the base actor otherwise.
+     * @returns {Actor|TokenDocument}
+     * @private
+     */
+    _getFlagWriteTarget() {
+        return this.tokenLayerDoc ?? this.baseActor;
+    }
+
     /**
      * Determines which actor to use for flag storage.
      * Checks the flagStorageMode setting to determine whether to use shared (per-actor) 
-     * or individual (per-token) flag storage.
+     * or individual (per-token) flag storage. In hybrid mode the base actor holds the baseline.
      * @param {Actor} actor - The actor instance
-     * @param {Token} token - The token instance
+     * @param {TokenDocument|null} tokenDoc - The token document
      * @returns {Actor} The actor to use for flag storage
      * @private
      */
-    _getBaseActorForFlags(actor, token) {
-        const flagStorageMode = game.settings.get(MODULE_ID, 'flagStorageMode');
+    _getBaseActorForFlags(actor, tokenDoc) {
+        const flagStorageMode = getStorageMode();
         
-        if (flagStorageMode === 'per-token') {
+        if (flagStorageMode === STORAGE_MODES.PER_TOKEN) {
             // Per-token mode: each token has its own flags, even if they share the same base actor
             console.log(`${MODULE_ID} | Using token actor instance for flag storage (per-token mode).`);
             return actor;
         }
         
         // Per-actor mode (default): tokens sharing the same actorId share flags
-        if (token && token.document && token.document.actorId) {
-            const baseActor = game.actors.get(token.document.actorId);
+        if (tokenDoc && tokenDoc.actorId) {
+            const baseActor = game.actors.get(tokenDoc.actorId);
             if (baseActor) {
-                console.log(`${MODULE_ID} | Using base actor (${baseActor.name}) for flag storage (per-actor mode). Token linked: ${token.document.actorLink}`);
+                console.log(`${MODULE_ID} | Using base actor (${baseActor.name}) for flag storage (${flagStorageMode} mode). Token linked: ${tokenDoc.actorLink}`);
                 return baseActor;
             }
         }
@@ -195,8 +366,10 @@ class InspectStatblockApp extends Application {
         }
         
         // Check if the name should be hidden for the current user
-        if (!game.user.isGM && this.hiddenElements && this.hiddenElements['header-name']) {
-            displayedName = "??";
+        const isViewerGM = this._isViewerGM();
+        const viewerHiddenElements = this._getViewerHiddenElements();
+        if (!isViewerGM && isElementHidden(viewerHiddenElements, 'header-name', this.actor, this.tokenDocument)) {
+            displayedName = getPlaceholder('header').text;
         }
         
         // Just use the name directly, not "Inspect Statblock: name"
@@ -206,8 +379,8 @@ class InspectStatblockApp extends Application {
         // For the shared indicator, show the base actor name only if the user is GM or if it's not hidden
         if (this.baseActor && this.baseActor.id !== this.actor.id) {
             let baseActorDisplayName = this.baseActor.name;
-            if (!game.user.isGM && this.hiddenElements && this.hiddenElements['header-name']) {
-                baseActorDisplayName = "??";
+            if (!isViewerGM && isElementHidden(viewerHiddenElements, 'header-name', this.actor, this.tokenDocument)) {
+                baseActorDisplayName = getPlaceholder('header').text;
             }
             title += ` (Shared: ${baseActorDisplayName})`;
         }
@@ -233,8 +406,54 @@ class InspectStatblockApp extends Application {
                 title: game.i18n.localize("INSPECTSTATBLOCK.ButtonTitleShowAll"),
                 onclick: async ev => await this._onShowAllElements(ev)
             });
+            buttons.unshift({
+                label: "",
+                class: "visibility-presets",
+                icon: "fas fa-bookmark",
+                title: game.i18n.localize("INSPECTSTATBLOCK.ButtonTitlePresets"),
+                onclick: async ev => await this._onOpenPresets(ev)
+            });
+            buttons.unshift({
+                label: "",
+                class: "import-visibility",
+                icon: "fas fa-file-import",
+                title: game.i18n.localize("INSPECTSTATBLOCK.ButtonTitleImportVisibility"),
+                onclick: async ev => await this._onImportVisibility(ev)
+            });
+            buttons.unshift({
+                label: "",
+                class: "export-visibility",
+                icon: "fas fa-file-export",
+                title: game.i18n.localize("INSPECTSTATBLOCK.ButtonTitleExportVisibility"),
+                onclick: ev => this._onExportVisibility(ev)
+            });
+            if (this.tokenLayerDoc) {
+                buttons.unshift({
+                    label: "",
+                    class: "promote-token-overrides",
+                    icon: "fas fa-level-up-alt",
+                    title: game.i18n.localize("INSPECTSTATBLOCK.ButtonTitlePromoteOverrides"),
+                    onclick: async ev => await this._onPromoteTokenOverrides()
+                });
+            }
+            buttons.unshift({
+                label: "",
+                class: "preview-as-player",
+                icon: "fas fa-user-secret",
+                title: game.i18n.localize("INSPECTSTATBLOCK.ButtonTitlePreviewAsPlayer"),
+                onclick: async ev => await this._onTogglePlayerPreview(ev)
+            });
         } else {
              buttons = buttons.filter(b => b.class === "close" || b.icon === "fas fa-times"); // Keep only close for players too
+             if (systemRegistry.getHandler(game.system.id)?.getKnowledgeCheck?.(this.actor)) {
+                 buttons.unshift({
+                     label: "",
+                     class: "recall-knowledge",
+                     icon: "fas fa-brain",
+                     title: game.i18n.localize("INSPECTSTATBLOCK.ButtonTitleRecallKnowledge"),
+                     onclick: async ev => await this._onRollKnowledgeCheck(ev)
+                 });
+             }
         }
         return buttons;
     }
@@ -244,7 +463,8 @@ class InspectStatblockApp extends Application {
         data.actor = this.actor;
         data.token = this.token;
         data.moduleId = MODULE_ID;
-        data.isGM = game.user.isGM;
+        data.isGM = this._isViewerGM();
+        data.previewLabel = this._getPreviewLabel();
 
         if (!this.actor) {
             console.error(`${MODULE_ID} | InspectStatblockApp.getData: No actor provided.`);
@@ -266,11 +486,18 @@ class InspectStatblockApp extends Application {
             // Store systemHandler on instance for later use in _onToggleVisibility etc.
             this.systemHandler = systemHandler; 
 
-            // Get existing visibility flags (now initialized by preCreateToken hook)
-            let currentFlags = this.baseActor.getFlag(MODULE_ID, 'hiddenElements');
-            this.hiddenElements = currentFlags || {};
-
-            const sidsData = await systemHandler.getStandardizedActorData(this.actor, this.token, this.hiddenElements, data.isGM);
+            // Get the GM overrides; elements without one resolve from the default visibility settings
+            const layers = this._readFlagLayers();
+            // Elements already learned from other actors of the same creature source count as revealed
+            this.hiddenElements = applyCreatureKnowledge(this.actor, layers.hiddenElements);
+            this.elementAudiences = layers.elementAudiences;
+            this.revealLevels = layers.revealLevels;
+            this.flagSources = layers.sources;
+            if (!game.user.isGM) this._trackRevealedElements();
+
+            // Handlers receive the map already resolved for the viewer (per-user audiences applied).
+            // Partial reveal levels only apply to elements still hidden for the viewer
+            const sidsData = await systemHandler.getStandardizedActorData(this.actor, this.token, this._getViewerHiddenElements(), data.isGM, { revealLevels: this.revealLevels });
             
             if (sidsData) {
                 this.sidsData = sidsData; // Store SIDS data on the instance
@@ -283,6 +510,9 @@ class InspectStatblockApp extends Application {
             console.error(`${MODULE_ID} | Error getting SIDS data or rendering:`, e);
             data.statblockHtml = "<p>Error rendering statblock. Check console.</p>";
         }
+
+        // GM-only panel listing the visibility changes of this creature
+        data.history = data.isGM && getRevealHistoryLength() > 0 ? this._getHistoryData() : null;
         
         return data;
     }
@@ -295,12 +525,392 @@ class InspectStatblockApp extends Application {
     activateListeners(html) {
         super.activateListeners(html);
         Hooks.on('updateActor', this._handleActorUpdateBound);
+        if (this.tokenLayerDoc) Hooks.on('updateToken', this._handleTokenUpdateBound);
 
-        if (game.user.isGM) {
+        // No toggling while previewing: the preview must behave exactly like the player's window
+        if (this._isViewerGM()) {
             html.find('[data-element-key]').on('contextmenu', this._onToggleVisibility.bind(this));
+            this._renderAudienceIndicators(html);
+            this._renderRevealLevelIndicators(html);
+            if (this.tokenLayerDoc) this._renderLayerIndicators(html);
+            html.find('.reveal-history').on('toggle', event => { this.historyExpanded = event.currentTarget.open; });
+            html.find('[data-action="undo-history-entry"]').on('click', this._onUndoHistory.bind(this));
+            html.find('[data-action="undo-history-batch"]').on('click', this._onUndoHistory.bind(this));
+        } else if (!game.user.isGM) {
+            this._highlightRevealedElements(html);
+            if (areRevealRequestsEnabled()) this._activateRevealRequests(html);
+        }
+    }
+
+    /**
+     * The creature's name as the viewer sees it: the header placeholder while the name is hidden.
+     * @returns {string}
+     * @private
+     */
+    _getViewerCreatureName() {
+        const tokenDoc = this.tokenDocument;
+        if (isElementHidden(this._getViewerHiddenElements(), 'header-name', this.actor, tokenDoc)) return getPlaceholder('header').text;
+        return this.token?.name || this.actor.name;
+    }
+
+    /**
+     * Lets players right-click elements hidden from them to ask the GM about them.
+     * @param {jQuery} html - The rendered application content.
+     * @private
+     */
+    _activateRevealRequests(html) {
+        const viewerHidden = this._getViewerHiddenElements();
+        const hint = game.i18n.localize("INSPECTSTATBLOCK.RevealRequestHint");
+        html.find('[data-element-key]').each((i, el) => {
+            if (!isElementHidden(viewerHidden, el.dataset.elementKey, this.actor, this.tokenDocument)) return;
+            el.classList.add('reveal-requestable');
+            if (!el.dataset.tooltip) el.dataset.tooltip = hint;
+            el.addEventListener('contextmenu', this._onRequestReveal.bind(this));
+        });
+    }
+
+    /**
+     * Asks the player why they should know a hidden element and sends the request to the GM.
+     * @param {Event} event - The right-click event.
+     * @private
+     */
+    async _onRequestReveal(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const elementKey = event.currentTarget.dataset.elementKey;
+        if (!elementKey) return;
+
+        const justification = await Dialog.prompt({
+            title: game.i18n.localize("INSPECTSTATBLOCK.RevealRequestTitle"),
+            content: `<p class="notes">${game.i18n.localize("INSPECTSTATBLOCK.RevealRequestPrompt")}</p>
+                <div class="form-group"><textarea name="justification" rows="3" placeholder="${game.i18n.localize("INSPECTSTATBLOCK.RevealRequestPlaceholder")}"></textarea></div>`,
+            label: game.i18n.localize("INSPECTSTATBLOCK.RevealRequestSend"),
+            callback: html => String(html.find('textarea[name="justification"]').val() ?? '').trim(),
+            rejectClose: false
+        });
+        if (justification === null || justification === undefined) return; // Dialog dismissed
+
+        const sent = await sendRevealRequest({
+            actorUuid: this.actor.uuid,
+            tokenUuid: this.tokenDocument?.uuid ?? null,
+            elementKey,
+            name: this._getViewerCreatureName(),
+            justification
+        });
+        if (sent) ui.notifications.info(game.i18n.localize("INSPECTSTATBLOCK.RevealRequestSent"));
+        else ui.notifications.warn(game.i18n.localize("INSPECTSTATBLOCK.RevealRequestNoGM"));
+    }
+
+    /**
+     * Compares what the player sees with the last render and collects the elements revealed since then
+     * (including partial reveals) in `newlyRevealed`. Depending on the revealNotifications setting the
+     * player also gets a notification or a chat message listing them.
+     * @private
+     */
+    _trackRevealedElements() {
+        const viewerHidden = this._getViewerHiddenElements();
+        const tokenDoc = this.tokenDocument;
+        const keys = new Set([...Object.keys(viewerHidden), ...Object.keys(this.revealLevels || {}), ...Object.keys(this._viewerRevealLevels || {})]);
+        const levels = Object.fromEntries(Array.from(keys, key => [key, getRevealLevel(viewerHidden, this.revealLevels, key, this.actor, tokenDoc)]));
+        const previous = this._viewerRevealLevels;
+        this._viewerRevealLevels = levels;
+
+        const mode = game.settings.get(MODULE_ID, 'revealNotifications');
+        if (!previous || mode === 'off') return;
+        // Elements without an entry in the last render had their default state
+        const revealed = Object.keys(levels).filter(key => levels[key] > (previous[key] ?? getRevealLevel({}, {}, key, this.actor, tokenDoc)));
+        this.newlyRevealed = revealed;
+        if (mode === 'highlight') return;
+
+        // Partially revealed elements are only highlighted, their label could tell more than players know
+        const fullyRevealed = revealed.filter(key => levels[key] === getRevealLevels(key).length - 1);
+        if (fullyRevealed.length === 0) return;
+        const labels = fullyRevealed.map(key => this.systemHandler?.getElementLabel?.(this.actor, key) ?? key);
+        const shown = labels.slice(0, 5).join(', ') + (labels.length > 5 ? ` +${labels.length - 5}` : '');
+        const message = game.i18n.format("INSPECTSTATBLOCK.RevealNotification", { name: this._getViewerCreatureName(), elements: shown });
+        if (mode === 'chat') {
+            // Not awaited, getData shouldn't wait for the message
+            ChatMessage.create({ content: `<p>${Handlebars.escapeExpression(message)}</p>`, whisper: [game.user.id] })
+                .catch(error => console.error(`${MODULE_ID} | Error creating the reveal notification message:`, error));
+        } else {
+            ui.notifications.info(message);
         }
     }
 
+    /**
+     * Briefly highlights the elements revealed since the last render.
+     * @param {jQuery} html - The rendered application content.
+     * @private
+     */
+    _highlightRevealedElements(html) {
+        for (const elementKey of this.newlyRevealed) {
+            html.find(`[data-element-key="${elementKey}"]`).addClass('newly-revealed');
+        }
+        this.newlyRevealed = [];
+    }
+
+    /**
+     * Prepares the reveal history panel: the changes of the flag documents of this window, newest first,
+     * grouped by the action that made them.
+     * @returns {{expanded: boolean, batches: object[]}}
+     * @private
+     */
+    _getHistoryData() {
+        const layers = [['actor', this.baseActor], ['token', this.tokenLayerDoc]].filter(([, doc]) => !!doc);
+        const batches = new Map();
+        for (const [layer, doc] of layers) {
+            for (const entry of getRevealHistory(doc)) {
+                const batchKey = `${layer}.${entry.batchId}`;
+                if (!batches.has(batchKey)) {
+                    batches.set(batchKey, {
+                        layer,
+                        batchId: entry.batchId,
+                        source: getHistorySourceLabel(entry.source),
+                        userName: game.users.get(entry.userId)?.name ?? '',
+                        time: entry.time,
+                        timeLabel: new Date(entry.time).toLocaleString(),
+                        entries: []
+                    });
+                }
+                const levels = getRevealLevels(entry.key);
+                batches.get(batchKey).entries.push({
+                    id: entry.id,
+                    label: this.systemHandler?.getElementLabel?.(this.actor, entry.key) ?? entry.key,
+                    from: game.i18n.localize(levels[entry.from] ?? levels[0]),
+                    to: game.i18n.localize(levels[entry.to] ?? levels[levels.length - 1]),
+                    undone: entry.undone === true
+                });
+            }
+        }
+        const sorted = Array.from(batches.values()).sort((a, b) => b.time - a.time);
+        for (const batch of sorted) batch.canUndo = batch.entries.some(entry => !entry.undone);
+        return { expanded: this.historyExpanded, batches: sorted };
+    }
+
+    /**
+     * Undoes a reveal history entry, or every entry of a batch.
+     * @param {Event} event - The click event.
+     * @private
+     */
+    async _onUndoHistory(event) {
+        event.preventDefault();
+        if (!game.user.isGM) return;
+        const batchEl = event.currentTarget.closest('[data-batch-id]');
+        if (!batchEl) return;
+        const doc = batchEl.dataset.layer === 'token' ? this.tokenLayerDoc : this.baseActor;
+        const entryId = event.currentTarget.closest('[data-entry-id]')?.dataset.entryId;
+        const entryIds = entryId
+            ? [entryId]
+            : getRevealHistory(doc).filter(entry => entry.batchId === batchEl.dataset.batchId).map(entry => entry.id);
+
+        this._captureScrollPosition();
+        await undoRevealHistory(doc, entryIds, this.actor);
+    }
+
+    /**
+     * Marks which layer the stored value of an element comes from in hybrid mode: a token override
+     * or the actor baseline. Elements without a marker follow the default visibility.
+     * @param {jQuery} html - The rendered application content.
+     * @private
+     */
+    _renderLayerIndicators(html) {
+        for (const [elementKey, source] of Object.entries(this.flagSources || {})) {
+            const isToken = source === 'token';
+            html.find(`[data-element-key="${elementKey}"]`).each((i, el) => {
+                const indicator = document.createElement('i');
+                indicator.classList.add('fas', isToken ? 'fa-map-marker-alt' : 'fa-users', 'flag-layer-indicator', `layer-${source}`);
+                indicator.dataset.tooltip = game.i18n.localize(isToken ? "INSPECTSTATBLOCK.LayerTokenOverride" : "INSPECTSTATBLOCK.LayerActorBaseline");
+                el.appendChild(indicator);
+            });
+        }
+    }
+
+    /**
+     * Moves token overrides to the base actor, so every token of the actor shares them.
+     * The overrides are removed from the token, which then follows the updated actor baseline.
+     * @param {string[]|null} [elementKeys=null] - Keys to promote. All overrides of the token when null.
+     * @private
+     */
+    async _onPromoteTokenOverrides(elementKeys = null) {
+        if (!game.user.isGM || !this.tokenLayerDoc) return;
+
+        const overrides = getPendingHiddenElements(this.tokenLayerDoc);
+        const keys = (elementKeys ?? Object.keys(overrides)).filter(key => key in overrides);
+        if (keys.length === 0) {
+            ui.notifications.info(game.i18n.localize("INSPECTSTATBLOCK.PromoteNoOverrides"));
+            return;
+        }
+
+        this._captureScrollPosition();
+
+        const tokenAudiences = this.tokenLayerDoc.getFlag(MODULE_ID, AUDIENCE_FLAG) || {};
+        const hiddenElements = Object.fromEntries(keys.map(key => [key, overrides[key]]));
+        const audienceKeys = keys.filter(key => tokenAudiences[key]);
+
+        console.log(`${MODULE_ID} | Promoting token overrides of ${this.tokenLayerDoc.name} to ${this.baseActor.name}:`, hiddenElements);
+        await queueVisibilityUpdate(this.baseActor, {
+            hiddenElements,
+            audiences: Object.fromEntries(audienceKeys.map(key => [key, tokenAudiences[key]])),
+            source: { type: 'promote', description: this.tokenLayerDoc.name }
+        });
+        // Written once the actor holds the same values, so the token entries now match their baseline and are removed
+        await queueVisibilityUpdate(this.tokenLayerDoc, {
+            hiddenElements,
+            audiences: Object.fromEntries(audienceKeys.map(key => [key, null])),
+            source: { type: 'promote', description: this.tokenLayerDoc.name }
+        });
+    }
+
+    /**
+     * Marks partially revealed elements and names the level players see.
+     * @param {jQuery} html - The rendered application content.
+     * @private
+     */
+    _renderRevealLevelIndicators(html) {
+        for (const elementKey of Object.keys(this.revealLevels || {})) {
+            const level = getRevealLevel(this.hiddenElements, this.revealLevels, elementKey, this.actor, this.tokenDocument);
+            const levels = getRevealLevels(elementKey);
+            if (level === 0 || level === levels.length - 1) continue;
+            const label = game.i18n.format("INSPECTSTATBLOCK.RevealLevelIndicator", { level: game.i18n.localize(levels[level]) });
+            html.find(`[data-element-key="${elementKey}"]`).each((i, el) => {
+                el.classList.remove('element-hidden-to-players');
+                el.classList.add('element-partially-revealed');
+                const indicator = document.createElement('i');
+                indicator.classList.add('fas', 'fa-adjust', 'reveal-level-indicator');
+                indicator.dataset.tooltip = label;
+                el.appendChild(indicator);
+            });
+        }
+    }
+
+    /**
+     * Marks elements that are revealed to specific users only, so the GM can see who can see what.
+     * @param {jQuery} html - The rendered application content.
+     * @private
+     */
+    _renderAudienceIndicators(html) {
+        for (const [elementKey, audience] of Object.entries(this.elementAudiences || {})) {
+            const names = getAudienceNames(audience);
+            if (names.length === 0) continue;
+            const label = `${game.i18n.localize("INSPECTSTATBLOCK.AudienceVisibleTo")}: ${names.join(', ')}`;
+            html.find(`[data-element-key="${elementKey}"]`).each((i, el) => {
+                el.classList.add('element-revealed-to-some');
+                const indicator = document.createElement('i');
+                indicator.classList.add('fas', 'fa-user-check', 'audience-indicator');
+                indicator.dataset.tooltip = label;
+                el.appendChild(indicator);
+            });
+        }
+    }
+
+    /**
+     * Builds the banner label shown while a GM previews the statblock as a player.
+     * @returns {string|null} The label, or null when not previewing.
+     * @private
+     */
+    _getPreviewLabel() {
+        if (!this.previewAs) return null;
+        const user = this._getViewingUser();
+        return user ? user.name : game.i18n.localize("INSPECTSTATBLOCK.PreviewAnyPlayer");
+    }
+
+    /**
+     * Exports the visibility flags of this statblock (actor baseline and token overrides) as a JSON file.
+     * @param {Event} event - The header button click event.
+     * @private
+     */
+    _onExportVisibility(event) {
+        event?.preventDefault();
+        const entry = buildVisibilityEntry(this.actor, { actor: this.baseActor, token: this.tokenLayerDoc }, this.token?.name ?? this.actor.name);
+        downloadVisibilityExport([entry], entry.name);
+    }
+
+    /**
+     * Imports visibility flags from a JSON file into this statblock, replacing its current flags layer by layer.
+     * @param {Event} event - The header button click event.
+     * @private
+     */
+    async _onImportVisibility(event) {
+        event?.preventDefault();
+        if (!game.user.isGM) return;
+        try {
+            const entries = await promptVisibilityImport(game.i18n.localize("INSPECTSTATBLOCK.ButtonTitleImportVisibility"));
+            if (!entries) return;
+            // A file holding a single creature applies to this one even if it doesn't match
+            const entry = findVisibilityEntry(entries, this.actor, this.token?.name ?? this.actor.name)
+                ?? (entries.length === 1 ? entries[0] : null);
+            if (!entry) {
+                ui.notifications.warn(game.i18n.localize("INSPECTSTATBLOCK.ImportNoMatch"));
+                return;
+            }
+            this._captureScrollPosition();
+            const { applied, skipped } = await applyVisibilityEntry({ actor: this.baseActor, token: this.tokenLayerDoc }, this.actor, entry);
+            if (skipped.length > 0) console.warn(`${MODULE_ID} | Unmatched element keys on import into ${this.actor.name}:`, skipped);
+            ui.notifications.info(game.i18n.format("INSPECTSTATBLOCK.ImportApplied", { name: entry.name, applied, skipped: skipped.length }));
+        } catch (error) {
+            console.error(`${MODULE_ID} | Error importing visibility into ${this.actor?.name}:`, error);
+            ui.notifications.error(game.i18n.format("INSPECTSTATBLOCK.TransferImportFailed", { error: error.message }));
+        }
+    }
+
+    /**
+     * Rolls the knowledge check configured for this creature, for the current player.
+     * The system handler performs the roll; revealing elements on success is left to the active GM.
+     * @param {Event} event - The header button click event.
+     * @private
+     */
+    async _onRollKnowledgeCheck(event) {
+        event?.preventDefault();
+        const handler = this.systemHandler || await this._getSystemHandler();
+        if (!handler?.rollKnowledgeCheck) return;
+        try {
+            await handler.rollKnowledgeCheck(this.actor, this.token);
+        } catch (error) {
+            console.error(`${MODULE_ID} | Error rolling knowledge check for ${this.actor?.name}:`, error);
+        }
+    }
+
+    /**
+     * Toggles the GM "preview as player" mode. When turning it on and non-GM users exist,
+     * the GM may pick a specific user to preview as; otherwise a generic player is used.
+     * Only the rendering changes - the stored hiddenElements flags are never modified.
+     * @param {Event} event - The header button click event.
+     * @private
+     */
+    async _onTogglePlayerPreview(event) {
+        event?.preventDefault();
+        if (!game.user.isGM) return;
+
+        if (this.previewAs) {
+            this.previewAs = null;
+        } else {
+            const players = game.users.filter(u => !u.isGM);
+            let choice = PLAYER_PREVIEW_ANY;
+            if (players.length > 0) {
+                const options = [`<option value="${PLAYER_PREVIEW_ANY}">${game.i18n.localize("INSPECTSTATBLOCK.PreviewAnyPlayer")}</option>`]
+                    .concat(players.map(u => `<option value="${u.id}">${Handlebars.escapeExpression(u.name)}</option>`));
+                choice = await Dialog.prompt({
+                    title: game.i18n.localize("INSPECTSTATBLOCK.ButtonTitlePreviewAsPlayer"),
+                    content: `<div class="form-group"><label>${game.i18n.localize("INSPECTSTATBLOCK.PreviewChooseUser")}</label><select name="previewAs">${options.join('')}</select></div>`,
+                    label: game.i18n.localize("INSPECTSTATBLOCK.PreviewStart"),
+                    callback: html => html.find('select[name="previewAs"]').val(),
+                    rejectClose: false
+                });
+                if (!choice) return; // Dialog dismissed
+            }
+            this.previewAs = choice;
+        }
+
+        console.log(`${MODULE_ID} | Player preview for ${this.actor?.name}: ${this.previewAs ?? 'off'}`);
+
+        const appEl = this.element?.[0] ?? this.element;
+        appEl?.classList?.toggle('previewing-as-player', !!this.previewAs);
+        appEl?.querySelector?.('.header-button.preview-as-player')?.classList.toggle('active', !!this.previewAs);
+
+        this._captureScrollPosition();
+        this.render(true);
+    }
+
     _handleActorUpdate(actor, diff, options, userId) {
         // Check if this update affects our display actor or base actor
         const isDisplayActorUpdate = this.actor && actor.id === this.actor.id;
@@ -324,9 +934,31 @@ class InspectStatblockApp extends Application {
 
         let needsRender = false;
 
+        // Per-user audiences changed: always re-render, the resolved view may differ
+        const audiencesChanged = foundry.utils.hasProperty(diff, `flags.${MODULE_ID}.${AUDIENCE_FLAG}`)
+            || foundry.utils.hasProperty(diff, `flags.${MODULE_ID}.-=${AUDIENCE_FLAG}`);
+        if (isBaseActorUpdate && audiencesChanged) {
+            this.elementAudiences = this._readFlagLayers().elementAudiences;
+            needsRender = true;
+        }
+
+        // Partial reveal levels changed
+        const levelsChanged = foundry.utils.hasProperty(diff, `flags.${MODULE_ID}.${REVEAL_LEVEL_FLAG}`)
+            || foundry.utils.hasProperty(diff, `flags.${MODULE_ID}.-=${REVEAL_LEVEL_FLAG}`);
+        if (isBaseActorUpdate && levelsChanged) {
+            this.revealLevels = this._readFlagLayers().revealLevels;
+            needsRender = true;
+        }
+
+        // Other module flags changed, e.g. data the system handler keeps next to the visibility flags
+        const moduleFlagsDiff = foundry.utils.getProperty(diff, `flags.${MODULE_ID}`);
+        if (isBaseActorUpdate && moduleFlagsDiff && Object.keys(moduleFlagsDiff).some(key => !['hiddenElements', 'schemaVersion'].includes(key))) {
+            needsRender = true;
+        }
+
         // Check for changes in our module's visibility flags (only relevant for base actor)
         if (isBaseActorUpdate && foundry.utils.hasProperty(diff, `flags.${MODULE_ID}.hiddenElements`)) {
-            const newFlags = actor.getFlag(MODULE_ID, 'hiddenElements');
+            const newFlags = this._readFlagLayers().hiddenElements;
             const flagsChanged = JSON.stringify(this.hiddenElements) !== JSON.stringify(newFlags);
             
             // TODO inspect-statblock: Debug logging for flag changes
@@ -390,6 +1022,22 @@ class InspectStatblockApp extends Application {
         }
     }
     
+    /**
+     * Re-renders when the token overrides of this window change (hybrid mode).
+     * @param {TokenDocument} tokenDoc - The updated token document.
+     * @param {object} diff - The update data.
+     * @private
+     */
+    _handleTokenUpdate(tokenDoc, diff) {
+        if (tokenDoc.id !== this.tokenLayerDoc?.id) return;
+        if (!foundry.utils.hasProperty(diff, `flags.${MODULE_ID}`)) return;
+        if (!this.rendered) return;
+
+        console.log(`${MODULE_ID} | Token overrides changed for ${tokenDoc.name}.`);
+        this._captureScrollPosition();
+        this.render(true);
+    }
+
     async _getAllToggleableKeys(systemHandler) {
         const keys = new Set();
         if (!systemHandler || !this.actor) return [];
@@ -449,7 +1097,7 @@ class InspectStatblockApp extends Application {
         event.preventDefault();
         event.stopPropagation();
 
-        if (!game.user.isGM) return;
+        if (!this._isViewerGM()) return;
 
         const elementKey = event.currentTarget.dataset.elementKey;
         console.log(`${MODULE_ID} | _onToggleVisibility: Clicked elementKey:`, elementKey, "Target element:", event.currentTarget);
@@ -470,11 +1118,64 @@ class InspectStatblockApp extends Application {
             return;
         }
 
+        // Shift + right-click reveals the element to specific users instead of toggling it for everyone
+        if (event.shiftKey) {
+            return this._onEditAudience(elementKey);
+        }
+
+        // Alt + right-click applies a token override to the actor (hybrid mode)
+        if (event.altKey && this.tokenLayerDoc) {
+            return this._onPromoteTokenOverrides(await this._getAffectedKeys(elementKey));
+        }
+
         // Capture current scroll position before updating flags (to avoid jumping to top)
         this._captureScrollPosition();
+        await this._toggleElementVisibility(elementKey);
+    }
 
-        const currentActorFlags = foundry.utils.deepClone(this.baseActor.getFlag(MODULE_ID, 'hiddenElements') || {});
+    /**
+     * Toggles an element for everyone, as a GM right-click does: defense category and batch section headers
+     * switch every item they contain, elements with partial reveal levels cycle through them.
+     * @param {string} elementKey - The element key.
+     * @param {object} [options={}]
+     * @param {boolean|null} [options.hidden=null] - Set the element (or its items) to this state instead of toggling it,
+     *                                               e.g. to reveal an element a player asked about.
+     * @param {object} [options.source] - What made the change, for the reveal history.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _toggleElementVisibility(elementKey, { hidden = null, source = { type: 'toggle' } } = {}) {
+        // Include toggles that are queued but not yet written, so quick successive clicks build on each other
+        const pendingFlags = mergeFlagLayers(
+            getPendingHiddenElements(this.baseActor),
+            this.tokenLayerDoc ? getPendingHiddenElements(this.tokenLayerDoc) : {}
+        ).values;
+        const currentActorFlags = applyCreatureKnowledge(this.actor, pendingFlags);
+        const originalFlags = { ...currentActorFlags };
         let updatedFlags = currentActorFlags;
+        // Elements without a stored override follow their default visibility
+        const isHidden = key => isElementHidden(updatedFlags, key, this.actor, this.tokenDocument);
+        const pendingLevels = mergeFlagLayers(
+            getPendingRevealLevels(this.baseActor),
+            this.tokenLayerDoc ? getPendingRevealLevels(this.tokenLayerDoc) : {}
+        ).values;
+        const levelUpdates = {};
+        // Single elements with partial reveal levels cycle through them: revealed -> hidden -> partial ... -> revealed
+        const cycleElement = key => {
+            if (hidden !== null) {
+                updatedFlags[key] = hidden;
+                return;
+            }
+            const levelCount = getRevealLevels(key).length;
+            if (levelCount <= 2) {
+                updatedFlags[key] = !isHidden(key);
+                return;
+            }
+            const level = getRevealLevel(updatedFlags, pendingLevels, key, this.actor, this.tokenDocument);
+            const nextLevel = level === levelCount - 1 ? 0 : level + 1;
+            updatedFlags[key] = nextLevel < levelCount - 1;
+            levelUpdates[key] = nextLevel > 0 && nextLevel < levelCount - 1 ? nextLevel : null;
+        };
 
         // Check if the clicked element is a defense category header
         const defenseCategoryKeyMatch = elementKey.match(/^def-(resistances|immunities|vulnerabilities|conditionimmunities)$/);
@@ -489,9 +1190,9 @@ class InspectStatblockApp extends Application {
             if (categoryObject && categoryObject.tags && categoryObject.tags.length > 0) {
                 const tagKeysToToggle = categoryObject.tags.map(tag => tag.elementKey);
                 // Determine if we are showing or hiding all tags in this category
-                // If any tag in the category is currently shown (flag is false or undefined), then hide all.
-                // Otherwise (all tags are hidden - flag is true), show all.
-                const shouldHideAllTags = tagKeysToToggle.some(tk => !currentActorFlags[tk]);
+                // If any tag in the category is currently shown, then hide all.
+                // Otherwise (all tags are hidden), show all.
+                const shouldHideAllTags = hidden ?? tagKeysToToggle.some(tk => !isHidden(tk));
                 
                 tagKeysToToggle.forEach(tk => {
                     updatedFlags[tk] = shouldHideAllTags;
@@ -499,16 +1200,11 @@ class InspectStatblockApp extends Application {
                 // Also toggle the state of the category header itself if you want its appearance to change
                 // updatedFlags[elementKey] = shouldHideAllTags; // Optional: if category header has its own visual state separate from tags
             } else {
-                // If it's a category header but has no tags (e.g. "None"), or SIDS data is missing, just toggle its own state if it exists as a flag.
-                 if (Object.prototype.hasOwnProperty.call(updatedFlags, elementKey)) {
-                    updatedFlags[elementKey] = !updatedFlags[elementKey];
-                } else {
-                    // If it's not in flags (e.g. a category with no items from a fresh actor), assume we intend to hide it.
-                    updatedFlags[elementKey] = true; 
-                }
+                // If it's a category header but has no tags (e.g. "None"), or SIDS data is missing, just toggle its own state.
+                updatedFlags[elementKey] = hidden ?? !isHidden(elementKey);
             }
         } else if (elementKey.startsWith('def-tag-')) { // Individual defense tag
-            updatedFlags[elementKey] = !updatedFlags[elementKey];
+            cycleElement(elementKey);
         } else { // Handle other existing toggleable elements (active effects, features, abilities etc.)
         const batchToggleSectionHeaderKeys = [
             "section-active-effects",
@@ -519,33 +1215,111 @@ class InspectStatblockApp extends Application {
                 const itemKeys = await this._getInSectionItemKeys(elementKey, this.systemHandler);
             if (!itemKeys || itemKeys.length === 0) {
                     // If it's a section header that could have items but currently doesn't (e.g. no active effects)
-                    // and it has its own flag, toggle that. Otherwise, no action if no items.
-                if (Object.prototype.hasOwnProperty.call(updatedFlags, elementKey)) {
-                    updatedFlags[elementKey] = !updatedFlags[elementKey];
-                } else {
-                    console.log(`${MODULE_ID} | Section header ${elementKey} clicked, but no items found and header not a flag. No action.`);
-                        return; // No return here, proceed to set flag below
-                }
+                    // toggle the header itself.
+                updatedFlags[elementKey] = hidden ?? !isHidden(elementKey);
             } else {
                     // If any item in the section is currently shown, then hide all.
                     // Otherwise (all items are hidden), show all.
-                const isAnyItemShown = itemKeys.some(key => !currentActorFlags[key]);
-                if (isAnyItemShown) {
+                const isAnyItemShown = itemKeys.some(key => !isHidden(key));
+                if (hidden ?? isAnyItemShown) {
                         itemKeys.forEach(key => updatedFlags[key] = true); // Hide all
-                        // Also hide the section header itself if it's a flag
-                    if (Object.prototype.hasOwnProperty.call(updatedFlags, elementKey)) updatedFlags[elementKey] = true;
+                        // Also hide the section header itself
+                    updatedFlags[elementKey] = true;
                 } else {
                         itemKeys.forEach(key => updatedFlags[key] = false); // Show all
-                        // Also show the section header itself if it's a flag
-                    if (Object.prototype.hasOwnProperty.call(updatedFlags, elementKey)) updatedFlags[elementKey] = false;
+                        // Also show the section header itself
+                    updatedFlags[elementKey] = false;
                     }
                 }
             } else { // Standard single element toggle
-                updatedFlags[elementKey] = !updatedFlags[elementKey];
+                cycleElement(elementKey);
             }
         }
-        
-        await this.baseActor.setFlag(MODULE_ID, 'hiddenElements', updatedFlags);
+
+        // Only the changed keys are written. A global toggle replaces any per-user audience of the keys it changed
+        const hiddenUpdates = {};
+        const audienceUpdates = {};
+        const knowledgeChanges = {};
+        for (const key of Object.keys(updatedFlags)) {
+            // A step between partial levels keeps the element hidden but still has to be written
+            if (updatedFlags[key] === isElementHidden(originalFlags, key, this.actor, this.tokenDocument) && !(key in levelUpdates)) continue;
+            hiddenUpdates[key] = updatedFlags[key];
+            if (this.elementAudiences?.[key]) audienceUpdates[key] = null;
+            knowledgeChanges[key] = !updatedFlags[key];
+        }
+
+        await queueVisibilityUpdate(this._getFlagWriteTarget(), {
+            hiddenElements: hiddenUpdates,
+            audiences: audienceUpdates,
+            revealLevels: levelUpdates,
+            source
+        });
+        await recordCreatureKnowledge(this.actor, knowledgeChanges);
+    }
+
+    /**
+     * Returns the element keys a visibility action on the given key applies to.
+     * Defense category and batch section headers expand to the items they contain.
+     * @param {string} elementKey - The clicked element key.
+     * @returns {Promise<string[]>}
+     * @private
+     */
+    async _getAffectedKeys(elementKey) {
+        if (/^def-(resistances|immunities|vulnerabilities|conditionimmunities)$/.test(elementKey)) {
+            const categoryObject = this.sidsData?.defenses?.items?.find(cat => cat.id === elementKey);
+            const tagKeys = (categoryObject?.tags || []).filter(tag => !tag.isPlaceholder).map(tag => tag.elementKey);
+            if (tagKeys.length > 0) return tagKeys;
+        } else if (["section-active-effects", "section-passive-features"].includes(elementKey)) {
+            const itemKeys = await this._getInSectionItemKeys(elementKey, this.systemHandler);
+            if (itemKeys?.length > 0) return itemKeys;
+        }
+        return [elementKey];
+    }
+
+    /**
+     * Opens a dialog letting the GM reveal an element to specific users or player characters only.
+     * Elements with an audience stay hidden for everyone else.
+     * @param {string} elementKey - The clicked element key.
+     * @private
+     */
+    async _onEditAudience(elementKey) {
+        const keys = await this._getAffectedKeys(elementKey);
+        const currentAudience = new Set(keys.flatMap(key => this.elementAudiences?.[key] || []));
+        const { users, actors } = getAudienceCandidates();
+
+        if (users.length === 0 && actors.length === 0) {
+            ui.notifications.warn(game.i18n.localize("INSPECTSTATBLOCK.AudienceNoCandidates"));
+            return;
+        }
+
+        const checkbox = c => `<label class="checkbox"><input type="checkbox" name="audience" value="${c.uuid}" ${currentAudience.has(c.uuid) ? 'checked' : ''}> ${Handlebars.escapeExpression(c.name)}</label>`;
+        const content = `
+            <p class="notes">${game.i18n.localize("INSPECTSTATBLOCK.AudienceHint")}</p>
+            ${users.length ? `<h4>${game.i18n.localize("INSPECTSTATBLOCK.AudiencePlayers")}</h4><div class="audience-choices">${users.map(checkbox).join('')}</div>` : ''}
+            ${actors.length ? `<h4>${game.i18n.localize("INSPECTSTATBLOCK.AudienceCharacters")}</h4><div class="audience-choices">${actors.map(checkbox).join('')}</div>` : ''}
+        `;
+
+        const audience = await Dialog.prompt({
+            title: game.i18n.localize("INSPECTSTATBLOCK.AudienceTitle"),
+            content,
+            label: game.i18n.localize("INSPECTSTATBLOCK.AudienceSave"),
+            callback: html => html.find('input[name="audience"]:checked').map((i, el) => el.value).get(),
+            rejectClose: false
+        });
+        if (!audience) return; // Dialog dismissed
+
+        this._captureScrollPosition();
+
+        const hiddenUpdates = {};
+        const audienceUpdates = {};
+        for (const key of keys) {
+            audienceUpdates[key] = audience;
+            // Revealing to an audience means hidden for everyone else
+            if (audience.length > 0) hiddenUpdates[key] = true;
+        }
+
+        console.log(`${MODULE_ID} | Setting audience for ${keys.join(', ')}:`, audience);
+        await queueVisibilityUpdate(this._getFlagWriteTarget(), { hiddenElements: hiddenUpdates, audiences: audienceUpdates, source: { type: 'audience' } });
     }
 
     async _getInSectionItemKeys(sectionHeaderKey, systemHandler) {
@@ -583,12 +1357,25 @@ class InspectStatblockApp extends Application {
     }
 
     async _onShowAllElements() {
+        await this._onApplyPreset(BUILTIN_PRESETS.showAll);
+    }
+
+    async _onHideAllElements() {
+        await this._onApplyPreset(BUILTIN_PRESETS.hideAll);
+    }
+
+    /**
+     * Applies a visibility preset to this statblock.
+     * @param {object} preset - The preset (see presets.js).
+     * @private
+     */
+    async _onApplyPreset(preset) {
         if (!game.user.isGM) return;
         const systemHandler = await this._getSystemHandler();
         if (!systemHandler) return;
 
         // TODO inspect-statblock: Debug logging for flag updates
-        console.log(`${MODULE_ID} | [DEBUG] Show All Elements called:`, {
+        console.log(`${MODULE_ID} | [DEBUG] Apply preset "${preset.name}" called:`, {
             actorName: this.baseActor?.name,
             tokenId: this.tokenId,
             currentFlags: this.hiddenElements
@@ -597,37 +1384,30 @@ class InspectStatblockApp extends Application {
         // Preserve scroll before mass update
         this._captureScrollPosition();
 
-        const allKeys = await this._getAllToggleableKeys(systemHandler);
-        const newHiddenElements = {};
-        allKeys.forEach(key => newHiddenElements[key] = false); // false means visible
-        
-        await this.baseActor.setFlag(MODULE_ID, 'hiddenElements', newHiddenElements);
+        const keys = await this._getAllToggleableKeys(systemHandler);
+        await applyVisibilityPreset(preset, { actor: this.actor, targetDoc: this._getFlagWriteTarget(), token: this.token, keys });
     }
 
-    async _onHideAllElements() {
+    /**
+     * Opens the preset dialog, from which the GM applies a preset or saves the current state as one.
+     * @param {Event} event - The header button click event.
+     * @private
+     */
+    async _onOpenPresets(event) {
+        event?.preventDefault();
         if (!game.user.isGM) return;
         const systemHandler = await this._getSystemHandler();
         if (!systemHandler) return;
 
-        // TODO inspect-statblock: Debug logging for flag updates
-        console.log(`${MODULE_ID} | [DEBUG] Hide All Elements called:`, {
-            actorName: this.baseActor?.name,
-            tokenId: this.tokenId,
-            currentFlags: this.hiddenElements
-        });
-
-        // Preserve scroll before mass update
+        const keys = await this._getAllToggleableKeys(systemHandler);
+        const currentState = Object.fromEntries(keys.map(key => [key, isElementHidden(this.hiddenElements, key, this.actor, this.tokenDocument)]));
         this._captureScrollPosition();
-
-        const allKeys = await this._getAllToggleableKeys(systemHandler);
-        const newHiddenElements = {};
-        allKeys.forEach(key => newHiddenElements[key] = true); // true means hidden
-        
-        await this.baseActor.setFlag(MODULE_ID, 'hiddenElements', newHiddenElements);
+        await promptVisibilityPreset({ actor: this.actor, targetDoc: this._getFlagWriteTarget(), token: this.token, keys }, currentState);
     }
     
     async close(options = {}) {
         Hooks.off('updateActor', this._handleActorUpdateBound);
+        Hooks.off('updateToken', this._handleTokenUpdateBound);
         return super.close(options);
     }
 }
@@ -667,6 +1447,33 @@ export function _openInspectStatblockForToken(token) {
     new InspectStatblockApp(token.actor, token, { id: `${APP_ID}-${token.id}` }).render(true);
 }
 
+/**
+ * Reveals the element of a player's reveal request the way a GM right-click does (see reveal-requests.js).
+ * Uses the GM's open statblock window of the token, or prepares one without showing it.
+ * @param {{actorUuid: string, tokenUuid: string|null, elementKey: string}} request - The request.
+ * @param {object} source - What made the change, for the reveal history.
+ * @returns {Promise<boolean>} Whether the creature was found. Its token can be on any scene.
+ */
+export async function revealRequestedElement({ actorUuid, tokenUuid, elementKey }, source) {
+    const tokenDoc = tokenUuid ? await fromUuid(tokenUuid) : null;
+    if (tokenUuid && !tokenDoc) return false;
+    const actor = tokenDoc?.actor ?? await fromUuid(actorUuid);
+    if (!actor) return false;
+
+    // Tokens on other scenes have no placeable, the window then works on the token document alone
+    const token = tokenDoc?.object ?? null;
+    let app = Object.values(ui.windows).find(w => w instanceof InspectStatblockApp && !w.previewAs
+        && w.actor?.uuid === actor.uuid && (tokenDoc ? w.tokenId === tokenDoc.id : !w.tokenId));
+    if (!app) app = new InspectStatblockApp(actor, token, tokenDoc ? { id: `${APP_ID}-${tokenDoc.id}`, tokenDocument: tokenDoc } : {});
+    // The toggle needs the statblock data the window prepares when rendered
+    if (!app.sidsData) await app.getData();
+
+    console.log(`${MODULE_ID} | Revealing ${elementKey} of ${actor.name} on request:`, source);
+    await app._toggleElementVisibility(elementKey, { hidden: false, source });
+    if (app.rendered) app.render(false);
+    return true;
+}
+
 /**
  * Opens the Inspect Statblock using priority: hovered token → targeted token.
  * Used by the I keybinding so the GM can just hover and press I.
@@ -755,9 +1562,45 @@ Hooks.on('renderTokenHUD', (app, html, data) => {
             event.preventDefault();
             _openInspectStatblockForToken(token);
         });
+
+        // GM: apply a visibility preset without opening the statblock
+        if (game.user.isGM) {
+            const presetButton = document.createElement('div');
+            presetButton.classList.add('control-icon', `${HUD_BUTTON_ID}-presets`);
+            presetButton.title = game.i18n.localize("INSPECTSTATBLOCK.ButtonTitlePresets");
+            presetButton.innerHTML = '<i class="fas fa-bookmark"></i>';
+            colLeft.appendChild(presetButton);
+            presetButton.addEventListener('click', (event) => {
+                event.preventDefault();
+                promptVisibilityPreset({ actor: token.actor, targetDoc: getTokenFlagDocuments(token.document).write, token });
+            });
+        }
     }
 });
 
+Hooks.on('getActorDirectoryEntryContext', (html, options) => {
+    options.push({
+        name: "INSPECTSTATBLOCK.ButtonTitlePresets",
+        icon: '<i class="fas fa-bookmark"></i>',
+        condition: () => game.user.isGM,
+        callback: li => {
+            const el = li instanceof HTMLElement ? li : li[0];
+            const actor = game.actors.get(el?.dataset.documentId);
+            if (actor) promptVisibilityPreset({ actor, targetDoc: actor });
+        }
+    });
+    options.push({
+        name: "INSPECTSTATBLOCK.AutoRevealRulesTitle",
+        icon: '<i class="fas fa-magic"></i>',
+        condition: () => game.user.isGM,
+        callback: li => {
+            const el = li instanceof HTMLElement ? li : li[0];
+            const actor = game.actors.get(el?.dataset.documentId);
+            if (actor) new RevealRulesConfigApp(actor).render(true);
+        }
+    });
+});
+
 // --- Initialization --- //
 Hooks.once('init', async function() {
     console.log(`${MODULE_ID} | Initializing module`);
@@ -784,356 +1627,12 @@ Hooks.once('init', async function() {
     });
 });
 
-// Initialize default visibility flags when tokens are created
-Hooks.on('preCreateToken', async function(document, data, options, userId) {
-    console.log(`${MODULE_ID} | [DEBUG] preCreateToken hook fired for token:`, {
-        tokenName: data.name,
-        actorId: data.actorId,
-        userId: userId
-    });
-    
-    if (!data.actorId) {
-        console.log(`${MODULE_ID} | [DEBUG] Token has no associated actor, skipping default flag initialization`);
-        return;
-    }
-    
-    const actor = game.actors.get(data.actorId);
-    if (!actor) {
-        console.log(`${MODULE_ID} | [DEBUG] Could not find actor with ID ${data.actorId}, skipping default flag initialization`);
-        return;
-    }
-    
-    // Check if actor already has visibility flags set
-    let currentFlags = actor.getFlag(MODULE_ID, 'hiddenElements');
-    if (currentFlags && Object.keys(currentFlags).length > 0) {
-        console.log(`${MODULE_ID} | [DEBUG] Actor ${actor.name} already has visibility flags, skipping initialization`);
-        return;
-    }
-    
-    // Initialize default visibility flags
-    try {
-        const systemId = actor.system?.id || game.system.id;
-        const systemHandler = systemRegistry.getHandler(systemId);
-        
-        if (!systemHandler) {
-            console.log(`${MODULE_ID} | [DEBUG] No system handler found for ${systemId}, skipping default flag initialization`);
-            return;
-        }
-        
-        console.log(`${MODULE_ID} | [DEBUG] Initializing default visibility flags for new token of actor: ${actor.name}`);
-        
-        const sectionDefinitions = systemHandler.getSystemSectionDefinitions();
-        const newFlags = {};
-
-        // Get the visibility settings object
-        const defaultVisibilitySettings = game.settings.get(MODULE_ID, 'defaultVisibilitySettings') || {};
-
-        // Handle legacy "Defenses" setting by applying it to all individual defense categories
-        const legacyDefensesHidden = defaultVisibilitySettings['dnd5e-showDefault-defensesSection'] === false;
-        const passiveFeaturesHidden = defaultVisibilitySettings['dnd5e-showDefault-passiveFeaturesSection'] === false;
-        
-        // First, set flags for section headers as before
-        for (const defKey in sectionDefinitions) {
-            const definition = sectionDefinitions[defKey];
-            if (definition.defaultShowSettingKey) {
-                // Read from the object instead of individual settings
-                let showByDefault = defaultVisibilitySettings[definition.defaultShowSettingKey] ?? true;
-                
-                // Apply legacy "Defenses" setting to individual defense categories
-                if (legacyDefensesHidden && definition.defaultShowSettingKey.includes('defense')) {
-                    showByDefault = false;
-                    console.log(`${MODULE_ID} | [DEBUG] Applying legacy defenses setting to ${definition.defaultShowSettingKey}`);
-                }
-                
-                const isHidden = !showByDefault;
-
-                if (definition.type === 'single') {
-                    newFlags[definition.keyPattern] = isHidden;
-                } else if (definition.type === 'group') {
-                    if (definition.keyPattern === 'ability-') {
-                        // Delegate to system handler for ability keys
-                        const abilityKeys = systemHandler.getDefaultAbilityKeys?.() || [];
-                        abilityKeys.forEach(abilKey => {
-                            newFlags[`ability-${abilKey}`] = isHidden;
-                        });
-                    }
-                }
-            }
-        }
-        
-        // Now, get ALL possible toggleable keys and apply defaults to individual items
-        try {
-            // Generate defense tag keys directly from actor traits (don't rely on SIDS data)
-            const defenseTagKeys = _generateDefenseTagKeys(actor);
-            console.log(`${MODULE_ID} | [DEBUG] Generated defense tag keys:`, defenseTagKeys);
-            
-            // Generate feature keys directly from actor items
-            const featureKeys = _generateFeatureKeys(actor);
-            console.log(`${MODULE_ID} | [DEBUG] Generated feature keys:`, featureKeys);
-            
-            // Generate ACTIVE feature keys directly from actor items
-            const activeFeatureKeys = _generateActiveFeatureKeys(actor);
-            console.log(`${MODULE_ID} | [DEBUG] Generated active feature keys:`, activeFeatureKeys);
-            
-            // Generate active effect keys directly from actor effects
-            const activeEffectKeys = _generateActiveEffectKeys(actor);
-            console.log(`${MODULE_ID} | [DEBUG] Generated active effect keys:`, activeEffectKeys);
-            
-            // Combine all keys
-            const allKeys = [...defenseTagKeys, ...featureKeys, ...activeFeatureKeys, ...activeEffectKeys];
-            console.log(`${MODULE_ID} | [DEBUG] All generated keys:`, allKeys);
-            console.log(`${MODULE_ID} | [DEBUG] Current default visibility settings:`, defaultVisibilitySettings);
-            
-            for (const key of allKeys) {
-                // Skip if we already set this key above
-                if (newFlags[key] !== undefined) continue;
-                
-                // Apply defaults to individual defense tags based on legacy "Defenses" setting OR individual category settings
-                if (key.startsWith('def-tag-')) {
-                    let shouldHide = false;
-                    
-                    // Check legacy "Defenses" setting first
-                    if (legacyDefensesHidden) {
-                        shouldHide = true;
-                        console.log(`${MODULE_ID} | [DEBUG] Hiding defense tag ${key} due to legacy Defenses setting`);
-                    }
-                    
-                    // Check individual defense category settings
-                    if (key.startsWith('def-tag-resistances-')) {
-                        const resistancesHidden = defaultVisibilitySettings['dnd5e-showDefault-defenseResistances'] === false;
-                        if (resistancesHidden) {
-                            shouldHide = true;
-                            console.log(`${MODULE_ID} | [DEBUG] Hiding defense tag ${key} due to Resistances setting`);
-                        }
-                    } else if (key.startsWith('def-tag-immunities-')) {
-                        const immunitiesHidden = defaultVisibilitySettings['dnd5e-showDefault-defenseImmunities'] === false;
-                        if (immunitiesHidden) {
-                            shouldHide = true;
-                            console.log(`${MODULE_ID} | [DEBUG] Hiding defense tag ${key} due to Immunities setting`);
-                        }
-                    } else if (key.startsWith('def-tag-vulnerabilities-')) {
-                        const vulnerabilitiesHidden = defaultVisibilitySettings['dnd5e-showDefault-defenseVulnerabilities'] === false;
-                        if (vulnerabilitiesHidden) {
-                            shouldHide = true;
-                            console.log(`${MODULE_ID} | [DEBUG] Hiding defense tag ${key} due to Vulnerabilities setting`);
-                        }
-                    } else if (key.startsWith('def-tag-conditionimmunities-')) {
-                        const conditionsHidden = defaultVisibilitySettings['dnd5e-showDefault-defenseConditions'] === false;
-                        if (conditionsHidden) {
-                            shouldHide = true;
-                            console.log(`${MODULE_ID} | [DEBUG] Hiding defense tag ${key} due to Condition Immunities setting`);
-                        }
-                    }
-                    
-                    if (shouldHide) {
-                        newFlags[key] = true; // Hide individual defense tags
-                    }
-                }
-                
-                // Apply defaults to individual feature items based on "Features" setting
-                if (key.startsWith('feature-') && passiveFeaturesHidden) {
-                    newFlags[key] = true; // Hide individual feature items
-                    console.log(`${MODULE_ID} | [DEBUG] Hiding individual feature item: ${key}`);
-                }
-                
-                // Apply defaults to individual ACTIVE feature items based on "Active Features" setting
-                if (key.startsWith('active-feature-')) {
-                    const activeFeaturesHidden = defaultVisibilitySettings['dnd5e-showDefault-activeFeaturesSection'] === false;
-                    if (activeFeaturesHidden) {
-                        newFlags[key] = true;
-                        console.log(`${MODULE_ID} | [DEBUG] Hiding individual active feature item: ${key}`);
-                    }
-                }
-                
-                // Apply defaults to individual active effects based on "Active Effects" setting
-                if (key.startsWith('effect-')) {
-                    const activeEffectsHidden = defaultVisibilitySettings['dnd5e-showDefault-activeEffectsSection'] === false;
-                    if (activeEffectsHidden) {
-                        newFlags[key] = true; // Hide individual active effects
-                        console.log(`${MODULE_ID} | [DEBUG] Hiding individual active effect: ${key}`);
-                    }
-                }
-            }
-        } catch (error) {
-            console.warn(`${MODULE_ID} | Error getting all toggleable keys for default initialization:`, error);
-        }
-        
-        console.log(`${MODULE_ID} | [DEBUG] Setting initialized default flags for actor ${actor.name}:`, newFlags);
-        
-        await actor.setFlag(MODULE_ID, 'hiddenElements', newFlags);
-        
-        console.log(`${MODULE_ID} | Successfully initialized default visibility flags for actor: ${actor.name}`);
-        
-    } catch (error) {
-        console.error(`${MODULE_ID} | Error initializing default visibility flags for actor ${actor.name}:`, error);
-    }
-});
-
 // Load system templates after all modules have initialized
 Hooks.once('ready', async function() {
+    registerSocket();
     await registerSystemTemplates();
+    await runMigrations();
 });
 
-/**
- * Generates defense tag keys directly from actor traits (D&D 5e specific)
- * @param {Actor} actor - The actor to generate keys for
- * @returns {string[]} Array of defense tag keys
- */
-function _generateDefenseTagKeys(actor) {
-    const keys = [];
-    
-    if (!actor || !actor.system?.traits) {
-        console.log(`${MODULE_ID} | [DEBUG] _generateDefenseTagKeys: No actor or traits found`);
-        return keys;
-    }
-    
-    const traits = actor.system.traits;
-    console.log(`${MODULE_ID} | [DEBUG] _generateDefenseTagKeys: Actor traits structure:`, traits);
-    
-    const defenseCategories = [
-        { dataPath: traits.dr, id: "resistances" },
-        { dataPath: traits.di, id: "immunities" },
-        { dataPath: traits.dv, id: "vulnerabilities" },
-        { dataPath: traits.ci, id: "conditionimmunities" }
-    ];
-    
-    console.log(`${MODULE_ID} | [DEBUG] _generateDefenseTagKeys: Defense categories data:`, defenseCategories.map(c => ({ id: c.id, dataPath: c.dataPath })));
-    
-    for (const category of defenseCategories) {
-        const tagKeyPrefix = `def-tag-${category.id}-`;
-        
-        console.log(`${MODULE_ID} | [DEBUG] _generateDefenseTagKeys: Processing category ${category.id}:`, category.dataPath);
-        
-        // Process trait values array
-        let traitValues = [];
-        if (category.dataPath?.value) {
-            console.log(`${MODULE_ID} | [DEBUG] _generateDefenseTagKeys: Found value for ${category.id}:`, category.dataPath.value);
-            if (category.dataPath.value instanceof Set) {
-                // D&D 5e stores traits as Set objects
-                traitValues = Array.from(category.dataPath.value);
-                console.log(`${MODULE_ID} | [DEBUG] _generateDefenseTagKeys: Converted Set to Array for ${category.id}:`, traitValues);
-            } else if (Array.isArray(category.dataPath.value)) {
-                traitValues = category.dataPath.value;
-            } else if (typeof category.dataPath.value === 'object') {
-                traitValues = Object.entries(category.dataPath.value)
-                    .filter(([, enabled]) => enabled === true)
-                    .map(([type]) => type);
-            }
-        } else {
-            console.log(`${MODULE_ID} | [DEBUG] _generateDefenseTagKeys: No value found for ${category.id}`);
-        }
-        
-        console.log(`${MODULE_ID} | [DEBUG] _generateDefenseTagKeys: Trait values for ${category.id}:`, traitValues);
-        
-        // Generate keys for each trait value
-        traitValues.forEach(val => {
-            const tagKey = tagKeyPrefix + val.toLowerCase().replace(/[^a-z0-9]/gi, '');
-            console.log(`${MODULE_ID} | [DEBUG] _generateDefenseTagKeys: Generated key for ${category.id}:`, tagKey);
-            keys.push(tagKey);
-        });
-        
-        // Process custom string
-        if (category.dataPath?.custom && typeof category.dataPath.custom === 'string') {
-            console.log(`${MODULE_ID} | [DEBUG] _generateDefenseTagKeys: Found custom string for ${category.id}:`, category.dataPath.custom);
-            const customItems = category.dataPath.custom.split(';').map(s => s.trim()).filter(s => s.length > 0);
-            customItems.forEach(val => {
-                const tagKey = tagKeyPrefix + val.toLowerCase().replace(/[^a-z0-9]/gi, '');
-                console.log(`${MODULE_ID} | [DEBUG] _generateDefenseTagKeys: Generated custom key for ${category.id}:`, tagKey);
-                keys.push(tagKey);
-            });
-        } else {
-            console.log(`${MODULE_ID} | [DEBUG] _generateDefenseTagKeys: No custom string for ${category.id}`);
-        }
-    }
-    
-    return keys;
-}
-
-/**
- * Generates feature keys directly from actor items (D&D 5e specific)
- * @param {Actor} actor - The actor to generate keys for
- * @returns {string[]} Array of feature keys
- */
-function _generateFeatureKeys(actor) {
-    const keys = [];
-    
-    if (!actor || !actor.items) return keys;
-    
-    const isCommon = (name) => {
-        const k = String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
-        const S = new Set([
-            'attack','castaspell','dash','disengage','dodge','help','hide','ready','search','useanobject',
-            'grapple','shove','improvisedaction','readyaction','readyspell','squeeze','stabilize','fall','underwater','checkcover'
-        ]);
-        return S.has(k);
-    };
-    
-    const passiveFeatureItems = actor.items.filter(item => {
-        if (item.type !== "feat") return false;
-        if (isCommon(item.name)) return false;
-        // Strict rule: passive if activities missing or empty
-        const activities = item.system.activities;
-        if (!activities) return true;
-        if (activities instanceof Map) return activities.size === 0;
-        if (typeof activities === 'object') return Object.keys(activities).length === 0;
-        return true;
-    });
-    
-    passiveFeatureItems.forEach(item => {
-        keys.push(`feature-${item.id}`);
-    });
-    
-    return keys;
-}
-
-/**
- * Generates ACTIVE feature keys directly from actor items (D&D 5e specific)
- * @param {Actor} actor - The actor to generate keys for
- * @returns {string[]} Array of active feature keys
- */
-function _generateActiveFeatureKeys(actor) {
-    const keys = [];
-    if (!actor || !actor.items) return keys;
-
-    const isCommon = (name) => {
-        const k = String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
-        const S = new Set([
-            'attack','castaspell','dash','disengage','dodge','help','hide','ready','search','useanobject',
-            'grapple','shove','improvisedaction','readyaction','readyspell','squeeze','stabilize','fall','underwater','checkcover'
-        ]);
-        return S.has(k);
-    };
-
-    const activeFeatureItems = actor.items.filter(item => {
-        if (item.type !== 'feat') return false;
-        if (isCommon(item.name)) return false;
-        const activities = item.system.activities;
-        if (!activities) return false;
-        if (activities instanceof Map) return activities.size > 0;
-        if (typeof activities === 'object') return Object.keys(activities).length > 0;
-        return false;
-    });
-
-    activeFeatureItems.forEach(item => keys.push(`active-feature-${item.id}`));
-    return keys;
-}
-
-/**
- * Generates active effect keys directly from actor effects
- * @param {Actor} actor - The actor to generate keys for  
- * @returns {string[]} Array of active effect keys
- */
-function _generateActiveEffectKeys(actor) {
-    const keys = [];
-    
-    if (!actor || !actor.effects) return keys;
-    
-    actor.effects.filter(e => !e.disabled).forEach(effect => {
-        keys.push(`effect-${effect.id}`);
-    });
-    
-    return keys;
-}
-
 // Expose for other modules or debugging if needed.
 // e.g., globalThis.InspectStatblock = { InspectStatblockApp, _openInspectStatblockForTargetedToken, _closeAllInspectStatblockApps }; 
\ No newline at end of file
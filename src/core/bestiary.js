@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Shared creature knowledge ("bestiary") for the Inspect Statblock module.
+ * Reveals are remembered per creature source (e.g. the compendium entry an actor was imported from),
+ * so every actor created from the same source shares what the party has already learned.
+ *
+ * Knowledge is stored in a world setting as `{ [sourceKey]: { [portableElementKey]: true } }`.
+ * Portable element keys are produced by the system handler so that keys tied to document IDs
+ * (items, effects) still match across different actors of the same source.
+ */
+
+import { systemRegistry } from './system-registry.js';
+
+const MODULE_ID = 'inspect-statblock';
+
+/**
+ * World setting holding the accumulated creature knowledge.
+ * @type {string}
+ */
+export const KNOWLEDGE_SETTING = 'creatureKnowledge';
+
+/**
+ * Whether shared creature knowledge is enabled in this world.
+ * @returns {boolean}
+ */
+export function isCreatureKnowledgeEnabled() {
+    return game.settings.get(MODULE_ID, 'shareCreatureKnowledge') === true;
+}
+
+/**
+ * Returns the key identifying the creature source of an actor, or null if it has none.
+ * Delegates to the system handler, falling back to the compendium source of the actor.
+ * @param {Actor} actor - The actor document.
+ * @returns {string|null}
+ */
+export function getCreatureSourceKey(actor) {
+    if (!actor) return null;
+    const handler = _getHandler();
+    if (handler?.getKnowledgeSourceKey) {
+        return handler.getKnowledgeSourceKey(actor) || null;
+    }
+    return actor._stats?.compendiumSource || actor.flags?.core?.sourceId || null;
+}
+
+/**
+ * Returns the actual element keys of an actor that its creature source already knows about.
+ * @param {Actor} actor - The actor document.
+ * @returns {string[]}
+ */
+export function getKnownElementKeys(actor) {
+    if (!isCreatureKnowledgeEnabled()) return [];
+    const sourceKey = getCreatureSourceKey(actor);
+    if (!sourceKey) return [];
+
+    const knowledge = game.settings.get(MODULE_ID, KNOWLEDGE_SETTING)?.[sourceKey] || {};
+    const handler = _getHandler();
+    return Object.keys(knowledge)
+        .filter(portableKey => knowledge[portableKey])
+        .map(portableKey => handler?.resolvePortableElementKey ? handler.resolvePortableElementKey(actor, portableKey) : portableKey)
+        .filter(elementKey => !!elementKey);
+}
+
+/**
+ * Returns the portable element keys a creature source is known for, e.g. to export them.
+ * @param {string|null} sourceKey - The creature source (see getCreatureSourceKey).
+ * @returns {string[]}
+ */
+export function getSourceKnowledge(sourceKey) {
+    if (!sourceKey) return [];
+    const knowledge = game.settings.get(MODULE_ID, KNOWLEDGE_SETTING)?.[sourceKey] || {};
+    return Object.keys(knowledge).filter(portableKey => knowledge[portableKey]);
+}
+
+/**
+ * Adds portable element keys to the knowledge of a creature source, e.g. from an import.
+ * Only GMs can write the knowledge store; calls from other users are ignored.
+ * @param {string|null} sourceKey - The creature source (see getCreatureSourceKey).
+ * @param {string[]} portableKeys - The keys now known.
+ * @returns {Promise<boolean>} True if the knowledge store was updated.
+ */
+export async function addSourceKnowledge(sourceKey, portableKeys) {
+    if (!game.user.isGM || !sourceKey) return false;
+    const allKnowledge = foundry.utils.deepClone(game.settings.get(MODULE_ID, KNOWLEDGE_SETTING) || {});
+    const sourceKnowledge = allKnowledge[sourceKey] || {};
+    const added = (portableKeys || []).filter(portableKey => portableKey && !sourceKnowledge[portableKey]);
+    if (added.length === 0) return false;
+
+    for (const portableKey of added) sourceKnowledge[portableKey] = true;
+    allKnowledge[sourceKey] = sourceKnowledge;
+    console.log(`${MODULE_ID} | Adding ${added.length} known element(s) to creature source ${sourceKey}.`);
+    await game.settings.set(MODULE_ID, KNOWLEDGE_SETTING, allKnowledge);
+    return true;
+}
+
+/**
+ * Applies the shared knowledge of an actor's creature source on top of its hiddenElements flags.
+ * @param {Actor} actor - The actor document.
+ * @param {object} hiddenElements - The stored hiddenElements flag (elementKey -> true if hidden).
+ * @returns {object} A new hiddenElements map in which known elements are visible (false).
+ */
+export function applyCreatureKnowledge(actor, hiddenElements) {
+    const result = { ...(hiddenElements || {}) };
+    for (const elementKey of getKnownElementKeys(actor)) {
+        result[elementKey] = false;
+    }
+    return result;
+}
+
+/**
+ * Records reveals (and re-hides) of an actor's elements into the knowledge of its creature source.
+ * Only GMs can write the knowledge store; calls from other users are ignored.
+ * @param {Actor} actor - The actor whose elements changed.
+ * @param {object} changes - elementKey -> true if the element is now revealed, false if it was hidden again.
+ * @param {object} [options={}]
+ * @param {boolean} [options.forgetAll=false] - Forget everything known about the source before applying changes.
+ * @returns {Promise<boolean>} True if the knowledge store was updated.
+ */
+export async function recordCreatureKnowledge(actor, changes, { forgetAll = false } = {}) {
+    if (!game.user.isGM || !isCreatureKnowledgeEnabled()) return false;
+    const sourceKey = getCreatureSourceKey(actor);
+    if (!sourceKey) return false;
+
+    const handler = _getHandler();
+    const allKnowledge = foundry.utils.deepClone(game.settings.get(MODULE_ID, KNOWLEDGE_SETTING) || {});
+    const sourceKnowledge = forgetAll ? {} : (allKnowledge[sourceKey] || {});
+    let changed = forgetAll && Object.keys(allKnowledge[sourceKey] || {}).length > 0;
+
+    for (const [elementKey, revealed] of Object.entries(changes || {})) {
+        const portableKey = handler?.getPortableElementKey ? handler.getPortableElementKey(actor, elementKey) : elementKey;
+        if (!portableKey) continue;
+        if (revealed && !sourceKnowledge[portableKey]) {
+            sourceKnowledge[portableKey] = true;
+            changed = true;
+        } else if (!revealed && sourceKnowledge[portableKey]) {
+            delete sourceKnowledge[portableKey];
+            changed = true;
+        }
+    }
+
+    if (!changed) return false;
+
+    if (Object.keys(sourceKnowledge).length > 0) allKnowledge[sourceKey] = sourceKnowledge;
+    else delete allKnowledge[sourceKey];
+
+    console.log(`${MODULE_ID} | Updating creature knowledge for source ${sourceKey}:`, sourceKnowledge);
+    await game.settings.set(MODULE_ID, KNOWLEDGE_SETTING, allKnowledge);
+    return true;
+}
+
+/**
+ * Gets the system handler for the active game system.
+ * @returns {object|null}
+ * @private
+ */
+function _getHandler() {
+    return systemRegistry.getHandler(game.system.id);
+}
@@ -0,0 +1,396 @@
+/**
+ * @fileoverview Scoped clearing, backup and restore of the Inspect Statblock flags.
+ * Flags can be cleared for the current scene, the selected tokens, an actor folder or the whole world.
+ * Before anything is cleared the affected flags are backed up to a world setting and/or a JSON file,
+ * and any backup can be restored later. Only the visibility flags are cleared; other module data on the
+ * documents (actor reveal rules, reveal history, display settings) is left alone.
+ */
+
+import { AUDIENCE_FLAG, REVEAL_LEVEL_FLAG } from './visibility.js';
+
+const MODULE_ID = 'inspect-statblock';
+
+/** The module flags holding what players can see, which are cleared, backed up and restored. */
+const VISIBILITY_FLAG_KEYS = ['hiddenElements', AUDIENCE_FLAG, REVEAL_LEVEL_FLAG];
+
+/** World setting holding the stored backups. */
+export const FLAG_BACKUPS_SETTING = 'flagBackups';
+
+/** Number of backups kept in the world setting; older ones are dropped. */
+const MAX_STORED_BACKUPS = 5;
+
+/**
+ * Scopes flags can be cleared for.
+ * @enum {string}
+ */
+export const CLEAR_SCOPES = {
+    SCENE: 'scene',
+    TOKENS: 'tokens',
+    FOLDER: 'folder',
+    WORLD: 'world'
+};
+
+/** Localization keys of the scope labels. */
+const SCOPE_LABELS = {
+    [CLEAR_SCOPES.SCENE]: 'INSPECTSTATBLOCK.FlagScopeScene',
+    [CLEAR_SCOPES.TOKENS]: 'INSPECTSTATBLOCK.FlagScopeTokens',
+    [CLEAR_SCOPES.FOLDER]: 'INSPECTSTATBLOCK.FlagScopeFolder',
+    [CLEAR_SCOPES.WORLD]: 'INSPECTSTATBLOCK.FlagScopeWorld'
+};
+
+/**
+ * Collects the documents holding visibility flags within a scope.
+ * Token scopes cover the token documents and their unlinked token actors, and optionally the world actors of the tokens.
+ * @param {string} scope - One of CLEAR_SCOPES.
+ * @param {object} [options]
+ * @param {string} [options.folderId] - Actor folder for the folder scope (subfolders included).
+ * @param {boolean} [options.includeActors=true] - Include the world actors of the tokens in token scopes.
+ * @returns {Array<Actor|TokenDocument>} Documents with visibility flags, without duplicates.
+ */
+export function collectFlagDocuments(scope, { folderId = null, includeActors = true } = {}) {
+    const docs = new Map();
+    const add = doc => {
+        if (doc && Object.keys(_getVisibilityFlags(doc)).length > 0) docs.set(doc.uuid, doc);
+    };
+    const addToken = tokenDoc => {
+        add(tokenDoc);
+        if (!tokenDoc.actorLink) add(tokenDoc.actor);
+        if (includeActors) add(game.actors.get(tokenDoc.actorId));
+    };
+
+    switch (scope) {
+        case CLEAR_SCOPES.SCENE:
+            for (const tokenDoc of canvas.scene?.tokens?.contents ?? []) addToken(tokenDoc);
+            break;
+        case CLEAR_SCOPES.TOKENS:
+            for (const token of canvas.tokens?.controlled ?? []) addToken(token.document);
+            break;
+        case CLEAR_SCOPES.FOLDER: {
+            const folder = game.folders.get(folderId);
+            if (!folder) break;
+            for (const f of [folder, ...folder.getSubfolders(true)]) {
+                for (const actor of f.contents) add(actor);
+            }
+            break;
+        }
+        case CLEAR_SCOPES.WORLD:
+            for (const actor of game.actors?.contents ?? []) add(actor);
+            for (const scene of game.scenes?.contents ?? []) {
+                for (const tokenDoc of scene.tokens?.contents ?? []) {
+                    add(tokenDoc);
+                    if (!tokenDoc.actorLink) add(tokenDoc.actor);
+                }
+            }
+            break;
+    }
+    return Array.from(docs.values());
+}
+
+/**
+ * Creates a backup of the visibility flags of the given documents.
+ * @param {Array<Actor|TokenDocument>} docs - The documents to back up.
+ * @param {string} scope - The scope the backup was taken for.
+ * @returns {object} The backup.
+ */
+export function createFlagBackup(docs, scope) {
+    const backup = {
+        id: foundry.utils.randomID(),
+        module: MODULE_ID,
+        createdAt: Date.now(),
+        scope,
+        label: game.i18n.format("INSPECTSTATBLOCK.FlagBackupLabel", { scope: _getScopeLabel(scope), count: docs.length }),
+        documents: docs.map(doc => ({
+            uuid: doc.uuid,
+            name: doc.name,
+            flags: foundry.utils.deepClone(_getVisibilityFlags(doc))
+        }))
+    };
+    // Clearing the world also forgets the shared creature knowledge
+    if (scope === CLEAR_SCOPES.WORLD) {
+        backup.creatureKnowledge = foundry.utils.deepClone(game.settings.get(MODULE_ID, 'creatureKnowledge') || {});
+    }
+    return backup;
+}
+
+/**
+ * Stores a backup in the world setting, dropping the oldest ones beyond MAX_STORED_BACKUPS.
+ * @param {object} backup - The backup.
+ * @returns {Promise<void>}
+ */
+export async function storeFlagBackup(backup) {
+    const backups = [backup, ...getStoredFlagBackups()].slice(0, MAX_STORED_BACKUPS);
+    await game.settings.set(MODULE_ID, FLAG_BACKUPS_SETTING, backups);
+}
+
+/**
+ * The backups stored in the world setting, newest first.
+ * @returns {object[]}
+ */
+export function getStoredFlagBackups() {
+    return game.settings.get(MODULE_ID, FLAG_BACKUPS_SETTING) || [];
+}
+
+/**
+ * Removes the visibility flags from the given documents.
+ * @param {Array<Actor|TokenDocument>} docs - The documents to clear.
+ * @param {string} scope - The cleared scope.
+ * @returns {Promise<number>} Number of cleared documents.
+ */
+export async function clearFlagDocuments(docs, scope) {
+    let cleared = 0;
+    for (const doc of docs) {
+        await doc.update(_getVisibilityFlagDeletion());
+        cleared++;
+        console.log(`${MODULE_ID} | Cleared visibility flags for ${doc.documentName}: ${doc.name}`);
+    }
+    // Forget the shared creature knowledge as well, otherwise it would re-reveal elements
+    if (scope === CLEAR_SCOPES.WORLD) await game.settings.set(MODULE_ID, 'creatureKnowledge', {});
+    return cleared;
+}
+
+/**
+ * Restores a backup. The visibility flags of every backed up document are replaced by the backed up ones;
+ * documents that no longer exist are skipped. Other flags in the backup are ignored.
+ * @param {object} backup - The backup.
+ * @returns {Promise<{restored: number, missing: string[]}>}
+ */
+export async function restoreFlagBackup(backup) {
+    if (backup?.module !== MODULE_ID || !Array.isArray(backup.documents)) {
+        throw new Error(game.i18n.localize("INSPECTSTATBLOCK.FlagBackupInvalid"));
+    }
+
+    let restored = 0;
+    const missing = [];
+    for (const entry of backup.documents) {
+        const doc = await fromUuid(entry.uuid);
+        if (!doc) {
+            missing.push(entry.name ?? entry.uuid);
+            continue;
+        }
+        const flags = Object.fromEntries(VISIBILITY_FLAG_KEYS.filter(key => entry.flags?.[key] !== undefined)
+            .map(key => [`flags.${MODULE_ID}.${key}`, entry.flags[key]]));
+        await doc.update(_getVisibilityFlagDeletion());
+        if (Object.keys(flags).length > 0) await doc.update(flags);
+        restored++;
+    }
+    if (backup.creatureKnowledge) await game.settings.set(MODULE_ID, 'creatureKnowledge', backup.creatureKnowledge);
+
+    console.log(`${MODULE_ID} | Restored flag backup "${backup.label}": ${restored} document(s), ${missing.length} missing.`);
+    return { restored, missing };
+}
+
+/**
+ * FormApplication for clearing the module flags of a scope, and restoring backups.
+ */
+export class FlagMaintenanceApp extends FormApplication {
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'inspect-statblock-flag-maintenance',
+            title: 'Clear and Restore Statblock Flags',
+            template: `modules/${MODULE_ID}/templates/flag-maintenance.hbs`,
+            width: 520,
+            height: 'auto',
+            classes: ['inspect-statblock', 'flag-maintenance'],
+            closeOnSubmit: false,
+            submitOnChange: false
+        });
+    }
+
+    /**
+     * Prepare data for the template.
+     */
+    async getData(options = {}) {
+        const folders = game.folders.filter(f => f.type === 'Actor')
+            .map(f => ({ id: f.id, name: '  '.repeat(Math.max(0, f.depth - 1)) + f.name }));
+
+        return {
+            scopes: Object.values(CLEAR_SCOPES).map(scope => ({
+                value: scope,
+                label: _getScopeLabel(scope),
+                checked: scope === CLEAR_SCOPES.SCENE,
+                disabled: (scope === CLEAR_SCOPES.SCENE && !canvas.scene) || (scope === CLEAR_SCOPES.FOLDER && folders.length === 0)
+            })),
+            folders,
+            backups: getStoredFlagBackups().map(b => ({
+                id: b.id,
+                label: b.label,
+                date: new Date(b.createdAt).toLocaleString()
+            }))
+        };
+    }
+
+    /**
+     * Activate event listeners.
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find('[data-action="restore-backup"]').on('click', this._onRestoreStoredBackup.bind(this));
+        html.find('[data-action="delete-backup"]').on('click', this._onDeleteStoredBackup.bind(this));
+        html.find('[data-action="download-backup"]').on('click', this._onDownloadStoredBackup.bind(this));
+        html.find('input[name="restoreFile"]').on('change', this._onRestoreFromFile.bind(this));
+    }
+
+    /**
+     * Clear the flags of the chosen scope after backing them up.
+     */
+    async _updateObject(event, formData) {
+        const { scope, folderId, includeActors, backupToWorld, backupToFile } = formData;
+        const docs = collectFlagDocuments(scope, { folderId, includeActors });
+
+        if (docs.length === 0) {
+            ui.notifications.info(game.i18n.localize("INSPECTSTATBLOCK.FlagClearNothing"));
+            return;
+        }
+        if (!backupToWorld && !backupToFile) {
+            ui.notifications.warn(game.i18n.localize("INSPECTSTATBLOCK.FlagClearNoBackup"));
+            return;
+        }
+
+        const confirmed = await Dialog.confirm({
+            title: game.i18n.localize("INSPECTSTATBLOCK.FlagClearTitle"),
+            content: `<p>${game.i18n.format("INSPECTSTATBLOCK.FlagClearConfirm", { count: docs.length, scope: _getScopeLabel(scope) })}</p>
+                <p>${game.i18n.localize("INSPECTSTATBLOCK.FlagClearConfirmHint")}</p>`,
+            defaultYes: false
+        });
+        if (!confirmed) return;
+
+        try {
+            const backup = createFlagBackup(docs, scope);
+            if (backupToWorld) await storeFlagBackup(backup);
+            if (backupToFile) _downloadBackup(backup);
+
+            const cleared = await clearFlagDocuments(docs, scope);
+            console.log(`${MODULE_ID} | Cleared Inspect Statblock data from ${cleared} document(s) (${scope}).`);
+            ui.notifications.info(game.i18n.format("INSPECTSTATBLOCK.FlagClearDone", { count: cleared }));
+            _rerenderOpenStatblocks();
+            this.render();
+        } catch (error) {
+            console.error(`${MODULE_ID} | Error clearing Inspect Statblock data:`, error);
+            ui.notifications.error(game.i18n.format("INSPECTSTATBLOCK.FlagClearFailed", { error: error.message }));
+        }
+    }
+
+    /**
+     * Restore a backup stored in the world setting.
+     * @private
+     */
+    async _onRestoreStoredBackup(event) {
+        event.preventDefault();
+        const backup = getStoredFlagBackups().find(b => b.id === event.currentTarget.dataset.backupId);
+        if (!backup) return;
+
+        const confirmed = await Dialog.confirm({
+            title: game.i18n.localize("INSPECTSTATBLOCK.FlagRestoreTitle"),
+            content: `<p>${game.i18n.format("INSPECTSTATBLOCK.FlagRestoreConfirm", { label: Handlebars.escapeExpression(backup.label) })}</p>`,
+            defaultYes: false
+        });
+        if (!confirmed) return;
+        try {
+            await this._restore(backup);
+        } catch (error) {
+            console.error(`${MODULE_ID} | Error restoring flag backup:`, error);
+            ui.notifications.error(game.i18n.format("INSPECTSTATBLOCK.FlagRestoreFailed", { error: error.message }));
+        }
+    }
+
+    /**
+     * Restore a backup from an uploaded JSON file.
+     * @private
+     */
+    async _onRestoreFromFile(event) {
+        const file = event.currentTarget.files?.[0];
+        if (!file) return;
+        try {
+            await this._restore(JSON.parse(await readTextFromFile(file)));
+        } catch (error) {
+            console.error(`${MODULE_ID} | Error reading flag backup file:`, error);
+            ui.notifications.error(game.i18n.format("INSPECTSTATBLOCK.FlagRestoreFailed", { error: error.message }));
+        }
+        event.currentTarget.value = '';
+    }
+
+    /**
+     * Download a backup stored in the world setting as JSON.
+     * @private
+     */
+    _onDownloadStoredBackup(event) {
+        event.preventDefault();
+        const backup = getStoredFlagBackups().find(b => b.id === event.currentTarget.dataset.backupId);
+        if (backup) _downloadBackup(backup);
+    }
+
+    /**
+     * Delete a backup from the world setting.
+     * @private
+     */
+    async _onDeleteStoredBackup(event) {
+        event.preventDefault();
+        const backupId = event.currentTarget.dataset.backupId;
+        await game.settings.set(MODULE_ID, FLAG_BACKUPS_SETTING, getStoredFlagBackups().filter(b => b.id !== backupId));
+        this.render();
+    }
+
+    /**
+     * Restore a backup and report the result.
+     * @private
+     */
+    async _restore(backup) {
+        const { restored, missing } = await restoreFlagBackup(backup);
+        const key = missing.length > 0 ? "INSPECTSTATBLOCK.FlagRestoreDoneMissing" : "INSPECTSTATBLOCK.FlagRestoreDone";
+        ui.notifications.info(game.i18n.format(key, { count: restored, missing: missing.length }));
+        _rerenderOpenStatblocks();
+    }
+}
+
+/**
+ * The visibility flags of a document.
+ * @param {Actor|TokenDocument} doc - The document.
+ * @returns {object} Flag key -> value, for the keys the document has.
+ * @private
+ */
+function _getVisibilityFlags(doc) {
+    const flags = doc.flags?.[MODULE_ID] ?? {};
+    return Object.fromEntries(VISIBILITY_FLAG_KEYS.filter(key => flags[key] !== undefined).map(key => [key, flags[key]]));
+}
+
+/**
+ * Update data deleting the visibility flags of a document.
+ * @returns {object}
+ * @private
+ */
+function _getVisibilityFlagDeletion() {
+    return Object.fromEntries(VISIBILITY_FLAG_KEYS.map(key => [`flags.${MODULE_ID}.-=${key}`, null]));
+}
+
+/**
+ * The label of a clear scope.
+ * @param {string} scope - One of CLEAR_SCOPES.
+ * @returns {string}
+ * @private
+ */
+function _getScopeLabel(scope) {
+    return SCOPE_LABELS[scope] ? game.i18n.localize(SCOPE_LABELS[scope]) : scope;
+}
+
+/**
+ * Saves a backup as a JSON file.
+ * @param {object} backup - The backup.
+ * @private
+ */
+function _downloadBackup(backup) {
+    const stamp = new Date(backup.createdAt).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    saveDataToFile(JSON.stringify(backup, null, 2), 'text/json', `${MODULE_ID}-backup-${backup.scope}-${stamp}.json`);
+}
+
+/**
+ * Re-renders every open statblock window.
+ * @private
+ */
+function _rerenderOpenStatblocks() {
+    Object.values(ui.windows).forEach(app => {
+        if (app.constructor.name === 'InspectStatblockApp') {
+            app.render(true);
+        }
+    });
+}
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Key-level, coalesced writes of the visibility flags of the Inspect Statblock module.
+ * Changes are written to individual `flags.inspect-statblock.hiddenElements.<key>` (and
+ * `elementAudiences.<key>`, `revealLevels.<key>`) paths instead of replacing the whole object, so concurrent writes to
+ * different keys no longer overwrite each other. Changes queued for the same document within a short
+ * window (e.g. several quick right-clicks, or a batch of auto-reveals) are sent as a single update.
+ *
+ * Only deviations from the default visibility are stored: setting an element to its default
+ * state removes its entry, so it keeps following the defaults if those change later. In hybrid
+ * storage a token override matching the actor baseline is removed the same way.
+ *
+ * Each batch also adds its changes to the document's reveal history, key by key as well (see reveal-history.js).
+ */
+
+import { AUDIENCE_FLAG, REVEAL_LEVEL_FLAG, getDefaultHiddenState, isElementHidden } from './visibility.js';
+import { FLAG_SCHEMA_VERSION } from './migrations.js';
+import { isHybridStorage, getBaselineActor } from './storage.js';
+import { buildRevealHistoryUpdate } from './reveal-history.js';
+
+const MODULE_ID = 'inspect-statblock';
+
+/** Delay (ms) during which queued changes to the same document are coalesced. */
+const COALESCE_DELAY_MS = 100;
+
+/**
+ * Pending changes per document UUID.
+ * @type {Map<string, {doc: foundry.abstract.Document, hiddenElements: object, audiences: object, revealLevels: object, history: object[], timeout: number, promise: Promise<boolean>, resolve: Function}>}
+ */
+const _pending = new Map();
+
+/**
+ * Queues visibility flag changes for a document. Changes to the same document that arrive before
+ * the pending batch is flushed are merged into it (later values win).
+ * @param {Actor|TokenDocument} doc - The document holding the flags.
+ * @param {object} changes
+ * @param {object} [changes.hiddenElements={}] - elementKey -> true to hide, false to reveal.
+ * @param {object} [changes.audiences={}] - elementKey -> audience UUIDs, or null to clear the audience.
+ * @param {object} [changes.revealLevels={}] - elementKey -> partial reveal level of a hidden element, or null
+ *                                             to clear it. Elements whose hidden state changes without a
+ *                                             level lose their stored level.
+ * @param {object|null} [changes.source=null] - What made the change, for the reveal history: `{ type, label?, description? }`
+ *                                              with a type of HISTORY_SOURCES in reveal-history.js.
+ * @param {string} [changes.userId] - The user who made the change. The current user by default.
+ * @returns {Promise<boolean>} Resolves once the batch containing these changes has been written, with false
+ *                             when writing it failed. Failures are reported to the user, so callers don't have to.
+ */
+export function queueVisibilityUpdate(doc, { hiddenElements = {}, audiences = {}, revealLevels = {}, source = null, userId = game.user.id } = {}) {
+    if (!doc?.uuid) return Promise.resolve(false);
+
+    let batch = _pending.get(doc.uuid);
+    if (!batch) {
+        batch = { doc, hiddenElements: {}, audiences: {}, revealLevels: {}, history: [] };
+        batch.promise = new Promise(resolve => {
+            batch.resolve = resolve;
+        });
+        batch.timeout = setTimeout(() => _flush(doc.uuid), COALESCE_DELAY_MS);
+        _pending.set(doc.uuid, batch);
+    }
+
+    Object.assign(batch.hiddenElements, hiddenElements);
+    Object.assign(batch.audiences, audiences);
+    // A later hide/reveal without a level replaces a level queued earlier
+    for (const elementKey of Object.keys(hiddenElements)) {
+        if (!(elementKey in revealLevels)) delete batch.revealLevels[elementKey];
+    }
+    Object.assign(batch.revealLevels, revealLevels);
+    if (Object.keys(hiddenElements).length > 0) batch.history.push({ hiddenElements, revealLevels, source, userId });
+    return batch.promise;
+}
+
+/**
+ * Writes any pending changes of a document immediately.
+ * @param {Actor|TokenDocument} doc - The document holding the flags.
+ * @returns {Promise<boolean>} False when writing failed.
+ */
+export async function flushVisibilityUpdates(doc) {
+    const batch = doc?.uuid ? _pending.get(doc.uuid) : null;
+    if (!batch) return true;
+    clearTimeout(batch.timeout);
+    await _flush(doc.uuid);
+    return batch.promise;
+}
+
+/**
+ * Returns the hiddenElements of a document including changes that are queued but not yet written.
+ * Use this as the "current" state when computing a toggle, so quick successive clicks build on each other.
+ * @param {Actor|TokenDocument} doc - The document holding the flags.
+ * @returns {object} A new elementKey -> hidden map.
+ */
+export function getPendingHiddenElements(doc) {
+    const stored = { ...(doc?.getFlag(MODULE_ID, 'hiddenElements') || {}) };
+    const batch = doc?.uuid ? _pending.get(doc.uuid) : null;
+    return batch ? Object.assign(stored, batch.hiddenElements) : stored;
+}
+
+/**
+ * Returns the revealLevels of a document including changes that are queued but not yet written.
+ * @param {Actor|TokenDocument} doc - The document holding the flags.
+ * @returns {object} A new elementKey -> partial reveal level map.
+ */
+export function getPendingRevealLevels(doc) {
+    const stored = { ...(doc?.getFlag(MODULE_ID, REVEAL_LEVEL_FLAG) || {}) };
+    const batch = doc?.uuid ? _pending.get(doc.uuid) : null;
+    if (!batch) return stored;
+    for (const elementKey of Object.keys(batch.hiddenElements)) {
+        if (!(elementKey in batch.revealLevels)) delete stored[elementKey];
+    }
+    for (const [elementKey, level] of Object.entries(batch.revealLevels)) {
+        if (level) stored[elementKey] = level;
+        else delete stored[elementKey];
+    }
+    return stored;
+}
+
+/**
+ * The state an element of a document falls back to when the document has no entry for it:
+ * the actor baseline for token overrides in hybrid storage, the default visibility otherwise.
+ * @param {Actor|TokenDocument} doc - The document holding the flags.
+ * @param {string} elementKey - The element key.
+ * @returns {boolean} True if the element is hidden without an entry of its own.
+ */
+export function getInheritedHiddenState(doc, elementKey) {
+    const isToken = doc?.documentName === 'Token';
+    const actor = isToken ? doc.actor : doc;
+    const tokenDoc = isToken ? doc : (doc?.token ?? null);
+    if (isHybridStorage() && isToken) {
+        const baseline = getBaselineActor(doc);
+        if (baseline) return isElementHidden(getPendingHiddenElements(baseline), elementKey, actor, tokenDoc);
+    }
+    return getDefaultHiddenState(elementKey, actor, tokenDoc);
+}
+
+/**
+ * Builds key-level update data for visibility changes. Elements set to the state they would
+ * inherit anyway are removed from the flag instead of being stored.
+ * @param {object} hiddenElements - elementKey -> hidden.
+ * @param {object} audiences - elementKey -> audience UUIDs, or null/empty to clear the audience.
+ * @param {Actor|TokenDocument|null} [doc=null] - The document the update is for.
+ * @param {object} [revealLevels={}] - elementKey -> partial reveal level, or null to clear it.
+ * @returns {object} Update data suitable for `Document#update`.
+ */
+export function buildVisibilityUpdate(hiddenElements = {}, audiences = {}, doc = null, revealLevels = {}) {
+    const update = {};
+    for (const [elementKey, hidden] of Object.entries(hiddenElements)) {
+        if (hidden === getInheritedHiddenState(doc, elementKey)) {
+            update[`flags.${MODULE_ID}.hiddenElements.-=${elementKey}`] = null;
+        } else {
+            update[`flags.${MODULE_ID}.hiddenElements.${elementKey}`] = hidden;
+        }
+    }
+    for (const [elementKey, audience] of Object.entries(audiences)) {
+        if (Array.isArray(audience) && audience.length > 0) {
+            update[`flags.${MODULE_ID}.${AUDIENCE_FLAG}.${elementKey}`] = audience;
+        } else {
+            update[`flags.${MODULE_ID}.${AUDIENCE_FLAG}.-=${elementKey}`] = null;
+        }
+    }
+    // Hiding or revealing an element without a level also ends its partial reveal
+    const storedLevels = doc?.getFlag(MODULE_ID, REVEAL_LEVEL_FLAG) || {};
+    for (const elementKey of Object.keys(hiddenElements)) {
+        if (!(elementKey in revealLevels) && elementKey in storedLevels) {
+            update[`flags.${MODULE_ID}.${REVEAL_LEVEL_FLAG}.-=${elementKey}`] = null;
+        }
+    }
+    for (const [elementKey, level] of Object.entries(revealLevels)) {
+        if (level) {
+            update[`flags.${MODULE_ID}.${REVEAL_LEVEL_FLAG}.${elementKey}`] = level;
+        } else if (elementKey in storedLevels) {
+            update[`flags.${MODULE_ID}.${REVEAL_LEVEL_FLAG}.-=${elementKey}`] = null;
+        }
+    }
+    return update;
+}
+
+/**
+ * Sends the pending batch of a document as one update. Most callers don't wait for the write (e.g. a
+ * right-click toggle), so a failed write is logged and shown here instead of rejecting their promise.
+ * @param {string} uuid - The document UUID.
+ * @private
+ */
+async function _flush(uuid) {
+    const batch = _pending.get(uuid);
+    if (!batch) return;
+    _pending.delete(uuid);
+
+    const update = buildVisibilityUpdate(batch.hiddenElements, batch.audiences, batch.doc, batch.revealLevels);
+    // Fresh flags are written in the current format. Existing unversioned flags are left for the migration runner
+    const moduleFlags = batch.doc.flags?.[MODULE_ID];
+    if (!moduleFlags?.hiddenElements && moduleFlags?.schemaVersion === undefined) {
+        update[`flags.${MODULE_ID}.schemaVersion`] = FLAG_SCHEMA_VERSION;
+    }
+    const historyUpdate = Object.keys(update).length > 0 ? buildRevealHistoryUpdate(batch.doc, batch.history) : null;
+    if (historyUpdate) Object.assign(update, historyUpdate);
+    try {
+        if (Object.keys(update).length > 0) {
+            console.log(`${MODULE_ID} | Writing visibility changes to ${batch.doc.name}:`, update);
+            await batch.doc.update(update);
+        }
+        batch.resolve(true);
+    } catch (error) {
+        console.error(`${MODULE_ID} | Error writing visibility changes to ${batch.doc.name}:`, error);
+        ui.notifications.error(game.i18n.format("INSPECTSTATBLOCK.VisibilityWriteFailed", { name: batch.doc.name }));
+        batch.resolve(false);
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Versioned data migrations for the Inspect Statblock module.
+ * Actor and token flags carry a `schemaVersion` next to `hiddenElements`. On `ready` the active GM
+ * upgrades every document whose flags are older than FLAG_SCHEMA_VERSION and gets a report of what
+ * changed. A world setting remembers the version the whole world was last migrated to, so the
+ * documents are only scanned once per module upgrade.
+ */
+
+import { systemRegistry } from './system-registry.js';
+import { getDefaultHiddenState } from './visibility.js';
+
+const MODULE_ID = 'inspect-statblock';
+
+/**
+ * Current schema version of the module's actor and token flags.
+ * 1: unversioned flags written by 1.0.x
+ * 2: legacy element keys upgraded by the system handler (e.g. `def-tag-*` naming, block section keys)
+ * 3: only GM overrides stored, entries matching the defaults removed
+ * @type {number}
+ */
+export const FLAG_SCHEMA_VERSION = 3;
+
+/**
+ * Ordered migration steps. `migrateWorld` runs once per world, before any document is migrated.
+ * `migrateFlags` receives a copy of a document's hiddenElements and returns the upgraded map.
+ * @type {Array<{version: number, label: string, migrateWorld?: Function, migrateFlags?: Function}>}
+ */
+const MIGRATIONS = [
+    {
+        version: 2,
+        label: 'Upgraded legacy element keys',
+        migrateWorld: async () => _getHandler()?.migrateDefaultVisibilitySettings?.(),
+        migrateFlags: (hiddenElements, actor) => _getHandler()?.migrateElementKeys?.(hiddenElements, actor) ?? hiddenElements
+    },
+    {
+        version: 3,
+        label: 'Removed entries matching the default visibility',
+        migrateFlags: (hiddenElements, actor) => Object.fromEntries(
+            Object.entries(hiddenElements).filter(([key, hidden]) => hidden !== getDefaultHiddenState(key, actor))
+        )
+    }
+];
+
+/**
+ * Runs any pending migrations. Only the active GM migrates, other clients return immediately.
+ * @returns {Promise<void>}
+ */
+export async function runMigrations() {
+    if (!game.users.activeGM?.isSelf) return;
+
+    const worldVersion = game.settings.get(MODULE_ID, 'flagSchemaVersion') ?? 1;
+    if (worldVersion >= FLAG_SCHEMA_VERSION) return;
+
+    console.log(`${MODULE_ID} | Migrating visibility flags from schema version ${worldVersion} to ${FLAG_SCHEMA_VERSION}`);
+    try {
+        for (const migration of MIGRATIONS) {
+            if (migration.version > worldVersion && migration.migrateWorld) await migration.migrateWorld();
+        }
+
+        const report = await migrateAllFlagDocuments();
+        await game.settings.set(MODULE_ID, 'flagSchemaVersion', FLAG_SCHEMA_VERSION);
+        await _reportMigration(report);
+    } catch (error) {
+        console.error(`${MODULE_ID} | Error migrating visibility flags:`, error);
+        ui.notifications.error(`Inspect Statblock: Migrating visibility flags failed: ${error.message}`);
+    }
+}
+
+/**
+ * Migrates the flags of every actor, token and unlinked token actor of the world to FLAG_SCHEMA_VERSION.
+ * @returns {Promise<Map<number, string[]>>} Migration version -> names of the documents it changed.
+ */
+export async function migrateAllFlagDocuments() {
+    const report = new Map(MIGRATIONS.map(m => [m.version, []]));
+
+    const migrate = async (doc, moduleFlags, actor, updateTarget = doc) => {
+        if (!moduleFlags?.hiddenElements && !moduleFlags?.elementAudiences) return;
+        const version = moduleFlags.schemaVersion ?? 1;
+        if (version >= FLAG_SCHEMA_VERSION) return;
+
+        const original = moduleFlags.hiddenElements || {};
+        let hiddenElements = { ...original };
+        for (const migration of MIGRATIONS) {
+            if (migration.version <= version || !migration.migrateFlags) continue;
+            const before = JSON.stringify(hiddenElements);
+            hiddenElements = migration.migrateFlags({ ...hiddenElements }, actor);
+            if (JSON.stringify(hiddenElements) !== before) report.get(migration.version).push(doc.name);
+        }
+
+        const update = { [`flags.${MODULE_ID}.schemaVersion`]: FLAG_SCHEMA_VERSION };
+        for (const key of Object.keys(original)) {
+            if (!(key in hiddenElements)) update[`flags.${MODULE_ID}.hiddenElements.-=${key}`] = null;
+        }
+        for (const [key, hidden] of Object.entries(hiddenElements)) {
+            if (original[key] !== hidden) update[`flags.${MODULE_ID}.hiddenElements.${key}`] = hidden;
+        }
+        await updateTarget.update(update);
+    };
+
+    for (const actor of game.actors?.contents ?? []) {
+        await migrate(actor, actor.flags?.[MODULE_ID], actor);
+    }
+
+    for (const scene of game.scenes?.contents ?? []) {
+        for (const token of scene.tokens?.contents ?? []) {
+            // Per-token storage on the TokenDocument itself
+            await migrate(token, token.flags?.[MODULE_ID], token.actor);
+            // Unlinked token actors keep their own flags in the token's actor delta
+            const deltaFlags = token.actorLink ? null : token.delta?.flags?.[MODULE_ID];
+            if (deltaFlags && token.actor) await migrate(token, deltaFlags, token.actor, token.actor);
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Whispers a summary of a migration to the GMs.
+ * @param {Map<number, string[]>} report - Migration version -> names of the documents it changed.
+ * @private
+ */
+async function _reportMigration(report) {
+    const lines = MIGRATIONS
+        .map(migration => {
+            const names = report.get(migration.version) || [];
+            if (names.length === 0) return null;
+            const shown = names.slice(0, 10).map(name => Handlebars.escapeExpression(name)).join(', ');
+            const more = names.length > 10 ? ` and ${names.length - 10} more` : '';
+            return `<li><strong>${migration.label}</strong> (${names.length}): ${shown}${more}</li>`;
+        })
+        .filter(line => !!line);
+
+    console.log(`${MODULE_ID} | Migration to schema version ${FLAG_SCHEMA_VERSION} complete:`, Object.fromEntries(report));
+    if (lines.length === 0) return;
+
+    ui.notifications.info(`Inspect Statblock: Visibility flags migrated to version ${FLAG_SCHEMA_VERSION}. See chat for details.`);
+    await ChatMessage.create({
+        content: `<h3>Inspect Statblock</h3><p>Visibility flags were migrated to schema version ${FLAG_SCHEMA_VERSION}:</p><ul>${lines.join('')}</ul>`,
+        whisper: game.users.filter(u => u.isGM).map(u => u.id)
+    });
+}
+
+/**
+ * Gets the system handler for the active game system.
+ * @returns {object|null}
+ * @private
+ */
+function _getHandler() {
+    return systemRegistry.getHandler(game.system.id);
+}
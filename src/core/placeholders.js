@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Placeholders shown to players in place of hidden values.
+ * Each placeholder section of the system handler (see its getPlaceholderSections, e.g. header, AC,
+ * abilities) has its own style: question marks, a custom text such as "Unknown", a blurred bar, a
+ * silhouette icon, or omitting the element entirely. System handlers get the placeholder of a section
+ * through InspectStatblockCore.getPlaceholder and put its `html` where the hidden value would be.
+ *
+ * The styles are stored in a world setting as `{ [sectionId]: { style, text } }`.
+ */
+
+const MODULE_ID = 'inspect-statblock';
+
+/** World setting holding the placeholder style of each section. */
+export const PLACEHOLDER_SETTING = 'placeholderSettings';
+
+/**
+ * Placeholder styles and their labels.
+ * @type {Object<string, string>}
+ */
+export const PLACEHOLDER_STYLES = {
+    marks: 'Question Marks (??)',
+    text: 'Custom Text',
+    blur: 'Blurred Bar',
+    silhouette: 'Silhouette Icon',
+    omit: 'Omit Element'
+};
+
+/** Text of the "Custom Text" style when none is set. */
+export const DEFAULT_PLACEHOLDER_TEXT = 'Unknown';
+
+/**
+ * The stored placeholder styles.
+ * @returns {object} sectionId -> { style, text }
+ */
+export function getPlaceholderSettings() {
+    return game.settings.get(MODULE_ID, PLACEHOLDER_SETTING) || {};
+}
+
+/**
+ * Gets the placeholder of a section.
+ * @param {string} sectionId - The placeholder section, as defined by the system handler.
+ * @param {object|null} [settings=null] - Placeholder styles to use instead of the stored ones, e.g. unsaved
+ *                                        changes in the default visibility menu.
+ * @returns {{style: string, text: string, html: Handlebars.SafeString, omit: boolean}}
+ *   `text` is plain text for tooltips and window titles, `html` is rendered in place of the value and is
+ *   empty when the element is omitted.
+ */
+export function getPlaceholder(sectionId, settings = null) {
+    const config = (settings ?? getPlaceholderSettings())[sectionId] ?? {};
+    const style = config.style in PLACEHOLDER_STYLES ? config.style : 'marks';
+    const text = style === 'text' ? (config.text?.trim() || DEFAULT_PLACEHOLDER_TEXT) : '??';
+    return {
+        style,
+        text,
+        html: new Handlebars.SafeString(_renderPlaceholderHtml(style, text)),
+        omit: style === 'omit'
+    };
+}
+
+/**
+ * Builds the markup of a placeholder.
+ * @param {string} style - The placeholder style.
+ * @param {string} text - The placeholder text.
+ * @returns {string}
+ * @private
+ */
+function _renderPlaceholderHtml(style, text) {
+    switch (style) {
+        case 'omit':
+            return '';
+        case 'blur':
+            return '<span class="inspect-placeholder placeholder-blur" aria-label="??"></span>';
+        case 'silhouette':
+            return '<i class="fas fa-user-secret inspect-placeholder placeholder-silhouette" aria-label="??"></i>';
+        default:
+            return `<span class="inspect-placeholder placeholder-${style}">${Handlebars.escapeExpression(text)}</span>`;
+    }
+}
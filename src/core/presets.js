@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Named visibility presets of the Inspect Statblock module.
+ * A preset is a reusable visibility state, e.g. "Boss: hide everything but name and AC". It is saved
+ * from a statblock and can be applied to any actor or token. Element keys are stored as portable keys
+ * (see the system handler's getPortableElementKey), so item and effect keys match on other actors.
+ * Elements a preset has no entry for (e.g. features the original creature didn't have) get the
+ * state most of the preset's elements have. "Show All" and "Hide All" are built-in presets.
+ *
+ * Presets are stored in a world setting as `[{ id, name, hiddenElements: { [portableKey]: hidden }, otherHidden }]`.
+ */
+
+import { systemRegistry } from './system-registry.js';
+import { AUDIENCE_FLAG } from './visibility.js';
+import { queueVisibilityUpdate, flushVisibilityUpdates } from './flag-updates.js';
+import { recordCreatureKnowledge } from './bestiary.js';
+
+const MODULE_ID = 'inspect-statblock';
+
+/** World setting holding the saved presets. */
+export const PRESETS_SETTING = 'visibilityPresets';
+
+/**
+ * Presets every world has. Their names are localization keys.
+ * @type {Object<string, {id: string, name: string, hiddenElements: object, otherHidden: boolean, builtIn: boolean}>}
+ */
+export const BUILTIN_PRESETS = {
+    showAll: { id: 'show-all', name: 'INSPECTSTATBLOCK.ButtonTitleShowAll', hiddenElements: {}, otherHidden: false, builtIn: true },
+    hideAll: { id: 'hide-all', name: 'INSPECTSTATBLOCK.ButtonTitleHideAll', hiddenElements: {}, otherHidden: true, builtIn: true }
+};
+
+/**
+ * All presets, built-in ones first.
+ * @returns {object[]}
+ */
+export function getVisibilityPresets() {
+    return [...Object.values(BUILTIN_PRESETS), ...(game.settings.get(MODULE_ID, PRESETS_SETTING) || [])];
+}
+
+/**
+ * Saves a visibility state as a new named preset.
+ * @param {string} name - The preset name.
+ * @param {Actor} actor - The actor the element keys belong to.
+ * @param {object} hiddenByKey - elementKey -> true if hidden, for every toggleable element of the actor.
+ * @returns {Promise<object>} The saved preset.
+ */
+export async function saveVisibilityPreset(name, actor, hiddenByKey) {
+    const handler = _getHandler();
+    const hiddenElements = {};
+    for (const [elementKey, hidden] of Object.entries(hiddenByKey)) {
+        const portableKey = handler?.getPortableElementKey ? handler.getPortableElementKey(actor, elementKey) : elementKey;
+        if (portableKey) hiddenElements[portableKey] = hidden === true;
+    }
+    const values = Object.values(hiddenElements);
+    const preset = {
+        id: foundry.utils.randomID(),
+        name,
+        hiddenElements,
+        otherHidden: values.filter(hidden => hidden).length * 2 > values.length
+    };
+
+    const presets = game.settings.get(MODULE_ID, PRESETS_SETTING) || [];
+    await game.settings.set(MODULE_ID, PRESETS_SETTING, [...presets, preset]);
+    console.log(`${MODULE_ID} | Saved visibility preset "${name}":`, preset);
+    return preset;
+}
+
+/**
+ * Deletes a saved preset. Built-in presets cannot be deleted.
+ * @param {string} presetId - The preset ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteVisibilityPreset(presetId) {
+    const presets = game.settings.get(MODULE_ID, PRESETS_SETTING) || [];
+    await game.settings.set(MODULE_ID, PRESETS_SETTING, presets.filter(p => p.id !== presetId));
+}
+
+/**
+ * Gets every toggleable element key of an actor through the system handler.
+ * @param {Actor} actor - The actor.
+ * @param {Token|null} [token=null] - The token placeable, if any.
+ * @returns {Promise<string[]>}
+ */
+export async function getToggleableKeys(actor, token = null) {
+    const handler = _getHandler();
+    if (!handler?.getAllToggleableKeys) return [];
+    // Keys of elements derived from the statblock (e.g. defense tags) need the standardized data
+    const sidsData = handler.getStandardizedActorData ? await handler.getStandardizedActorData(actor, token, {}, true) : null;
+    return handler.getAllToggleableKeys(actor, sidsData);
+}
+
+/**
+ * Applies a preset to an actor. Every toggleable element is set to the preset's state, and any
+ * per-user audience of the elements is cleared.
+ * @param {object} preset - The preset.
+ * @param {object} target
+ * @param {Actor} target.actor - The actor the element keys belong to.
+ * @param {Actor|TokenDocument} target.targetDoc - The document the flags are written to.
+ * @param {Token|null} [target.token=null] - The token placeable, if any.
+ * @param {string[]} [target.keys] - The toggleable keys, if already known.
+ * @returns {Promise<void>}
+ */
+export async function applyVisibilityPreset(preset, { actor, targetDoc, token = null, keys = null }) {
+    const handler = _getHandler();
+    const elementKeys = keys ?? await getToggleableKeys(actor, token);
+    const currentAudiences = targetDoc.getFlag(MODULE_ID, AUDIENCE_FLAG) || {};
+
+    const hiddenElements = {};
+    const audiences = {};
+    for (const elementKey of elementKeys) {
+        const portableKey = handler?.getPortableElementKey ? handler.getPortableElementKey(actor, elementKey) : elementKey;
+        const hidden = portableKey in preset.hiddenElements ? preset.hiddenElements[portableKey] : preset.otherHidden;
+        hiddenElements[elementKey] = hidden === true;
+        if (currentAudiences[elementKey]) audiences[elementKey] = null;
+    }
+
+    console.log(`${MODULE_ID} | Applying visibility preset "${preset.name}" to ${targetDoc.name}`);
+    // Written right away as one update, together with any single toggles still pending
+    await queueVisibilityUpdate(targetDoc, { hiddenElements, audiences, source: { type: 'preset', description: game.i18n.localize(preset.name) } });
+    await flushVisibilityUpdates(targetDoc);
+    // Only the reveals are shared. Hiding one creature must not make the party forget what it knows about its source
+    const revealed = Object.keys(hiddenElements).filter(key => !hiddenElements[key]);
+    await recordCreatureKnowledge(actor, Object.fromEntries(revealed.map(key => [key, true])));
+}
+
+/**
+ * Opens a dialog listing the presets. The chosen preset is applied to the target. When the current
+ * state is given, the GM can also save it as a new preset.
+ * @param {object} target - See applyVisibilityPreset.
+ * @param {object|null} [currentState=null] - elementKey -> hidden of the statblock, to allow saving it.
+ * @returns {Promise<void>} Resolves when the dialog is closed.
+ */
+export function promptVisibilityPreset(target, currentState = null) {
+    return new Promise(resolve => {
+        const dialog = new Dialog({
+            title: game.i18n.localize("INSPECTSTATBLOCK.PresetsTitle"),
+            content: _renderPresetList(currentState !== null),
+            buttons: {},
+            render: html => _activatePresetListeners(html, dialog, target, currentState),
+            close: () => resolve()
+        }, { classes: ['dialog', 'inspect-statblock-presets'] });
+        dialog.render(true);
+    });
+}
+
+/**
+ * Builds the content of the preset dialog.
+ * @param {boolean} canSave - Whether to show the "save current" form.
+ * @returns {string}
+ * @private
+ */
+function _renderPresetList(canSave) {
+    const rows = getVisibilityPresets().map(preset => {
+        const name = preset.builtIn ? game.i18n.localize(preset.name) : Handlebars.escapeExpression(preset.name);
+        const remove = preset.builtIn ? '' : `<a data-action="delete-preset" data-tooltip="${game.i18n.localize("INSPECTSTATBLOCK.PresetDelete")}"><i class="fas fa-trash"></i></a>`;
+        return `<li class="flexrow visibility-preset" data-preset-id="${preset.id}"><a data-action="apply-preset">${name}</a>${remove}</li>`;
+    });
+    const saveForm = canSave ? `
+        <div class="form-group">
+            <input type="text" name="presetName" placeholder="${game.i18n.localize("INSPECTSTATBLOCK.PresetNamePlaceholder")}" />
+            <button type="button" data-action="save-preset"><i class="fas fa-save"></i> ${game.i18n.localize("INSPECTSTATBLOCK.PresetSave")}</button>
+        </div>` : '';
+    return `<p class="notes">${game.i18n.localize("INSPECTSTATBLOCK.PresetsHint")}</p><ul class="visibility-preset-list">${rows.join('')}</ul>${saveForm}`;
+}
+
+/**
+ * Binds the actions of the preset dialog.
+ * @private
+ */
+function _activatePresetListeners(html, dialog, target, currentState) {
+    const getPreset = el => getVisibilityPresets().find(p => p.id === el.closest('[data-preset-id]')?.dataset.presetId);
+
+    html.find('[data-action="apply-preset"]').on('click', async event => {
+        event.preventDefault();
+        const preset = getPreset(event.currentTarget);
+        if (!preset) return;
+        await dialog.close();
+        await applyVisibilityPreset(preset, target);
+    });
+
+    html.find('[data-action="delete-preset"]').on('click', async event => {
+        event.preventDefault();
+        const preset = getPreset(event.currentTarget);
+        if (!preset || preset.builtIn) return;
+        await deleteVisibilityPreset(preset.id);
+        dialog.data.content = _renderPresetList(currentState !== null);
+        dialog.render(true);
+    });
+
+    html.find('[data-action="save-preset"]').on('click', async event => {
+        event.preventDefault();
+        const name = html.find('input[name="presetName"]').val()?.trim();
+        if (!name) {
+            ui.notifications.warn(game.i18n.localize("INSPECTSTATBLOCK.PresetNameRequired"));
+            return;
+        }
+        await saveVisibilityPreset(name, target.actor, currentState);
+        ui.notifications.info(game.i18n.format("INSPECTSTATBLOCK.PresetSaved", { name }));
+        dialog.data.content = _renderPresetList(true);
+        dialog.render(true);
+    });
+}
+
+/**
+ * Gets the system handler for the active game system.
+ * @returns {object|null}
+ * @private
+ */
+function _getHandler() {
+    return systemRegistry.getHandler(game.system.id);
+}
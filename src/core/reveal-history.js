@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Reveal history of the Inspect Statblock module.
+ * Every visibility change written through queueVisibilityUpdate (see flag-updates.js) is recorded on the
+ * document holding the flags, in the same update: the element key, its reveal level before and after
+ * (0 hidden, the last level revealed, see getRevealLevels), the source of the change, the user and the
+ * time. Changes made by one action (e.g. a "Show All", or the reveals of one auto-reveal trigger) share
+ * a batch ID, so the GM can undo a single entry or the whole batch from the statblock window.
+ *
+ * The history is stored in a document flag keyed by entry ID, as
+ * `{ [id]: { id, batchId, key, from, to, source: { type, label?, description? }, userId, time, undone? } }`.
+ * Entries are added and pruned key by key, like the visibility flags, so two GMs writing at the same
+ * time don't overwrite each other's entries and an update only carries the new entries.
+ */
+
+import { REVEAL_LEVEL_FLAG, getRevealLevels } from './visibility.js';
+import { queueVisibilityUpdate, flushVisibilityUpdates, getInheritedHiddenState } from './flag-updates.js';
+import { recordCreatureKnowledge } from './bestiary.js';
+
+const MODULE_ID = 'inspect-statblock';
+
+/** Document flag (next to `hiddenElements`) holding the reveal history. */
+export const REVEAL_HISTORY_FLAG = 'revealHistory';
+
+/**
+ * Sources of visibility changes and their labels. System handlers can record other sources by giving
+ * a `label` (text or localization key) with the source.
+ * @type {Object<string, string>}
+ */
+export const HISTORY_SOURCES = {
+    toggle: 'INSPECTSTATBLOCK.HistorySourceToggle',
+    audience: 'INSPECTSTATBLOCK.HistorySourceAudience',
+    preset: 'INSPECTSTATBLOCK.HistorySourcePreset',
+    autoReveal: 'INSPECTSTATBLOCK.HistorySourceAutoReveal',
+    request: 'INSPECTSTATBLOCK.HistorySourceRequest',
+    import: 'INSPECTSTATBLOCK.HistorySourceImport',
+    promote: 'INSPECTSTATBLOCK.HistorySourcePromote',
+    undo: 'INSPECTSTATBLOCK.HistorySourceUndo',
+    other: 'INSPECTSTATBLOCK.HistorySourceOther'
+};
+
+/**
+ * Number of entries kept per document. 0 turns the history off.
+ * @returns {number}
+ */
+export function getRevealHistoryLength() {
+    return Math.max(0, Number(game.settings.get(MODULE_ID, 'revealHistoryLength')) || 0);
+}
+
+/**
+ * The history of a document, oldest first.
+ * @param {Actor|TokenDocument} doc - The document holding the flags.
+ * @returns {object[]}
+ */
+export function getRevealHistory(doc) {
+    const entries = Object.values(doc?.getFlag(MODULE_ID, REVEAL_HISTORY_FLAG) || {});
+    return entries.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * The label of a change's source, e.g. "Auto-Reveal: Damage Taken: Fire (Longsword)".
+ * @param {object|null} source - The source of a history entry.
+ * @returns {string}
+ */
+export function getHistorySourceLabel(source) {
+    const label = game.i18n.localize(source?.label ?? HISTORY_SOURCES[source?.type] ?? HISTORY_SOURCES.other);
+    return source?.description ? `${label}: ${source.description}` : label;
+}
+
+/**
+ * Builds the key-level update of a document's history for a batch of visibility changes about to be written:
+ * the new entries, the entries marked undone and the oldest entries beyond the history length removed.
+ * Each change is compared with the state left by the changes before it, so only real changes are recorded.
+ * @param {Actor|TokenDocument} doc - The document holding the flags, not yet updated.
+ * @param {Array<{hiddenElements: object, revealLevels: object, source: object|null, userId: string}>} changes - The
+ *   queued changes, in order.
+ * @returns {object|null} Update data suitable for `Document#update`, or null when the history doesn't change.
+ */
+export function buildRevealHistoryUpdate(doc, changes) {
+    const maxLength = getRevealHistoryLength();
+    if (maxLength === 0 || changes.length === 0) return null;
+
+    const hiddenElements = { ...(doc.getFlag(MODULE_ID, 'hiddenElements') || {}) };
+    const revealLevels = { ...(doc.getFlag(MODULE_ID, REVEAL_LEVEL_FLAG) || {}) };
+    const stored = getRevealHistory(doc);
+    const added = [];
+    const undoneIds = new Set();
+
+    for (const change of changes) {
+        const batchId = foundry.utils.randomID();
+        const time = Date.now();
+        for (const [key, hidden] of Object.entries(change.hiddenElements || {})) {
+            const from = _getHistoryLevel(doc, hiddenElements, revealLevels, key);
+            hiddenElements[key] = hidden;
+            if (change.revealLevels?.[key]) revealLevels[key] = change.revealLevels[key];
+            else delete revealLevels[key];
+            const to = _getHistoryLevel(doc, hiddenElements, revealLevels, key);
+            if (from === to) continue;
+            added.push({
+                id: foundry.utils.randomID(),
+                batchId,
+                key,
+                from,
+                to,
+                source: change.source ? { type: change.source.type, label: change.source.label, description: change.source.description } : { type: 'other' },
+                userId: change.userId,
+                time
+            });
+        }
+        // Undoing marks the undone entries, so they can't be undone twice
+        if (change.source?.type === 'undo') {
+            for (const entryId of change.source.entryIds ?? []) undoneIds.add(entryId);
+        }
+    }
+
+    const path = `flags.${MODULE_ID}.${REVEAL_HISTORY_FLAG}`;
+    const update = {};
+    const history = [...stored, ...added];
+    const pruned = new Set(history.slice(0, Math.max(0, history.length - maxLength)).map(entry => entry.id));
+    for (const entry of added) {
+        if (!pruned.has(entry.id)) update[`${path}.${entry.id}`] = entry;
+    }
+    for (const entry of stored) {
+        if (pruned.has(entry.id)) update[`${path}.-=${entry.id}`] = null;
+        else if (undoneIds.has(entry.id) && !entry.undone) update[`${path}.${entry.id}.undone`] = true;
+    }
+    return Object.keys(update).length > 0 ? update : null;
+}
+
+/**
+ * Undoes history entries of a document: their elements go back to the state before the change. Entries
+ * changing the same element are undone to the state before the oldest of them.
+ * @param {Actor|TokenDocument} doc - The document holding the flags.
+ * @param {string[]} entryIds - The entries, e.g. every entry of a batch.
+ * @param {Actor|null} [actor=null] - The actor, to record the changes in the creature knowledge.
+ * @returns {Promise<number>} The number of entries undone.
+ */
+export async function undoRevealHistory(doc, entryIds, actor = null) {
+    const entries = getRevealHistory(doc).filter(entry => entryIds.includes(entry.id) && !entry.undone);
+    if (entries.length === 0) return 0;
+
+    const hiddenElements = {};
+    const revealLevels = {};
+    for (const entry of [...entries].reverse()) {
+        const lastLevel = getRevealLevels(entry.key).length - 1;
+        hiddenElements[entry.key] = entry.from < lastLevel;
+        revealLevels[entry.key] = entry.from > 0 && entry.from < lastLevel ? entry.from : null;
+    }
+
+    console.log(`${MODULE_ID} | Undoing ${entries.length} reveal history entries of ${doc.name}:`, hiddenElements);
+    await queueVisibilityUpdate(doc, {
+        hiddenElements,
+        revealLevels,
+        source: { type: 'undo', entryIds: entries.map(entry => entry.id) }
+    });
+    await flushVisibilityUpdates(doc);
+    if (actor) {
+        await recordCreatureKnowledge(actor, Object.fromEntries(Object.entries(hiddenElements).map(([key, hidden]) => [key, !hidden])));
+    }
+    return entries.length;
+}
+
+/**
+ * The reveal level of an element from a document's flags: 0 when hidden, the last level when shown, or
+ * the stored partial level. Elements without an entry have the state they inherit.
+ * @private
+ */
+function _getHistoryLevel(doc, hiddenElements, revealLevels, key) {
+    const lastLevel = getRevealLevels(key).length - 1;
+    const hidden = key in hiddenElements ? hiddenElements[key] === true : getInheritedHiddenState(doc, key);
+    if (!hidden) return lastLevel;
+    const level = Number(revealLevels[key]) || 0;
+    return level > 0 && level < lastLevel ? level : 0;
+}
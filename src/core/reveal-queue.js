@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Approval queue for automatic reveals of the Inspect Statblock module.
+ * With the `autoRevealApproval` setting on, reveals made by auto-reveal rules are not written right
+ * away: the visibility requests carry an `autoReveal` source (see requestHiddenElementsUpdate in socket.js)
+ * and the active GM queues them instead. A GM approves or rejects each entry in the queue window. Approved
+ * reveals go through the normal flag write; undoing a decision puts the entry back in the queue (and
+ * hides the elements again if it was approved).
+ *
+ * The queue is stored in a world setting as
+ * `[{ id, eventId, uuid, actorUuid, name, description, hiddenElements, labels, status, userId, time }]`.
+ */
+
+import { requestHiddenElementsUpdate } from './socket.js';
+
+const MODULE_ID = 'inspect-statblock';
+
+/** World setting holding the queue. */
+export const REVEAL_QUEUE_SETTING = 'revealQueue';
+
+/**
+ * States of a queue entry.
+ * @enum {string}
+ */
+export const REVEAL_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+};
+
+/** Number of decided entries kept for undo. Pending entries are always kept. */
+const MAX_DECIDED_ENTRIES = 50;
+
+// Queue writes are chained, so entries queued at the same time don't overwrite each other
+let _queueWrite = Promise.resolve();
+
+// Pending entries at the last change, to notice new ones
+let _pendingCount = 0;
+
+/**
+ * Whether automatic reveals wait for GM approval.
+ * @returns {boolean}
+ */
+export function isRevealApprovalEnabled() {
+    return game.settings.get(MODULE_ID, 'autoRevealApproval') === true;
+}
+
+/**
+ * The queue entries, oldest first.
+ * @returns {object[]}
+ */
+export function getRevealQueue() {
+    return game.settings.get(MODULE_ID, REVEAL_QUEUE_SETTING) || [];
+}
+
+/**
+ * Queues an automatic reveal. Reveals of the same trigger event on the same document are collected
+ * in one entry, and elements already pending on the document are not queued again.
+ * @param {object} reveal
+ * @param {string} reveal.uuid - UUID of the document holding the flags.
+ * @param {string} reveal.name - Name of that document, for the queue window.
+ * @param {string|null} reveal.actorUuid - Actor whose creature knowledge records the reveal.
+ * @param {string} reveal.userId - The user whose client made the reveal.
+ * @param {{eventId?: string, description?: string, labels?: object}} reveal.source - The trigger event: its ID,
+ *   a description of the roll or effect that triggered it, and elementKey -> label of the revealed elements.
+ * @param {object} reveal.hiddenElements - elementKey -> false.
+ * @returns {Promise<void>}
+ */
+export function enqueueReveal({ uuid, name, actorUuid, userId, source, hiddenElements }) {
+    return _updateQueue(queue => {
+        const eventId = source?.eventId ?? foundry.utils.randomID();
+        const pendingKeys = new Set(queue.filter(e => e.status === REVEAL_STATUS.PENDING && e.uuid === uuid)
+            .flatMap(e => Object.keys(e.hiddenElements)));
+        hiddenElements = Object.fromEntries(Object.entries(hiddenElements).filter(([key]) => !pendingKeys.has(key)));
+        if (Object.keys(hiddenElements).length === 0) return queue;
+        const labels = Object.fromEntries(Object.entries(source?.labels || {}).filter(([key]) => key in hiddenElements));
+
+        const entry = queue.find(e => e.status === REVEAL_STATUS.PENDING && e.eventId === eventId && e.uuid === uuid);
+        if (entry) {
+            Object.assign(entry.hiddenElements, hiddenElements);
+            Object.assign(entry.labels, labels);
+            return queue;
+        }
+        console.log(`${MODULE_ID} | Queued reveal on ${name} for approval: ${source?.description ?? ''}`, hiddenElements);
+        queue.push({
+            id: foundry.utils.randomID(),
+            eventId,
+            uuid,
+            actorUuid,
+            name,
+            description: source?.description ?? '',
+            hiddenElements: { ...hiddenElements },
+            labels,
+            status: REVEAL_STATUS.PENDING,
+            userId,
+            time: Date.now()
+        });
+        return queue;
+    });
+}
+
+/**
+ * Approves a pending entry: its reveal is written.
+ * @param {string} entryId - The entry.
+ * @returns {Promise<boolean>} Whether the entry was pending.
+ */
+export async function approveQueuedReveal(entryId) {
+    const entry = getRevealQueue().find(e => e.id === entryId);
+    if (entry?.status !== REVEAL_STATUS.PENDING) return false;
+    await requestHiddenElementsUpdate({
+        uuid: entry.uuid,
+        hiddenElements: entry.hiddenElements,
+        actorUuid: entry.actorUuid,
+        source: { type: 'autoReveal', description: entry.description, approved: true }
+    });
+    await _setEntryStatus(entryId, REVEAL_STATUS.APPROVED);
+    return true;
+}
+
+/**
+ * Rejects a pending entry: nothing is revealed.
+ * @param {string} entryId - The entry.
+ * @returns {Promise<boolean>} Whether the entry was pending.
+ */
+export async function rejectQueuedReveal(entryId) {
+    const entry = getRevealQueue().find(e => e.id === entryId);
+    if (entry?.status !== REVEAL_STATUS.PENDING) return false;
+    await _setEntryStatus(entryId, REVEAL_STATUS.REJECTED);
+    return true;
+}
+
+/**
+ * Undoes the decision on an entry and puts it back in the queue. Elements of an approved entry are hidden again.
+ * @param {string} entryId - The entry.
+ * @returns {Promise<boolean>} Whether the entry was decided.
+ */
+export async function undoQueuedReveal(entryId) {
+    const entry = getRevealQueue().find(e => e.id === entryId);
+    if (!entry || entry.status === REVEAL_STATUS.PENDING) return false;
+    if (entry.status === REVEAL_STATUS.APPROVED) {
+        const hiddenElements = Object.fromEntries(Object.keys(entry.hiddenElements).map(key => [key, true]));
+        await requestHiddenElementsUpdate({ uuid: entry.uuid, hiddenElements, actorUuid: entry.actorUuid, source: { type: 'undo', description: entry.description } });
+    }
+    await _setEntryStatus(entryId, REVEAL_STATUS.PENDING);
+    return true;
+}
+
+/**
+ * Refreshes the queue window of a GM when the queue changed, and opens it when new reveals are pending.
+ * @param {object[]} queue - The new queue.
+ */
+export function onRevealQueueChange(queue) {
+    const pendingCount = (queue || []).filter(e => e.status === REVEAL_STATUS.PENDING).length;
+    const hasNewReveals = pendingCount > _pendingCount;
+    _pendingCount = pendingCount;
+    if (!game.user.isGM) return;
+
+    const app = Object.values(ui.windows).find(w => w instanceof RevealQueueApp);
+    if (app) app.render(false);
+    else if (hasNewReveals) new RevealQueueApp().render(true);
+}
+
+/**
+ * Sets the status of an entry.
+ * @private
+ */
+function _setEntryStatus(entryId, status) {
+    return _updateQueue(queue => {
+        const entry = queue.find(e => e.id === entryId);
+        if (entry) entry.status = status;
+        return queue;
+    });
+}
+
+/**
+ * Changes the queue. Old decided entries are dropped.
+ * @param {function(object[]): object[]} update - Receives a copy of the queue and returns the new queue.
+ * @returns {Promise<void>}
+ * @private
+ */
+function _updateQueue(update) {
+    _queueWrite = _queueWrite.then(async () => {
+        const queue = update(foundry.utils.deepClone(getRevealQueue()));
+        const decided = queue.filter(e => e.status !== REVEAL_STATUS.PENDING);
+        const dropped = new Set(decided.slice(0, Math.max(0, decided.length - MAX_DECIDED_ENTRIES)).map(e => e.id));
+        await game.settings.set(MODULE_ID, REVEAL_QUEUE_SETTING, queue.filter(e => !dropped.has(e.id)));
+    }).catch(error => {
+        console.error(`${MODULE_ID} | Error updating the reveal queue:`, error);
+    });
+    return _queueWrite;
+}
+
+/**
+ * Window listing the queued automatic reveals, newest first, with approve, reject and undo per entry.
+ */
+export class RevealQueueApp extends FormApplication {
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'inspect-statblock-reveal-queue',
+            title: 'Pending Auto-Reveals',
+            template: `modules/${MODULE_ID}/templates/reveal-queue.hbs`,
+            width: 480,
+            height: 'auto',
+            classes: ['inspect-statblock', 'reveal-queue'],
+            closeOnSubmit: false,
+            submitOnChange: false,
+            resizable: true
+        });
+    }
+
+    /**
+     * Prepare data for the template.
+     */
+    async getData(options = {}) {
+        const entries = getRevealQueue().slice().reverse().map(entry => ({
+            id: entry.id,
+            name: entry.name,
+            description: entry.description,
+            elements: Object.keys(entry.hiddenElements).map(key => entry.labels?.[key] ?? key),
+            userName: game.users.get(entry.userId)?.name ?? '',
+            time: new Date(entry.time).toLocaleTimeString(),
+            status: entry.status,
+            isPending: entry.status === REVEAL_STATUS.PENDING,
+            isApproved: entry.status === REVEAL_STATUS.APPROVED
+        }));
+        return {
+            pending: entries.filter(entry => entry.isPending),
+            decided: entries.filter(entry => !entry.isPending),
+            approvalEnabled: isRevealApprovalEnabled()
+        };
+    }
+
+    /**
+     * Activate event listeners.
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+        const onEntry = action => async event => {
+            event.preventDefault();
+            const entryId = event.currentTarget.closest('[data-entry-id]')?.dataset.entryId;
+            if (entryId) await action(entryId);
+        };
+        html.find('[data-action="approve-reveal"]').on('click', onEntry(approveQueuedReveal));
+        html.find('[data-action="reject-reveal"]').on('click', onEntry(rejectQueuedReveal));
+        html.find('[data-action="undo-reveal"]').on('click', onEntry(undoQueuedReveal));
+        html.find('[data-action="approve-all"]').on('click', async event => {
+            event.preventDefault();
+            for (const entry of getRevealQueue().filter(e => e.status === REVEAL_STATUS.PENDING)) await approveQueuedReveal(entry.id);
+        });
+        html.find('[data-action="reject-all"]').on('click', async event => {
+            event.preventDefault();
+            for (const entry of getRevealQueue().filter(e => e.status === REVEAL_STATUS.PENDING)) await rejectQueuedReveal(entry.id);
+        });
+    }
+
+    /** Nothing to submit, the actions run from their buttons. */
+    async _updateObject(event, formData) {}
+}
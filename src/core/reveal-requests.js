@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Player reveal requests of the Inspect Statblock module.
+ * Players right-click a hidden element in their statblock window to ask the GM about it, with a
+ * justification such as "I cast Identify". The request travels over the module socket to the active
+ * GM (see sendRevealRequest in socket.js), who adds it to the request queue. A GM approves or denies
+ * each request in the queue window; approving reveals the element through the same code path as a GM
+ * right-click (see revealRequestedElement in application.js). The requester is told the outcome.
+ *
+ * The queue is stored in a world setting as
+ * `[{ id, actorUuid, tokenUuid, elementKey, name, userId, justification, status, time }]`.
+ */
+
+import { notifyRevealRequestResult } from './socket.js';
+import { revealRequestedElement } from './application.js';
+import { REVEAL_STATUS } from './reveal-queue.js';
+import { systemRegistry } from './system-registry.js';
+
+const MODULE_ID = 'inspect-statblock';
+
+/** World setting holding the request queue. */
+export const REVEAL_REQUESTS_SETTING = 'revealRequests';
+
+/** Number of decided requests kept. Pending requests are always kept. */
+const MAX_DECIDED_REQUESTS = 50;
+
+// Queue writes are chained, so requests arriving at the same time don't overwrite each other
+let _queueWrite = Promise.resolve();
+
+// Pending requests at the last change, to notice new ones
+let _pendingCount = 0;
+
+/**
+ * Whether players can ask the GM about hidden elements.
+ * @returns {boolean}
+ */
+export function areRevealRequestsEnabled() {
+    return game.settings.get(MODULE_ID, 'allowRevealRequests') === true;
+}
+
+/**
+ * The requests, oldest first.
+ * @returns {object[]}
+ */
+export function getRevealRequests() {
+    return game.settings.get(MODULE_ID, REVEAL_REQUESTS_SETTING) || [];
+}
+
+/**
+ * Adds a player's request to the queue. A request for the same element by the same player replaces the
+ * justification of the pending one.
+ * @param {object} request
+ * @param {string} request.actorUuid - The actor shown in the player's window.
+ * @param {string|null} request.tokenUuid - Its token, if any.
+ * @param {string} request.elementKey - The element the player asks about.
+ * @param {string} request.name - Name of the creature as the player sees it.
+ * @param {string} request.justification - Why the player should know it.
+ * @param {string} userId - The requesting user.
+ * @returns {Promise<void>}
+ */
+export function addRevealRequest({ actorUuid, tokenUuid = null, elementKey, name, justification }, userId) {
+    return _updateQueue(queue => {
+        const pending = queue.find(r => r.status === REVEAL_STATUS.PENDING && r.userId === userId
+            && r.actorUuid === actorUuid && r.tokenUuid === tokenUuid && r.elementKey === elementKey);
+        if (pending) {
+            pending.justification = justification;
+            return queue;
+        }
+        console.log(`${MODULE_ID} | ${game.users.get(userId)?.name} asks about ${elementKey} of ${name}: ${justification}`);
+        queue.push({
+            id: foundry.utils.randomID(),
+            actorUuid,
+            tokenUuid,
+            elementKey,
+            name,
+            userId,
+            justification,
+            status: REVEAL_STATUS.PENDING,
+            time: Date.now()
+        });
+        return queue;
+    });
+}
+
+/**
+ * Approves a pending request: the element is revealed and the requester told so.
+ * @param {string} requestId - The request.
+ * @returns {Promise<boolean>} Whether the request was pending.
+ */
+export async function approveRevealRequest(requestId) {
+    const request = getRevealRequests().find(r => r.id === requestId);
+    if (request?.status !== REVEAL_STATUS.PENDING) return false;
+
+    const userName = game.users.get(request.userId)?.name ?? '';
+    const revealed = await revealRequestedElement(request, {
+        type: 'request',
+        description: [userName, request.justification].filter(part => !!part).join(': ')
+    });
+    if (!revealed) {
+        ui.notifications.warn(game.i18n.localize("INSPECTSTATBLOCK.RevealRequestMissing"));
+        return false;
+    }
+    await _setRequestStatus(requestId, REVEAL_STATUS.APPROVED);
+    notifyRevealRequestResult(request.userId, { approved: true, name: request.name, label: _getRequestLabel(request) });
+    return true;
+}
+
+/**
+ * Denies a pending request and tells the requester.
+ * @param {string} requestId - The request.
+ * @returns {Promise<boolean>} Whether the request was pending.
+ */
+export async function denyRevealRequest(requestId) {
+    const request = getRevealRequests().find(r => r.id === requestId);
+    if (request?.status !== REVEAL_STATUS.PENDING) return false;
+    await _setRequestStatus(requestId, REVEAL_STATUS.REJECTED);
+    notifyRevealRequestResult(request.userId, { approved: false, name: request.name });
+    return true;
+}
+
+/**
+ * Tells the requesting player how the GM decided.
+ * @param {{approved: boolean, name: string, label?: string}} result - The decision, the creature and, when
+ *   approved, the revealed element.
+ */
+export function onRevealRequestResult({ approved, name, label }) {
+    if (approved) ui.notifications.info(game.i18n.format("INSPECTSTATBLOCK.RevealRequestApproved", { name, element: label }));
+    else ui.notifications.warn(game.i18n.format("INSPECTSTATBLOCK.RevealRequestDenied", { name }));
+}
+
+/**
+ * Refreshes the request window of a GM when the queue changed, and opens it when new requests are pending.
+ * @param {object[]} queue - The new queue.
+ */
+export function onRevealRequestsChange(queue) {
+    const pendingCount = (queue || []).filter(r => r.status === REVEAL_STATUS.PENDING).length;
+    const hasNewRequests = pendingCount > _pendingCount;
+    _pendingCount = pendingCount;
+    if (!game.user.isGM) return;
+
+    const app = Object.values(ui.windows).find(w => w instanceof RevealRequestsApp);
+    if (app) app.render(false);
+    else if (hasNewRequests) new RevealRequestsApp().render(true);
+}
+
+/**
+ * A readable label of the requested element.
+ * @param {object} request - The request.
+ * @returns {string}
+ * @private
+ */
+function _getRequestLabel(request) {
+    const actor = fromUuidSync(request.actorUuid);
+    const handler = systemRegistry.getHandler(game.system.id);
+    return (actor && handler?.getElementLabel?.(actor, request.elementKey)) || request.elementKey;
+}
+
+/**
+ * Sets the status of a request.
+ * @private
+ */
+function _setRequestStatus(requestId, status) {
+    return _updateQueue(queue => {
+        const request = queue.find(r => r.id === requestId);
+        if (request) request.status = status;
+        return queue;
+    });
+}
+
+/**
+ * Changes the queue. Old decided requests are dropped.
+ * @param {function(object[]): object[]} update - Receives a copy of the queue and returns the new queue.
+ * @returns {Promise<void>}
+ * @private
+ */
+function _updateQueue(update) {
+    _queueWrite = _queueWrite.then(async () => {
+        const queue = update(foundry.utils.deepClone(getRevealRequests()));
+        const decided = queue.filter(r => r.status !== REVEAL_STATUS.PENDING);
+        const dropped = new Set(decided.slice(0, Math.max(0, decided.length - MAX_DECIDED_REQUESTS)).map(r => r.id));
+        await game.settings.set(MODULE_ID, REVEAL_REQUESTS_SETTING, queue.filter(r => !dropped.has(r.id)));
+    }).catch(error => {
+        console.error(`${MODULE_ID} | Error updating the reveal requests:`, error);
+    });
+    return _queueWrite;
+}
+
+/**
+ * Window listing the players' reveal requests, newest first, with approve and deny per request.
+ */
+export class RevealRequestsApp extends FormApplication {
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'inspect-statblock-reveal-requests',
+            title: 'Player Reveal Requests',
+            template: `modules/${MODULE_ID}/templates/reveal-requests.hbs`,
+            width: 480,
+            height: 'auto',
+            classes: ['inspect-statblock', 'reveal-queue', 'reveal-requests'],
+            closeOnSubmit: false,
+            submitOnChange: false,
+            resizable: true
+        });
+    }
+
+    /**
+     * Prepare data for the template.
+     */
+    async getData(options = {}) {
+        const requests = getRevealRequests().slice().reverse().map(request => ({
+            id: request.id,
+            name: request.name,
+            element: _getRequestLabel(request),
+            justification: request.justification,
+            userName: game.users.get(request.userId)?.name ?? '',
+            time: new Date(request.time).toLocaleTimeString(),
+            status: request.status,
+            isPending: request.status === REVEAL_STATUS.PENDING,
+            isApproved: request.status === REVEAL_STATUS.APPROVED
+        }));
+        return {
+            pending: requests.filter(request => request.isPending),
+            decided: requests.filter(request => !request.isPending),
+            requestsEnabled: areRevealRequestsEnabled()
+        };
+    }
+
+    /**
+     * Activate event listeners.
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+        const onRequest = action => async event => {
+            event.preventDefault();
+            const requestId = event.currentTarget.closest('[data-request-id]')?.dataset.requestId;
+            if (requestId) await action(requestId);
+        };
+        html.find('[data-action="approve-request"]').on('click', onRequest(approveRevealRequest));
+        html.find('[data-action="deny-request"]').on('click', onRequest(denyRevealRequest));
+    }
+
+    /** Nothing to submit, the actions run from their buttons. */
+    async _updateObject(event, formData) {}
+}
@@ -0,0 +1,282 @@
+import { systemRegistry } from './system-registry.js';
+import {
+    getRevealTriggerDefinitions, getBuiltInRevealRules, setBuiltInRevealRuleEnabled, getRevealRules, setRevealRules
+} from './reveal-rules.js';
+
+const MODULE_ID = 'inspect-statblock';
+
+/**
+ * FormApplication listing the auto-reveal rules, world-wide (with the built-in rules) or of one actor.
+ * Changes are saved right away.
+ */
+export class RevealRulesConfigApp extends FormApplication {
+
+    /**
+     * @param {Actor|null} [actor=null] - The actor whose rules are edited, or null for the world-wide rules.
+     * @param {object} [options] - Application options.
+     */
+    constructor(actor = null, options = {}) {
+        super(actor ?? {}, options);
+        this.actor = actor;
+    }
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'inspect-statblock-reveal-rules',
+            title: 'Configure Auto-Reveal Rules',
+            template: `modules/${MODULE_ID}/templates/reveal-rules-config.hbs`,
+            width: 560,
+            height: 'auto',
+            classes: ['inspect-statblock', 'defaults-config', 'reveal-rules-config'],
+            closeOnSubmit: false,
+            submitOnChange: false
+        });
+    }
+
+    /** One window per actor. */
+    get id() {
+        return this.actor ? `${super.id}-${this.actor.id}` : super.id;
+    }
+
+    get title() {
+        return this.actor ? `Auto-Reveal Rules: ${this.actor.name}` : super.title;
+    }
+
+    /**
+     * Prepare data for the template.
+     */
+    async getData(options = {}) {
+        const definitions = getRevealTriggerDefinitions();
+        const rules = getRevealRules(this.actor).map((rule, index, all) => ({
+            id: rule.id,
+            name: rule.name,
+            enabled: rule.enabled !== false,
+            summary: _summarizeRevealRule(rule, definitions),
+            isFirst: index === 0,
+            isLast: index === all.length - 1
+        }));
+        const builtInRules = this.actor ? [] : getBuiltInRevealRules().map(rule => ({
+            id: rule.id,
+            name: game.i18n.localize(rule.name),
+            enabled: rule.enabled,
+            summary: _summarizeRevealRule(rule, definitions)
+        }));
+
+        return {
+            actorName: this.actor?.name ?? null,
+            rules,
+            builtInRules,
+            canEditRules: definitions.length > 0
+        };
+    }
+
+    /**
+     * Activate event listeners.
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find('[data-action="toggle-builtin-rule"]').on('change', this._onToggleBuiltInRule.bind(this));
+        html.find('[data-action="add-rule"]').on('click', this._onEditRule.bind(this));
+        html.find('[data-action="edit-rule"]').on('click', this._onEditRule.bind(this));
+        html.find('[data-action="delete-rule"]').on('click', this._onDeleteRule.bind(this));
+        html.find('[data-action="move-rule-up"]').on('click', event => this._onMoveRule(event, -1));
+        html.find('[data-action="move-rule-down"]').on('click', event => this._onMoveRule(event, 1));
+    }
+
+    /** Nothing to submit, changes are saved by their controls. */
+    async _updateObject(event, formData) {}
+
+    /**
+     * Switch a built-in rule on or off.
+     * @private
+     */
+    async _onToggleBuiltInRule(event) {
+        const ruleId = event.currentTarget.closest('[data-rule-id]')?.dataset.ruleId;
+        if (!ruleId) return;
+        await setBuiltInRevealRuleEnabled(ruleId, event.currentTarget.checked);
+        this.render();
+    }
+
+    /**
+     * Open the rule editor for a new or an existing rule.
+     * @private
+     */
+    _onEditRule(event) {
+        event.preventDefault();
+        const ruleId = event.currentTarget.closest('[data-rule-id]')?.dataset.ruleId ?? null;
+        new RevealRuleConfigApp(ruleId, { actor: this.actor, parentApp: this }).render(true);
+    }
+
+    /**
+     * Delete a rule.
+     * @private
+     */
+    async _onDeleteRule(event) {
+        event.preventDefault();
+        const ruleId = event.currentTarget.closest('[data-rule-id]')?.dataset.ruleId;
+        await setRevealRules(getRevealRules(this.actor).filter(rule => rule.id !== ruleId), this.actor);
+        this.render();
+    }
+
+    /**
+     * Move a rule up or down in the list.
+     * @private
+     */
+    async _onMoveRule(event, offset) {
+        event.preventDefault();
+        const ruleId = event.currentTarget.closest('[data-rule-id]')?.dataset.ruleId;
+        const rules = getRevealRules(this.actor);
+        const index = rules.findIndex(rule => rule.id === ruleId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= rules.length) return;
+        [rules[index], rules[target]] = [rules[target], rules[index]];
+        await setRevealRules(rules, this.actor);
+        this.render();
+    }
+}
+
+/**
+ * FormApplication for editing a single auto-reveal rule: its trigger and what it reveals.
+ */
+export class RevealRuleConfigApp extends FormApplication {
+
+    /**
+     * @param {string|null} ruleId - The rule to edit, or null for a new rule.
+     * @param {object} [options] - Application options. `actor` is the actor owning the rule (null for a
+     *                             world-wide rule), `parentApp` is re-rendered after saving.
+     */
+    constructor(ruleId = null, options = {}) {
+        super({}, options);
+        this.ruleId = ruleId;
+    }
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'inspect-statblock-reveal-rule-config',
+            title: 'Configure Auto-Reveal Rule',
+            template: `modules/${MODULE_ID}/templates/reveal-rule-config.hbs`,
+            width: 520,
+            height: 'auto',
+            classes: ['inspect-statblock', 'defaults-config', 'reveal-rule-config'],
+            closeOnSubmit: true,
+            submitOnChange: false
+        });
+    }
+
+    /**
+     * Prepare data for the template.
+     */
+    async getData(options = {}) {
+        const definitions = getRevealTriggerDefinitions();
+        const rule = getRevealRules(this.options.actor).find(r => r.id === this.ruleId)
+            ?? { name: '', enabled: true, trigger: { type: definitions[0]?.key ?? '', value: '' }, reveal: { related: true, sections: [], elements: [] } };
+        const reveal = rule.reveal || {};
+
+        const triggers = definitions.map(def => {
+            const selected = rule.trigger?.type === def.key;
+            const value = selected ? (rule.trigger.value ?? '') : '';
+            return {
+                key: def.key,
+                label: def.label,
+                valueLabel: def.valueLabel ?? 'Value',
+                relatedLabel: def.relatedLabel ?? '',
+                selected,
+                hasValue: !!def.type,
+                isNumber: def.type === 'number',
+                value,
+                choices: Object.entries(def.choices || {}).map(([choice, label]) => ({ value: choice, label, selected: selected && String(value) === choice }))
+            };
+        });
+
+        const sectionDefs = systemRegistry.getHandler(game.system.id)?.getSystemSectionDefinitions?.() ?? {};
+        const sections = Object.entries(sectionDefs).map(([id, def]) => ({
+            id,
+            name: game.i18n.localize(def.name),
+            checked: (reveal.sections || []).includes(id)
+        }));
+
+        return {
+            rule,
+            triggers,
+            sections,
+            related: reveal.related === true,
+            elements: (reveal.elements || []).join(', '),
+            isActorRule: !!this.options.actor
+        };
+    }
+
+    /**
+     * Activate event listeners.
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+        // Only the value input of the selected trigger is shown
+        const showTriggerValue = () => {
+            const type = html.find('select[name="triggerType"]').val();
+            html.find('[data-trigger]').each((i, el) => { el.hidden = el.dataset.trigger !== type; });
+            this.setPosition({ height: 'auto' });
+        };
+        html.find('select[name="triggerType"]').on('change', showTriggerValue);
+        showTriggerValue();
+    }
+
+    /**
+     * Handle form submission to save the rule.
+     */
+    async _updateObject(event, formData) {
+        const expanded = foundry.utils.expandObject(formData);
+        const type = expanded.triggerType;
+        const value = expanded.triggerValue?.[type];
+
+        const rule = {
+            id: this.ruleId ?? foundry.utils.randomID(),
+            name: expanded.name?.trim() || 'Unnamed Rule',
+            enabled: expanded.enabled !== false,
+            trigger: { type, value: value === undefined || value === null ? '' : String(value).trim() },
+            reveal: {
+                related: expanded.related === true,
+                sections: Object.entries(expanded.sections || {}).filter(([, checked]) => checked).map(([id]) => id),
+                elements: String(expanded.elements ?? '').split(',').map(key => key.trim()).filter(key => !!key)
+            }
+        };
+
+        if (!rule.reveal.related && rule.reveal.sections.length === 0 && rule.reveal.elements.length === 0) {
+            ui.notifications.warn('The rule does not reveal anything. Choose related elements, a section or element keys.');
+            throw new Error('Auto-reveal rule without anything to reveal');
+        }
+
+        const rules = getRevealRules(this.options.actor);
+        const index = rules.findIndex(r => r.id === rule.id);
+        if (index === -1) rules.push(rule);
+        else rules[index] = rule;
+
+        console.log(`${MODULE_ID} | Saving auto-reveal rule:`, rule);
+        try {
+            await setRevealRules(rules, this.options.actor);
+            this.options.parentApp?.render();
+        } catch (error) {
+            console.error(`${MODULE_ID} | Error saving auto-reveal rule:`, error);
+            ui.notifications.error('Failed to save the auto-reveal rule. See console for details.');
+        }
+    }
+}
+
+/**
+ * Describes a rule in one line for the rules list, e.g. "HP Below 50 → related elements, 2 sections".
+ * @param {object} rule - The rule.
+ * @param {object[]} definitions - The trigger definitions.
+ * @returns {string}
+ * @private
+ */
+function _summarizeRevealRule(rule, definitions) {
+    const def = definitions.find(d => d.key === rule.trigger?.type);
+    const value = rule.trigger?.value;
+    const trigger = `${def?.label ?? rule.trigger?.type ?? '?'}${value !== undefined && value !== '' ? ` ${def?.choices?.[value] ?? value}` : ''}`;
+
+    const reveal = rule.reveal || {};
+    const parts = [];
+    if (reveal.related) parts.push(def?.relatedLabel || 'related elements');
+    if (reveal.sections?.length) parts.push(`${reveal.sections.length} section${reveal.sections.length === 1 ? '' : 's'}`);
+    if (reveal.elements?.length) parts.push(`${reveal.elements.length} element${reveal.elements.length === 1 ? '' : 's'}`);
+    return `${trigger} → ${parts.join(', ') || 'nothing'}`;
+}
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Auto-reveal rules of the Inspect Statblock module.
+ * A rule reveals elements when a trigger happens to a creature, e.g. "when it drops below 50% HP,
+ * reveal its HP" or "in round 3, reveal its passive features". Triggers are defined and fired by the
+ * system handler (see its getRevealTriggerDefinitions), which then reveals the keys returned by
+ * getTriggeredRevealKeys. A rule reveals specific element keys, whole sections (see the handler's
+ * getSystemSectionDefinitions) and/or the elements related to the trigger, such as the resistance
+ * matching the damage type taken.
+ *
+ * Rules apply world-wide (world setting) or to one actor (actor flag), as
+ * `[{ id, name, enabled, trigger: { type, value }, reveal: { related, sections: [sectionId], elements: [elementKey] } }]`.
+ * Built-in rules come from the handler (see its getBuiltInRevealRules); the GM can only switch them on or off.
+ */
+
+import { systemRegistry } from './system-registry.js';
+import { getToggleableKeys } from './presets.js';
+
+const MODULE_ID = 'inspect-statblock';
+
+/** World setting holding the world-wide rules. */
+export const REVEAL_RULES_SETTING = 'autoRevealRules';
+
+/** World setting holding whether each built-in rule is enabled: ruleId -> enabled. */
+export const BUILTIN_REVEAL_RULES_SETTING = 'autoRevealBuiltInRules';
+
+/** Actor flag holding the rules of one creature. */
+export const REVEAL_RULES_FLAG = 'revealRules';
+
+/**
+ * How the value of a rule's trigger is compared with the value of a trigger event.
+ * Triggers without a `compare` match when the event has the rule's value among its values. Events
+ * with a `previousValue` only match when it did not match yet, i.e. when the threshold is crossed.
+ * @type {Object<string, function(number, number): boolean>}
+ */
+const TRIGGER_COMPARISONS = {
+    below: (actual, expected) => actual < expected,
+    atLeast: (actual, expected) => actual >= expected
+};
+
+/**
+ * The triggers of the active system.
+ * @returns {Array<{key: string, label: string, type?: string, valueLabel?: string, choices?: object, compare?: string, relatedLabel?: string}>}
+ */
+export function getRevealTriggerDefinitions() {
+    return _getHandler()?.getRevealTriggerDefinitions?.() ?? [];
+}
+
+/**
+ * The built-in rules of the active system, with their enabled state.
+ * @returns {object[]}
+ */
+export function getBuiltInRevealRules() {
+    const states = game.settings.get(MODULE_ID, BUILTIN_REVEAL_RULES_SETTING) || {};
+    return (_getHandler()?.getBuiltInRevealRules?.() ?? []).map(rule => ({
+        ...rule,
+        builtIn: true,
+        enabled: states[rule.id] ?? rule.defaultEnabled !== false
+    }));
+}
+
+/**
+ * Switches a built-in rule on or off.
+ * @param {string} ruleId - The built-in rule.
+ * @param {boolean} enabled - Whether the rule is enabled.
+ * @returns {Promise<void>}
+ */
+export async function setBuiltInRevealRuleEnabled(ruleId, enabled) {
+    const states = game.settings.get(MODULE_ID, BUILTIN_REVEAL_RULES_SETTING) || {};
+    await game.settings.set(MODULE_ID, BUILTIN_REVEAL_RULES_SETTING, { ...states, [ruleId]: enabled });
+}
+
+/**
+ * The world-wide rules, or the rules of an actor.
+ * @param {Actor|null} [actor=null] - The actor, for its own rules.
+ * @returns {object[]}
+ */
+export function getRevealRules(actor = null) {
+    if (actor) return _getRulesActor(actor)?.getFlag(MODULE_ID, REVEAL_RULES_FLAG) || [];
+    return game.settings.get(MODULE_ID, REVEAL_RULES_SETTING) || [];
+}
+
+/**
+ * Stores the world-wide rules, or the rules of an actor.
+ * @param {object[]} rules - The rules.
+ * @param {Actor|null} [actor=null] - The actor, for its own rules.
+ * @returns {Promise<void>}
+ */
+export async function setRevealRules(rules, actor = null) {
+    if (!actor) {
+        await game.settings.set(MODULE_ID, REVEAL_RULES_SETTING, rules);
+        return;
+    }
+    const rulesActor = _getRulesActor(actor);
+    if (rules.length > 0) await rulesActor.setFlag(MODULE_ID, REVEAL_RULES_FLAG, rules);
+    else await rulesActor.unsetFlag(MODULE_ID, REVEAL_RULES_FLAG);
+}
+
+/**
+ * Whether the trigger of a rule matches a trigger event. A rule without a trigger value matches every
+ * event of its trigger type.
+ * @param {object} rule - The rule.
+ * @param {object} event - The trigger event (see getTriggeredRevealKeys).
+ * @param {object|null} [definition=null] - The definition of the trigger.
+ * @returns {boolean}
+ */
+export function revealTriggerMatches(rule, event, definition = null) {
+    if (rule.trigger?.type !== event.type) return false;
+    const expected = rule.trigger.value;
+    if (expected === undefined || expected === null || expected === '') return true;
+
+    const compare = TRIGGER_COMPARISONS[definition?.compare];
+    if (compare) {
+        if (!Number.isFinite(Number(event.value)) || !compare(Number(event.value), Number(expected))) return false;
+        const previous = event.previousValue;
+        return previous === undefined || previous === null || !compare(Number(previous), Number(expected));
+    }
+    const values = event.values?.length ? event.values : [event.value];
+    return values.some(value => String(value).toLowerCase() === String(expected).toLowerCase());
+}
+
+/**
+ * Gets the elements to reveal for a trigger event: those of every enabled built-in, world-wide and
+ * actor rule matching it. Revealing them is up to the caller.
+ * @param {object} event
+ * @param {string} event.type - The trigger, as defined by the handler.
+ * @param {Actor} event.actor - The creature the trigger happened to.
+ * @param {TokenDocument|null} [event.tokenDoc=null] - Its token, if any.
+ * @param {string|number|null} [event.value=null] - The value compared with a rule's trigger value, e.g. the HP percentage.
+ * @param {number|null} [event.previousValue=null] - The value before the event, so comparing triggers only match
+ *                                                    when the threshold is crossed.
+ * @param {Array<string>} [event.values=[]] - Values of triggers matching by value, e.g. every damage type taken.
+ * @param {string[]} [event.relatedKeys=[]] - The elements related to the event, revealed by rules that reveal related elements.
+ * @returns {Promise<string[]>}
+ */
+export async function getTriggeredRevealKeys({ type, actor, tokenDoc = null, value = null, previousValue = null, values = [], relatedKeys = [] }) {
+    if (!actor) return [];
+    const event = { type, value, previousValue, values };
+    const definition = getRevealTriggerDefinitions().find(def => def.key === type) ?? null;
+    const rules = [...getBuiltInRevealRules(), ...getRevealRules(), ...getRevealRules(actor)]
+        .filter(rule => rule.enabled !== false && revealTriggerMatches(rule, event, definition));
+    if (rules.length === 0) return [];
+
+    const keys = new Set();
+    let toggleableKeys = null;
+    for (const rule of rules) {
+        const reveal = rule.reveal || {};
+        if (reveal.related) relatedKeys.forEach(key => keys.add(key));
+        (reveal.elements || []).forEach(key => keys.add(key));
+        if (reveal.sections?.length) {
+            toggleableKeys ??= await getToggleableKeys(actor, tokenDoc?.object ?? null);
+            for (const sectionId of reveal.sections) {
+                (await getSectionElementKeys(sectionId, actor, toggleableKeys)).forEach(key => keys.add(key));
+            }
+        }
+        console.log(`${MODULE_ID} | Auto-reveal rule "${rule.name}" matched ${type} on ${actor.name}`);
+    }
+    return Array.from(keys);
+}
+
+/**
+ * Gets the element keys of a section of a creature: the ones the handler assigns to it (see its
+ * getSectionElementKeys), otherwise the section key or, for groups, every key starting with it.
+ * @param {string} sectionId - The section, as defined by the handler's getSystemSectionDefinitions.
+ * @param {Actor} actor - The actor.
+ * @param {string[]} toggleableKeys - Every toggleable element key of the actor.
+ * @returns {Promise<string[]>}
+ */
+export async function getSectionElementKeys(sectionId, actor, toggleableKeys) {
+    const handler = _getHandler();
+    if (handler?.getSectionElementKeys) return handler.getSectionElementKeys(sectionId, actor, toggleableKeys);
+    const def = handler?.getSystemSectionDefinitions?.()[sectionId];
+    if (!def) return [];
+    if (def.type === 'group') return toggleableKeys.filter(key => key.startsWith(def.keyPattern));
+    return [def.keyPattern];
+}
+
+/**
+ * The world Actor holding the rules of an actor (token actors use the rules of their base actor).
+ * @param {Actor} actor - The actor.
+ * @returns {Actor}
+ * @private
+ */
+function _getRulesActor(actor) {
+    return actor.isToken ? (game.actors.get(actor.id) ?? actor) : actor;
+}
+
+/**
+ * Gets the system handler for the active game system.
+ * @returns {object|null}
+ * @private
+ */
+function _getHandler() {
+    return systemRegistry.getHandler(game.system.id);
+}
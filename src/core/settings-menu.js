@@ -1,36 +1,12 @@
+import { systemRegistry } from './system-registry.js';
+import { renderStatblockFromSIDS } from './renderer.js';
+import { RULE_OPERATORS, getVisibilityRules, setVisibilityRules } from './visibility-rules.js';
+import { PLACEHOLDER_SETTING, PLACEHOLDER_STYLES, DEFAULT_PLACEHOLDER_TEXT, getPlaceholderSettings } from './placeholders.js';
+
 const MODULE_ID = 'inspect-statblock';
 
-/**
- * Hardcoded D&D 5e settings for initial testing.
- */
-const HARDCODED_DND5E_SETTINGS = [
-    { keySuffix: "dnd5e-showDefault-headerName", name: "Name", hint: "Show creature name by default" },
-    { keySuffix: "dnd5e-showDefault-headerCrLevel", name: "CR/Level", hint: "Show CR or level by default" },
-    { keySuffix: "dnd5e-showDefault-headerSize", name: "Size", hint: "Show creature size by default" },
-    { keySuffix: "dnd5e-showDefault-headerType", name: "Type/Class", hint: "Show type or class by default" },
-    { keySuffix: "dnd5e-showDefault-ac", name: "Armor Class", hint: "Show AC by default" },
-    { keySuffix: "dnd5e-showDefault-movementWalk", name: "Walk Speed", hint: "Show walk speed by default" },
-    { keySuffix: "dnd5e-showDefault-movementFly", name: "Fly Speed", hint: "Show fly speed by default" },
-    { keySuffix: "dnd5e-showDefault-movementSwim", name: "Swim Speed", hint: "Show swim speed by default" },
-    { keySuffix: "dnd5e-showDefault-movementClimb", name: "Climb Speed", hint: "Show climb speed by default" },
-    { keySuffix: "dnd5e-showDefault-movementBurrow", name: "Burrow Speed", hint: "Show burrow speed by default" },
-    { keySuffix: "dnd5e-showDefault-health", name: "Health", hint: "Show health by default" },
-    // Ability scores (split per ability)
-    { keySuffix: "dnd5e-showDefault-abilityStr", name: "Strength", hint: "Show Strength by default" },
-    { keySuffix: "dnd5e-showDefault-abilityDex", name: "Dexterity", hint: "Show Dexterity by default" },
-    { keySuffix: "dnd5e-showDefault-abilityCon", name: "Constitution", hint: "Show Constitution by default" },
-    { keySuffix: "dnd5e-showDefault-abilityInt", name: "Intelligence", hint: "Show Intelligence by default" },
-    { keySuffix: "dnd5e-showDefault-abilityWis", name: "Wisdom", hint: "Show Wisdom by default" },
-    { keySuffix: "dnd5e-showDefault-abilityCha", name: "Charisma", hint: "Show Charisma by default" },
-    { keySuffix: "dnd5e-showDefault-activeEffectsSection", name: "Active Effects", hint: "Show active effects section by default" },
-
-    { keySuffix: "dnd5e-showDefault-defenseResistances", name: "Resistances", hint: "Show damage resistances by default" },
-    { keySuffix: "dnd5e-showDefault-defenseImmunities", name: "Immunities", hint: "Show damage immunities by default" },
-    { keySuffix: "dnd5e-showDefault-defenseVulnerabilities", name: "Vulnerabilities", hint: "Show damage vulnerabilities by default" },
-    { keySuffix: "dnd5e-showDefault-defenseConditions", name: "Condition Immunities", hint: "Show condition immunities by default" },
-    { keySuffix: "dnd5e-showDefault-passiveFeaturesSection", name: "Passive Features", hint: "Show passive features by default" },
-    { keySuffix: "dnd5e-showDefault-activeFeaturesSection", name: "Active Features", hint: "Show active features by default" }
-];
+/** Group for sections whose handler assigns them no (known) category. */
+const OTHER_CATEGORY = { name: 'Other', icon: 'fas fa-ellipsis-h', hint: '' };
 
 /**
  * FormApplication for configuring default visibility settings with chip interface.
@@ -42,7 +18,7 @@ export class DefaultVisibilityConfigApp extends FormApplication {
             id: 'inspect-statblock-defaults-config',
             title: 'Configure Default Visibility',
             template: 'modules/inspect-statblock/templates/default-visibility-config.hbs',
-            width: 600,
+            width: 980,
             height: 'auto',
             classes: ['inspect-statblock', 'defaults-config'],
             closeOnSubmit: true,
@@ -56,25 +32,56 @@ export class DefaultVisibilityConfigApp extends FormApplication {
      */
     async getData(options = {}) {
         const currentDefaults = game.settings.get(MODULE_ID, 'defaultVisibilitySettings') || {};
-        
-        // Map hardcoded settings to template data
-        const settings = HARDCODED_DND5E_SETTINGS.map(setting => ({
-            key: setting.keySuffix,
-            name: setting.name,
-            hint: setting.hint,
-            enabled: currentDefaults[setting.keySuffix] ?? true // Default to true if not set
+
+        // One chip per default setting of the active system, grouped by the handler's categories
+        const settings = _getDefaultSettingDefinitions().map(setting => ({
+            ...setting,
+            enabled: currentDefaults[setting.key] ?? true // Default to true if not set
         }));
+        // Placeholder style of each placeholder section, listed with the category it belongs to
+        const placeholderSettings = getPlaceholderSettings();
+        const placeholders = _getPlaceholderSectionDefinitions().map(section => {
+            const config = placeholderSettings[section.id] ?? {};
+            const style = config.style in PLACEHOLDER_STYLES ? config.style : 'marks';
+            return {
+                ...section,
+                text: config.text ?? '',
+                isCustomText: style === 'text',
+                styles: Object.entries(PLACEHOLDER_STYLES).map(([value, label]) => ({ value, label, selected: value === style }))
+            };
+        });
+        const categories = _groupByCategory(settings, placeholders);
 
         // Calculate toggle all states
         const hasAllEnabled = settings.every(s => s.enabled);
         const hasAllDisabled = settings.every(s => !s.enabled);
 
+        // Rules overriding the defaults for matching creatures, in evaluation order
+        const rules = getVisibilityRules().map((rule, index, all) => ({
+            id: rule.id,
+            name: rule.name,
+            enabled: rule.enabled !== false,
+            summary: _summarizeRule(rule),
+            isFirst: index === 0,
+            isLast: index === all.length - 1
+        }));
+
         return {
             systemId: game.system.id,
             settings: settings,
+            categories,
             hasAllEnabled: hasAllEnabled,
             hasAllDisabled: hasAllDisabled,
-            totalSettings: settings.length
+            totalSettings: settings.length,
+            rules,
+            canEditRules: !!systemRegistry.getHandler(game.system.id)?.getRuleAttributeDefinitions,
+            // Creatures the preview can show; an empty ID is the handler's example creature
+            previewActors: game.actors.contents
+                .map(actor => ({ id: actor.id, name: actor.name, selected: actor.id === this.previewActorId }))
+                .sort((a, b) => a.name.localeCompare(b.name)),
+            defaultPlaceholderText: DEFAULT_PLACEHOLDER_TEXT,
+            hasExampleActor: !!systemRegistry.getHandler(game.system.id)?.getPreviewActorData,
+            previewView: this.previewView ?? 'player'
         };
     }
 
@@ -95,11 +102,153 @@ export class DefaultVisibilityConfigApp extends FormApplication {
             if (hiddenInput) {
                 hiddenInput.value = chip.classList.contains('active');
             }
+            this._renderPreview();
         });
         
         // Toggle all buttons
         html.find('[data-action="toggle-all-on"]').on('click', this._onToggleAllOn.bind(this));
         html.find('[data-action="toggle-all-off"]').on('click', this._onToggleAllOff.bind(this));
+
+        // Visibility rules
+        html.find('[data-action="add-rule"]').on('click', this._onEditRule.bind(this));
+        html.find('[data-action="edit-rule"]').on('click', this._onEditRule.bind(this));
+        html.find('[data-action="delete-rule"]').on('click', this._onDeleteRule.bind(this));
+        html.find('[data-action="move-rule-up"]').on('click', event => this._onMoveRule(event, -1));
+        html.find('[data-action="move-rule-down"]').on('click', event => this._onMoveRule(event, 1));
+
+        // Preview
+        html.find('select[name="previewActorId"]').on('change', event => {
+            this.previewActorId = event.currentTarget.value || null;
+            this._renderPreview();
+        });
+        html.find('[data-preview-view]').on('click', this._onSwitchPreviewView.bind(this));
+
+        // Placeholders: the custom text only applies to the "Custom Text" style
+        html.find('select[name^="placeholder."]').on('change', event => {
+            const select = event.currentTarget;
+            select.closest('.placeholder-config')?.classList.toggle('custom-text', select.value === 'text');
+            this._renderPreview();
+        });
+        html.find('input[name^="placeholder."]').on('change', () => this._renderPreview());
+        this._renderPreview();
+    }
+
+    /**
+     * Switch the preview between the player's and the GM's view.
+     */
+    _onSwitchPreviewView(event) {
+        event.preventDefault();
+        this.previewView = event.currentTarget.dataset.previewView;
+        const preview = this.element.find('.visibility-preview');
+        preview.find('[data-preview-view]').each((i, button) => button.classList.toggle('active', button.dataset.previewView === this.previewView));
+        preview.find('[data-preview]').each((i, pane) => pane.classList.toggle('active', pane.dataset.preview === this.previewView));
+    }
+
+    /**
+     * Render the preview statblocks with the chip states as they are in the form, saved or not.
+     * Only the defaults are shown: the previewed actor's own overrides and the visibility rules are ignored.
+     */
+    async _renderPreview() {
+        const preview = this.element?.find('.visibility-preview');
+        if (!preview?.length) return;
+        const handler = systemRegistry.getHandler(game.system.id);
+        const actor = this._getPreviewActor(handler);
+        const panes = { player: preview.find('[data-preview="player"]'), gm: preview.find('[data-preview="gm"]') };
+        if (!actor) {
+            Object.values(panes).forEach(pane => pane.html('<p class="notes">Select an actor to preview.</p>'));
+            return;
+        }
+
+        const visibilityDefaults = { ...(game.settings.get(MODULE_ID, 'defaultVisibilitySettings') || {}) };
+        this.element.find('.chip').each((i, chip) => {
+            visibilityDefaults[chip.dataset.value] = chip.classList.contains('active');
+        });
+        const placeholderSettings = this._readPlaceholderSettings();
+
+        // Chips can be toggled faster than the statblocks render; only the latest render is shown
+        const renderId = this._previewRenderId = (this._previewRenderId ?? 0) + 1;
+        try {
+            const [playerHtml, gmHtml] = await Promise.all([false, true].map(async isGM => {
+                const sidsData = await handler.getStandardizedActorData(actor, null, {}, isGM, { visibilityDefaults, placeholderSettings });
+                return renderStatblockFromSIDS(sidsData);
+            }));
+            if (renderId !== this._previewRenderId) return;
+            panes.player.html(playerHtml);
+            panes.gm.html(gmHtml);
+        } catch (error) {
+            console.error(`${MODULE_ID} | Error rendering the default visibility preview:`, error);
+            Object.values(panes).forEach(pane => pane.html('<p class="notes">Could not render the preview. See console for details.</p>'));
+        }
+    }
+
+    /**
+     * Read the placeholder styles as they are in the form.
+     * @returns {object} sectionId -> { style, text }
+     */
+    _readPlaceholderSettings() {
+        const placeholderSettings = {};
+        this.element.find('.placeholder-config').each((i, row) => {
+            const sectionId = row.dataset.placeholderSection;
+            placeholderSettings[sectionId] = {
+                style: row.querySelector('select')?.value || 'marks',
+                text: row.querySelector('input[type="text"]')?.value ?? ''
+            };
+        });
+        return placeholderSettings;
+    }
+
+    /**
+     * The actor shown in the preview: the selected world actor, or else the handler's example creature.
+     * @param {object|null} handler - The active system handler.
+     * @returns {Actor|null}
+     */
+    _getPreviewActor(handler) {
+        if (!handler) return null;
+        if (this.previewActorId) return game.actors.get(this.previewActorId) ?? null;
+        if (!this._exampleActor && handler.getPreviewActorData) {
+            try {
+                // Temporary actor, never saved to the world
+                this._exampleActor = new CONFIG.Actor.documentClass(handler.getPreviewActorData());
+            } catch (error) {
+                console.error(`${MODULE_ID} | Could not create the example creature for the preview:`, error);
+                return null;
+            }
+        }
+        return this._exampleActor ?? null;
+    }
+
+    /**
+     * Open the rule editor for a new or an existing rule.
+     */
+    _onEditRule(event) {
+        event.preventDefault();
+        const ruleId = event.currentTarget.closest('[data-rule-id]')?.dataset.ruleId ?? null;
+        new VisibilityRuleConfigApp(ruleId, { parentApp: this }).render(true);
+    }
+
+    /**
+     * Delete a rule.
+     */
+    async _onDeleteRule(event) {
+        event.preventDefault();
+        const ruleId = event.currentTarget.closest('[data-rule-id]')?.dataset.ruleId;
+        await setVisibilityRules(getVisibilityRules().filter(rule => rule.id !== ruleId));
+        this.render();
+    }
+
+    /**
+     * Move a rule up or down in the evaluation order.
+     */
+    async _onMoveRule(event, offset) {
+        event.preventDefault();
+        const ruleId = event.currentTarget.closest('[data-rule-id]')?.dataset.ruleId;
+        const rules = getVisibilityRules();
+        const index = rules.findIndex(rule => rule.id === ruleId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= rules.length) return;
+        [rules[index], rules[target]] = [rules[target], rules[index]];
+        await setVisibilityRules(rules);
+        this.render();
     }
 
     /**
@@ -114,6 +263,7 @@ export class DefaultVisibilityConfigApp extends FormApplication {
             const input = chip.querySelector('input[type="hidden"]');
             if (input) input.value = 'true';
         });
+        this._renderPreview();
         
         console.log(`${MODULE_ID} | Toggled all settings ON`);
     }
@@ -130,6 +280,7 @@ export class DefaultVisibilityConfigApp extends FormApplication {
             const input = chip.querySelector('input[type="hidden"]');
             if (input) input.value = 'false';
         });
+        this._renderPreview();
         
         console.log(`${MODULE_ID} | Toggled all settings OFF`);
     }
@@ -150,12 +301,192 @@ export class DefaultVisibilityConfigApp extends FormApplication {
         
         console.log(`${MODULE_ID} | Saving default visibility settings:`, settings);
         
+        const placeholderSettings = {};
+        for (const [sectionId, config] of Object.entries(foundry.utils.expandObject(formData).placeholder || {})) {
+            placeholderSettings[sectionId] = { style: config.style || 'marks', text: config.text?.trim() ?? '' };
+        }
+
         try {
             await game.settings.set(MODULE_ID, 'defaultVisibilitySettings', settings);
+            await game.settings.set(MODULE_ID, PLACEHOLDER_SETTING, placeholderSettings);
             ui.notifications.info('Default visibility settings saved successfully!');
         } catch (error) {
             console.error(`${MODULE_ID} | Error saving settings:`, error);
             ui.notifications.error('Failed to save settings. See console for details.');
         }
     }
-} 
\ No newline at end of file
+} 
+
+/**
+ * FormApplication for editing a single default visibility rule: the creature attributes it matches
+ * and the default settings it overrides.
+ */
+export class VisibilityRuleConfigApp extends FormApplication {
+
+    /**
+     * @param {string|null} ruleId - The rule to edit, or null for a new rule.
+     * @param {object} [options] - Application options. `parentApp` is re-rendered after saving.
+     */
+    constructor(ruleId = null, options = {}) {
+        super({}, options);
+        this.ruleId = ruleId;
+    }
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'inspect-statblock-rule-config',
+            title: 'Configure Visibility Rule',
+            template: 'modules/inspect-statblock/templates/visibility-rule-config.hbs',
+            width: 520,
+            height: 'auto',
+            classes: ['inspect-statblock', 'defaults-config', 'visibility-rule-config'],
+            closeOnSubmit: true,
+            submitOnChange: false
+        });
+    }
+
+    /**
+     * Prepare data for the template.
+     */
+    async getData(options = {}) {
+        const rule = getVisibilityRules().find(r => r.id === this.ruleId) ?? { name: '', enabled: true, conditions: [], visibility: {} };
+        const definitions = systemRegistry.getHandler(game.system.id)?.getRuleAttributeDefinitions?.() ?? [];
+
+        const attributes = definitions.map(def => {
+            const condition = rule.conditions.find(c => c.attribute === def.key);
+            const operators = def.type === 'number' ? ['gte', 'lte'] : ['eq', 'ne'];
+            return {
+                key: def.key,
+                label: def.label,
+                isNumber: def.type === 'number',
+                value: condition?.value ?? '',
+                operators: operators.map(op => ({ value: op, label: RULE_OPERATORS[op].label, selected: condition?.operator === op })),
+                choices: Object.entries(def.choices || {}).map(([value, label]) => ({ value, label, selected: condition?.value === value }))
+            };
+        });
+
+        const settings = _getDefaultSettingDefinitions().map(setting => {
+            const shown = rule.visibility[setting.key];
+            return { ...setting, isShow: shown === true, isHide: shown === false };
+        });
+
+        return { rule, attributes, categories: _groupByCategory(settings) };
+    }
+
+    /**
+     * Handle form submission to save the rule.
+     */
+    async _updateObject(event, formData) {
+        const expanded = foundry.utils.expandObject(formData);
+
+        const conditions = Object.entries(expanded.conditions || {})
+            .filter(([, c]) => c.operator && c.value !== '' && c.value !== null && c.value !== undefined)
+            .map(([attribute, c]) => ({ attribute, operator: c.operator, value: String(c.value) }));
+
+        const visibility = {};
+        for (const [settingKey, value] of Object.entries(expanded.visibility || {})) {
+            if (value === 'show') visibility[settingKey] = true;
+            else if (value === 'hide') visibility[settingKey] = false;
+        }
+
+        const rule = {
+            id: this.ruleId ?? foundry.utils.randomID(),
+            name: expanded.name?.trim() || 'Unnamed Rule',
+            enabled: expanded.enabled !== false,
+            conditions,
+            visibility
+        };
+
+        const rules = getVisibilityRules();
+        const index = rules.findIndex(r => r.id === rule.id);
+        if (index === -1) rules.push(rule);
+        else rules[index] = rule;
+
+        console.log(`${MODULE_ID} | Saving visibility rule:`, rule);
+        try {
+            await setVisibilityRules(rules);
+            this.options.parentApp?.render();
+        } catch (error) {
+            console.error(`${MODULE_ID} | Error saving visibility rule:`, error);
+            ui.notifications.error('Failed to save the visibility rule. See console for details.');
+        }
+    }
+}
+
+/**
+ * Lists the default visibility settings of the active system from its handler's section definitions:
+ * one entry per distinct `defaultShowSettingKey`, in definition order.
+ * @returns {Array<{key: string, name: string, hint: string, category: string|null}>}
+ * @private
+ */
+function _getDefaultSettingDefinitions() {
+    const sectionDefs = systemRegistry.getHandler(game.system.id)?.getSystemSectionDefinitions?.() ?? {};
+    const settings = new Map();
+    for (const def of Object.values(sectionDefs)) {
+        const key = def.defaultShowSettingKey;
+        if (!key || settings.has(key)) continue;
+        const name = game.i18n.localize(def.name);
+        settings.set(key, { key, name, hint: def.hint ? game.i18n.localize(def.hint) : `Show ${name} by default`, category: def.category ?? null });
+    }
+    return Array.from(settings.values());
+}
+
+/**
+ * Lists the placeholder sections of the active system (see the handler's getPlaceholderSections).
+ * @returns {Array<{id: string, name: string, category: string|null}>}
+ * @private
+ */
+function _getPlaceholderSectionDefinitions() {
+    const sections = systemRegistry.getHandler(game.system.id)?.getPlaceholderSections?.() ?? {};
+    return Object.entries(sections).map(([id, section]) => ({ id, name: game.i18n.localize(section.name), category: section.category ?? null }));
+}
+
+/**
+ * Groups settings and placeholder sections by the categories of the active handler (see its
+ * getSectionCategories), in the handler's order. Entries without a known category are collected in
+ * a trailing "Other" group.
+ * @param {object[]} settings - Settings with a `category` ID.
+ * @param {object[]} [placeholders=[]] - Placeholder sections with a `category` ID.
+ * @returns {Array<{id: string, name: string, icon: string, hint: string, settings: object[], placeholders: object[]}>} Non-empty groups only.
+ * @private
+ */
+function _groupByCategory(settings, placeholders = []) {
+    const definitions = systemRegistry.getHandler(game.system.id)?.getSectionCategories?.() ?? {};
+    const groups = Object.entries(definitions).map(([id, category]) => ({
+        id,
+        name: game.i18n.localize(category.name),
+        icon: category.icon || OTHER_CATEGORY.icon,
+        hint: category.hint ? game.i18n.localize(category.hint) : '',
+        settings: settings.filter(setting => setting.category === id),
+        placeholders: placeholders.filter(placeholder => placeholder.category === id)
+    }));
+    const isOther = entry => !(entry.category in definitions);
+    // Without any categories, everything is in this group
+    groups.push({
+        id: 'other',
+        ...OTHER_CATEGORY,
+        name: groups.length > 0 ? OTHER_CATEGORY.name : 'Statblock Elements',
+        settings: settings.filter(isOther),
+        placeholders: placeholders.filter(isOther)
+    });
+    return groups.filter(group => group.settings.length > 0 || group.placeholders.length > 0);
+}
+
+/**
+ * Describes a rule in one line for the rules list, e.g. "CR at least 10 → hides 4, shows 0".
+ * @param {object} rule - The rule.
+ * @returns {string}
+ * @private
+ */
+function _summarizeRule(rule) {
+    const definitions = systemRegistry.getHandler(game.system.id)?.getRuleAttributeDefinitions?.() ?? [];
+    const conditions = (rule.conditions || []).map(({ attribute, operator, value }) => {
+        const def = definitions.find(d => d.key === attribute);
+        return `${def?.label ?? attribute} ${RULE_OPERATORS[operator]?.label ?? operator} ${def?.choices?.[value] ?? value}`;
+    });
+    const values = Object.values(rule.visibility || {});
+    const hides = values.filter(shown => !shown).length;
+    const shows = values.length - hides;
+    return `${conditions.length > 0 ? conditions.join(', ') : 'Every creature'} → hides ${hides}, shows ${shows}`;
+}
+
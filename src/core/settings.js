@@ -2,51 +2,15 @@ const MODULE_ID = 'inspect-statblock';
 
 // Import the settings menu FormApplication
 import { DefaultVisibilityConfigApp } from './settings-menu.js';
-
-/**
- * Simple FormApplication for the Clear All Flags button
- */
-class ClearAllFlagsApp extends FormApplication {
-    static get defaultOptions() {
-        return foundry.utils.mergeObject(super.defaultOptions, {
-            id: 'clear-all-flags-dialog',
-            title: 'Clear All Statblock Flags',
-            width: 400,
-            height: 'auto',
-            classes: ['dialog'],
-            submitOnChange: false,
-            closeOnSubmit: true
-        });
-    }
-
-    async render(force = false, options = {}) {
-        // Skip the normal render process and show confirmation dialog directly
-        const confirmed = await Dialog.confirm({
-            title: "Clear All Statblock Flags",
-            content: `
-                <div style="margin-bottom: 1rem;">
-                    <p><strong>⚠️ WARNING:</strong> This will permanently remove ALL visibility flags from ALL actors in your world.</p>
-                    <p>This means:</p>
-                    <ul style="margin-left: 1rem;">
-                        <li>All statblock elements will return to their default visibility</li>
-                        <li>Any custom hide/show settings will be lost</li>
-                        <li>This action cannot be undone</li>
-                    </ul>
-                </div>
-                <p><strong>Are you sure you want to continue?</strong></p>
-            `,
-            yes: () => true,
-            no: () => false,
-            defaultYes: false
-        });
-        
-        if (confirmed) {
-            await _clearAllInspectStatblockFlags();
-        }
-        
-        return this;
-    }
-}
+import { FlagMaintenanceApp, FLAG_BACKUPS_SETTING } from './flag-maintenance.js';
+import { VisibilityTransferApp } from './transfer.js';
+import { PRESETS_SETTING } from './presets.js';
+import { RULES_SETTING } from './visibility-rules.js';
+import { PLACEHOLDER_SETTING } from './placeholders.js';
+import { REVEAL_RULES_SETTING, BUILTIN_REVEAL_RULES_SETTING } from './reveal-rules.js';
+import { RevealRulesConfigApp } from './reveal-rules-config.js';
+import { REVEAL_QUEUE_SETTING, RevealQueueApp, onRevealQueueChange } from './reveal-queue.js';
+import { REVEAL_REQUESTS_SETTING, RevealRequestsApp, onRevealRequestsChange } from './reveal-requests.js';
 
 /**
  * Registers all core settings for the Inspect Statblock module.
@@ -58,7 +22,7 @@ export function registerCoreSettings() {
     game.settings.registerMenu(MODULE_ID, 'defaultVisibilityMenu', {
         name: 'Default Visibility Settings',
         label: 'Configure Statblock Defaults',
-        hint: 'Set which elements show by default in new statblocks',
+        hint: 'Set which elements show by default. Elements you have not toggled on a statblock follow these defaults.',
         icon: 'fas fa-eye',
         type: DefaultVisibilityConfigApp,
         restricted: true // GM only
@@ -86,42 +50,220 @@ export function registerCoreSettings() {
     // Flag storage mode: per-actor (shared) vs per-token (individual)
     game.settings.register(MODULE_ID, "flagStorageMode", {
         name: "Visibility Flag Storage Mode",
-        hint: "Controls whether visibility flags are shared between tokens of the same actor (Per Actor) or stored individually per token (Per Token).",
+        hint: "Controls whether visibility flags are shared between tokens of the same actor (Per Actor), stored individually per token (Per Token), or shared by the actor with individual tokens overriding single elements (Hybrid).",
         scope: "world",
         config: true,
         type: String,
         choices: {
             "per-actor": "Per Actor (Shared - Default)",
-            "per-token": "Per Token (Individual)"
+            "per-token": "Per Token (Individual)",
+            "hybrid": "Hybrid (Actor Baseline + Token Overrides)"
         },
         default: "per-actor",
     });
 
-    // Clear all flags button - for testing and resetting module state
-    game.settings.registerMenu(MODULE_ID, 'clearAllFlagsMenu', {
-        name: 'Clear All Statblock Flags',
-        label: 'Clear All Flags',
-        hint: '⚠️ WARNING: This will remove ALL visibility flags from ALL actors. This action cannot be undone!',
-        icon: 'fas fa-trash',
-        type: ClearAllFlagsApp,
+    // Shared creature knowledge: reveals carry over to every actor from the same source
+    game.settings.register(MODULE_ID, "shareCreatureKnowledge", {
+        name: "Share Creature Knowledge by Source",
+        hint: "When enabled, revealing an element on one creature reveals it on every actor imported from the same compendium entry. The shared knowledge is applied whenever a statblock is shown, so new tokens show what the party already knows without storing it on the token.",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: false,
+        onChange: () => _rerenderOpenStatblocks()
+    });
+
+    // Hidden setting storing the accumulated creature knowledge, keyed by creature source
+    game.settings.register(MODULE_ID, "creatureKnowledge", {
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => _rerenderOpenStatblocks()
+    });
+
+    // Hidden marker: flag schema version the world was last migrated to (see migrations.js)
+    game.settings.register(MODULE_ID, "flagSchemaVersion", {
+        scope: "world",
+        config: false,
+        type: Number,
+        default: 1
+    });
+
+    // Clear flags of a scene, tokens, folder or the world, with backup and restore
+    game.settings.registerMenu(MODULE_ID, 'flagMaintenanceMenu', {
+        name: 'Clear and Restore Statblock Flags',
+        label: 'Clear / Restore Flags',
+        hint: 'Clear the visibility flags of the current scene, the selected tokens, an actor folder or the whole world. A backup is made first and can be restored.',
+        icon: 'fas fa-trash-restore',
+        type: FlagMaintenanceApp,
         restricted: true // GM only
     });
 
-    // Auto-reveal behavior toggles
+    // Export and import the visibility of a scene as JSON
+    game.settings.registerMenu(MODULE_ID, 'visibilityTransferMenu', {
+        name: 'Import / Export Visibility',
+        label: 'Import / Export',
+        hint: 'Carry what players have learned between scenes or worlds as a JSON file.',
+        icon: 'fas fa-file-export',
+        type: VisibilityTransferApp,
+        restricted: true // GM only
+    });
+
+    // Hidden setting storing the named visibility presets (see presets.js)
+    game.settings.register(MODULE_ID, PRESETS_SETTING, {
+        scope: 'world',
+        config: false,
+        type: Array,
+        default: []
+    });
+
+    // Hidden setting storing the default visibility rules, edited in the default visibility menu (see visibility-rules.js)
+    game.settings.register(MODULE_ID, RULES_SETTING, {
+        scope: 'world',
+        config: false,
+        type: Array,
+        default: [],
+        onChange: () => _rerenderOpenStatblocks()
+    });
+
+    // Hidden setting storing the placeholder style of each section, edited in the default visibility menu (see placeholders.js)
+    game.settings.register(MODULE_ID, PLACEHOLDER_SETTING, {
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => _rerenderOpenStatblocks()
+    });
+
+    // Hidden setting storing the latest flag backups (see flag-maintenance.js)
+    game.settings.register(MODULE_ID, FLAG_BACKUPS_SETTING, {
+        scope: 'world',
+        config: false,
+        type: Array,
+        default: []
+    });
+
+    // Auto-reveal rules: triggers defined by the system handler reveal elements (see reveal-rules.js)
+    game.settings.registerMenu(MODULE_ID, 'autoRevealRulesMenu', {
+        name: 'Auto-Reveal Rules',
+        label: 'Configure Auto-Reveal Rules',
+        hint: 'Reveal elements automatically when something happens to a creature, e.g. damage taken, HP below a threshold or a combat round reached. Also switches the built-in reveals on or off.',
+        icon: 'fas fa-magic',
+        type: RevealRulesConfigApp,
+        restricted: true // GM only
+    });
+
+    // Hidden setting storing the world-wide auto-reveal rules
+    game.settings.register(MODULE_ID, REVEAL_RULES_SETTING, {
+        scope: 'world',
+        config: false,
+        type: Array,
+        default: []
+    });
+
+    // Hidden setting storing which built-in auto-reveal rules are enabled
+    game.settings.register(MODULE_ID, BUILTIN_REVEAL_RULES_SETTING, {
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {}
+    });
+
+    // Approval queue for automatic reveals (see reveal-queue.js)
+    game.settings.register(MODULE_ID, 'autoRevealApproval', {
+        name: 'Approve Auto-Reveals',
+        hint: 'When enabled, reveals made by auto-reveal rules (e.g. damage taken, effects applied) wait in a queue until a GM approves them, so a mistaken roll or effect reveals nothing. The queue opens when reveals are pending.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.registerMenu(MODULE_ID, 'revealQueueMenu', {
+        name: 'Pending Auto-Reveals',
+        label: 'Open Approval Queue',
+        hint: 'Approve, reject or undo queued automatic reveals.',
+        icon: 'fas fa-hourglass-half',
+        type: RevealQueueApp,
+        restricted: true // GM only
+    });
+
+    // Hidden setting storing the approval queue
+    game.settings.register(MODULE_ID, REVEAL_QUEUE_SETTING, {
+        scope: 'world',
+        config: false,
+        type: Array,
+        default: [],
+        onChange: value => onRevealQueueChange(value)
+    });
+
+    // Players asking the GM about hidden elements (see reveal-requests.js)
+    game.settings.register(MODULE_ID, 'allowRevealRequests', {
+        name: 'Player Reveal Requests',
+        hint: 'When enabled, players can right-click a hidden element in a statblock to ask the GM about it, with a reason such as "I cast Identify". Requests wait in a queue that opens for the GM, and approving one reveals the element.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.registerMenu(MODULE_ID, 'revealRequestsMenu', {
+        name: 'Player Reveal Requests',
+        label: 'Open Request Queue',
+        hint: 'Approve or deny what players asked to know about creatures.',
+        icon: 'fas fa-question-circle',
+        type: RevealRequestsApp,
+        restricted: true // GM only
+    });
+
+    // Hidden setting storing the reveal requests
+    game.settings.register(MODULE_ID, REVEAL_REQUESTS_SETTING, {
+        scope: 'world',
+        config: false,
+        type: Array,
+        default: [],
+        onChange: value => onRevealRequestsChange(value)
+    });
+
+    // Reveal history kept on each document holding visibility flags (see reveal-history.js)
+    game.settings.register(MODULE_ID, 'revealHistoryLength', {
+        name: 'Reveal History Length',
+        hint: 'Number of visibility changes remembered per creature, listed with their source, user and time in the history panel of the statblock window, where GMs can undo them. 0 turns the history off.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: { min: 0, max: 500, step: 10 },
+        default: 100
+    });
+
+    // How players notice elements revealed while their statblock window is open
+    game.settings.register(MODULE_ID, 'revealNotifications', {
+        name: 'Reveal Notifications',
+        hint: 'What happens when the GM reveals something in a statblock window you have open. Newly revealed elements are highlighted briefly; you can also get a notification or a chat message to yourself listing them.',
+        scope: 'client',
+        config: true,
+        type: String,
+        choices: {
+            off: 'Nothing',
+            highlight: 'Highlight Only',
+            toast: 'Highlight and Notification',
+            chat: 'Highlight and Chat Message'
+        },
+        default: 'highlight'
+    });
+
+    // Former auto-reveal toggles, now built-in rules. Still read as the initial state of those rules.
     game.settings.register(MODULE_ID, "autoRevealOnDamage", {
-        name: "Auto-Reveal Defenses on Damage",
-        hint: "When enabled, taking damage of a type will automatically reveal matching defenses (resistance, immunity, vulnerability).",
         scope: "world",
-        config: true,
+        config: false,
         type: Boolean,
         default: true,
     });
 
     game.settings.register(MODULE_ID, "autoRevealOnFeatureUse", {
-        name: "Auto-Reveal Feature on Use",
-        hint: "When enabled, using a feature will automatically reveal it in the statblock.",
         scope: "world",
-        config: true,
+        config: false,
         type: Boolean,
         default: true,
     });
@@ -138,59 +280,12 @@ export function registerCoreSettings() {
 }
 
 /**
- * Clears all visibility flags from all actors in the world.
- * This is a utility function for resetting the module state.
+ * Re-renders every open statblock window.
  */
-async function _clearAllInspectStatblockFlags() {
-    console.log(`${MODULE_ID} | Starting to clear ALL Inspect Statblock data (actors + tokens)`);
-
-    const actors = game.actors?.contents ?? [];
-    const scenes = game.scenes?.contents ?? [];
-    let actorsCleared = 0;
-    let tokensCleared = 0;
-
-    try {
-        // Clear on all Actor documents: remove the entire module flag object
-        for (const actor of actors) {
-            // actor.flags is a plain object; ensure the module namespace exists by either
-            // reading flags[MODULE_ID] or getFlag (which initializes proxy accessors in v13)
-            const moduleFlags = actor.flags?.[MODULE_ID] ?? actor.getFlag(MODULE_ID);
-            if (moduleFlags && Object.keys(moduleFlags).length > 0) {
-                await actor.update({ [`flags.${MODULE_ID}`]: null }, { diff: false });
-                // As a fallback for some versions, also try unsetting known sub-keys
-                await actor.unsetFlag(MODULE_ID, 'hiddenElements');
-                actorsCleared++;
-                console.log(`${MODULE_ID} | Cleared module data for actor: ${actor.name}`);
-            }
-        }
-
-        // Clear on all TokenDocuments across all scenes (per-token storage)
-        for (const scene of scenes) {
-            const tokenDocs = scene.tokens?.contents ?? [];
-            for (const token of tokenDocs) {
-                const moduleFlags = token.flags?.[MODULE_ID] ?? token.getFlag?.(MODULE_ID);
-                if (moduleFlags && Object.keys(moduleFlags).length > 0) {
-                    await token.update({ [`flags.${MODULE_ID}`]: null }, { diff: false });
-                    await token.unsetFlag?.(MODULE_ID, 'hiddenElements');
-                    tokensCleared++;
-                    console.log(`${MODULE_ID} | Cleared module data for token: ${token.name} (scene: ${scene.name})`);
-                }
-            }
+function _rerenderOpenStatblocks() {
+    Object.values(ui.windows).forEach(app => {
+        if (app.constructor.name === 'InspectStatblockApp') {
+            app.render(true);
         }
-
-        console.log(`${MODULE_ID} | Cleared Inspect Statblock data from ${actorsCleared} actors and ${tokensCleared} tokens.`);
-
-        ui.notifications.info(`Inspect Statblock: Cleared data for ${actorsCleared} actors and ${tokensCleared} tokens.`);
-
-        // Refresh all open statblock windows
-        Object.values(ui.windows).forEach(app => {
-            if (app.constructor.name === 'InspectStatblockApp') {
-                app.render(true);
-            }
-        });
-
-    } catch (error) {
-        console.error(`${MODULE_ID} | Error clearing Inspect Statblock data:`, error);
-        ui.notifications.error(`Error clearing data: ${error.message}`);
-    }
-}
\ No newline at end of file
+    });
+}
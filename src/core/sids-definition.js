@@ -54,6 +54,10 @@
  * @property {string} [subText] - e.g., duration for effects, modifier for saves, or value for key-value pairs.
  * @property {string} elementKey - Full key for visibility toggling (e.g., "feature-itemId", "effect-effectId", "res-cold").
  * @property {boolean} [isHiddenGM] - True if this specific item is hidden and user is GM.
+ * @property {boolean} [isConcealed] - True if the item is hidden from the player and `name` is a placeholder
+ *                                     (see InspectStatblockCore.getPlaceholder), so it has no tooltip.
+ * @property {boolean} [isPartial] - True if the item is partially revealed to the player (see the system handler's
+ *                                   getRevealLevels): `name` is real or descriptive, but it has no tooltip.
  * @property {string} [uuid] - For items that can be looked up via `fromUuid` (passive features).
  * @property {object} [rawEffectDuration] - For active effects, to reconstruct duration text if needed: { rounds, turns }
  * @property {string} [nativeTooltipText] - Text for native browser `title` attribute (e.g. for effects).
@@ -0,0 +1,333 @@
+/**
+ * @fileoverview Socket channel for the Inspect Statblock module.
+ * Visibility writes triggered on any client (auto-reveals from damage, feature use, ...) are performed
+ * by exactly one client: the active GM. Other clients send their request over the module socket.
+ * The active GM drops duplicate requests and coalesces the rest per document (see flag-updates.js),
+ * so a reveal triggered by several hooks (or seen by several clients) results in a single document update.
+ * Requests from players can only reveal elements, and are treated as automatic reveals: they can't set
+ * audiences, hide elements or skip the approval queue.
+ * System handlers can route their own GM-only writes the same way (see requestHandlerAction).
+ * Players' reveal requests reach the active GM the same way, and the GM's decision goes back to the
+ * requesting player (see reveal-requests.js).
+ */
+
+import { recordCreatureKnowledge } from './bestiary.js';
+import { queueVisibilityUpdate, getPendingHiddenElements, getInheritedHiddenState } from './flag-updates.js';
+import { systemRegistry } from './system-registry.js';
+import { isRevealApprovalEnabled, enqueueReveal } from './reveal-queue.js';
+import { areRevealRequestsEnabled, addRevealRequest, onRevealRequestResult } from './reveal-requests.js';
+
+const MODULE_ID = 'inspect-statblock';
+
+/**
+ * Name of the module socket channel (requires `"socket": true` in module.json).
+ * @type {string}
+ */
+export const SOCKET_NAME = `module.${MODULE_ID}`;
+
+const SOCKET_ACTIONS = {
+    SET_HIDDEN_ELEMENTS: 'setHiddenElements',
+    HANDLER_ACTION: 'handlerAction',
+    REVEAL_REQUEST: 'revealRequest',
+    REVEAL_REQUEST_RESULT: 'revealRequestResult'
+};
+
+/** Number of processed request IDs remembered for de-duplication. */
+const MAX_REMEMBERED_REQUESTS = 200;
+
+const _processedRequestIds = new Set();
+const _inFlightRequests = new Map(); // signature -> Promise<boolean>
+
+/**
+ * Whether this client is the one responsible for performing visibility writes.
+ * @returns {boolean}
+ */
+export function isResponsibleGM() {
+    return !!game.users.activeGM?.isSelf;
+}
+
+/**
+ * Starts listening on the module socket. Called once on `ready`.
+ */
+export function registerSocket() {
+    game.socket.on(SOCKET_NAME, _onSocketMessage);
+    console.log(`${MODULE_ID} | Socket channel ${SOCKET_NAME} registered.`);
+}
+
+/**
+ * Requests a change of the hiddenElements (and elementAudiences) flags of a document.
+ * Performed directly when this client is the active GM, otherwise forwarded to the active GM.
+ * @param {object} request
+ * @param {string} request.uuid - UUID of the Actor or TokenDocument holding the flags.
+ * @param {object} request.hiddenElements - elementKey -> true to hide, false to reveal.
+ * @param {object} [request.audiences={}] - elementKey -> audience UUIDs, or null to clear the audience.
+ * @param {string|null} [request.actorUuid=null] - Actor whose creature knowledge records global changes.
+ * @param {object|null} [request.source=null] - What made the change, for the reveal history (see queueVisibilityUpdate).
+ *                                              Automatic reveals have the type `autoReveal` and the trigger event (see
+ *                                              enqueueReveal in reveal-queue.js), and wait for approval when it is enabled.
+ *                                              Requests with the same `eventId` (e.g. one damage roll seen by several
+ *                                              clients) for the same document and keys are performed once.
+ * @returns {Promise<boolean>} True if the change was performed or forwarded.
+ */
+export async function requestHiddenElementsUpdate({ uuid, hiddenElements, audiences = {}, actorUuid = null, source = null }) {
+    const request = {
+        action: SOCKET_ACTIONS.SET_HIDDEN_ELEMENTS,
+        requestId: _getRequestId(uuid, hiddenElements, source),
+        userId: game.user.id,
+        uuid,
+        hiddenElements,
+        audiences,
+        actorUuid,
+        source
+    };
+
+    if (isResponsibleGM()) return _handleRequest(request);
+
+    if (!game.users.activeGM) {
+        console.warn(`${MODULE_ID} | No active GM connected, visibility change for ${uuid} was not applied.`);
+        return false;
+    }
+    game.socket.emit(SOCKET_NAME, request);
+    return true;
+}
+
+/**
+ * Requests an action of the system handler to be performed by the active GM, e.g. a write to the
+ * handler's own flags triggered on a player client. Performed directly when this client is the
+ * active GM, otherwise forwarded to it. The handler performs it in its handleSocketAction method.
+ * @param {string} name - Name of the action, as known to the handler.
+ * @param {object} [data={}] - Data of the action. Must be serializable.
+ * @returns {Promise<boolean>} True if the action was performed or forwarded.
+ */
+export async function requestHandlerAction(name, data = {}) {
+    const request = {
+        action: SOCKET_ACTIONS.HANDLER_ACTION,
+        requestId: foundry.utils.randomID(),
+        userId: game.user.id,
+        name,
+        data
+    };
+
+    if (isResponsibleGM()) return _performHandlerAction(request);
+
+    if (!game.users.activeGM) {
+        console.warn(`${MODULE_ID} | No active GM connected, handler action ${name} was not performed.`);
+        return false;
+    }
+    game.socket.emit(SOCKET_NAME, request);
+    return true;
+}
+
+/**
+ * Sends a player's reveal request to the active GM, who adds it to the request queue.
+ * @param {object} revealRequest - See addRevealRequest in reveal-requests.js.
+ * @returns {Promise<boolean>} True if the request was queued or sent.
+ */
+export async function sendRevealRequest(revealRequest) {
+    const request = {
+        action: SOCKET_ACTIONS.REVEAL_REQUEST,
+        requestId: foundry.utils.randomID(),
+        userId: game.user.id,
+        revealRequest
+    };
+
+    if (isResponsibleGM()) return _performRevealRequest(request);
+
+    if (!game.users.activeGM) {
+        console.warn(`${MODULE_ID} | No active GM connected, the reveal request was not sent.`);
+        return false;
+    }
+    game.socket.emit(SOCKET_NAME, request);
+    return true;
+}
+
+/**
+ * Tells a player how the GM decided on their reveal request.
+ * @param {string} userId - The requesting user.
+ * @param {object} result - See onRevealRequestResult in reveal-requests.js.
+ */
+export function notifyRevealRequestResult(userId, result) {
+    if (userId === game.user.id) {
+        onRevealRequestResult(result);
+        return;
+    }
+    game.socket.emit(SOCKET_NAME, { action: SOCKET_ACTIONS.REVEAL_REQUEST_RESULT, targetUserId: userId, result });
+}
+
+/**
+ * Handles a message received on the module socket.
+ * @param {object} request
+ * @param {string} [senderId] - The user who sent the message, as reported by the server.
+ * @private
+ */
+function _onSocketMessage(request, senderId) {
+    // Decisions on reveal requests go to the requesting player, not the GM
+    if (request?.action === SOCKET_ACTIONS.REVEAL_REQUEST_RESULT) {
+        if (request.targetUserId === game.user.id) onRevealRequestResult(request.result);
+        return;
+    }
+    if (!isResponsibleGM()) return;
+    // The sender can't claim to be another user, e.g. a GM
+    if (senderId) request = { ...request, userId: senderId };
+    let result;
+    switch (request?.action) {
+        case SOCKET_ACTIONS.SET_HIDDEN_ELEMENTS:
+            result = _handleRequest(request);
+            break;
+        case SOCKET_ACTIONS.HANDLER_ACTION:
+            result = _performHandlerAction(request);
+            break;
+        case SOCKET_ACTIONS.REVEAL_REQUEST:
+            result = _performRevealRequest(request);
+            break;
+        default:
+            console.warn(`${MODULE_ID} | Unknown socket action:`, request?.action);
+            return;
+    }
+    result.catch(error => {
+        console.error(`${MODULE_ID} | Error handling socket request from user ${request.userId}:`, error);
+    });
+}
+
+/**
+ * Passes a handler action to the system handler.
+ * @param {object} request
+ * @returns {Promise<boolean>} True if the handler performed the action.
+ * @private
+ */
+async function _performHandlerAction({ requestId, name, data, userId }) {
+    if (_processedRequestIds.has(requestId)) return false;
+    _processedRequestIds.add(requestId);
+    if (_processedRequestIds.size > MAX_REMEMBERED_REQUESTS) {
+        _processedRequestIds.delete(_processedRequestIds.values().next().value);
+    }
+
+    const handler = systemRegistry.getHandler(game.system.id);
+    if (!handler?.handleSocketAction) {
+        console.warn(`${MODULE_ID} | The system handler cannot perform action ${name} requested by user ${userId}.`);
+        return false;
+    }
+    return (await handler.handleSocketAction(name, data ?? {}, userId)) === true;
+}
+
+/**
+ * Adds a player's reveal request to the queue.
+ * @param {object} request
+ * @returns {Promise<boolean>} True if the request was queued.
+ * @private
+ */
+async function _performRevealRequest({ requestId, revealRequest, userId }) {
+    if (_processedRequestIds.has(requestId)) return false;
+    _processedRequestIds.add(requestId);
+    if (_processedRequestIds.size > MAX_REMEMBERED_REQUESTS) {
+        _processedRequestIds.delete(_processedRequestIds.values().next().value);
+    }
+
+    if (!areRevealRequestsEnabled() || !revealRequest?.actorUuid || !revealRequest.elementKey) return false;
+    await addRevealRequest(revealRequest, userId);
+    return true;
+}
+
+/**
+ * The ID of a visibility request. Requests of the same trigger event get the same ID on every client, so
+ * the active GM performs only the first of them. Other requests get a random ID.
+ * @param {string} uuid - The document holding the flags.
+ * @param {object} hiddenElements - The requested changes.
+ * @param {object|null} source - What made the change.
+ * @returns {string}
+ * @private
+ */
+function _getRequestId(uuid, hiddenElements, source) {
+    if (!source?.eventId) return foundry.utils.randomID();
+    return [source.eventId, uuid, ...Object.keys(hiddenElements).sort()].join('|');
+}
+
+/**
+ * De-duplicates a request before performing it.
+ * @param {object} request
+ * @returns {Promise<boolean>} True if the document was updated.
+ * @private
+ */
+function _handleRequest(request) {
+    if (_processedRequestIds.has(request.requestId)) return Promise.resolve(false);
+    _processedRequestIds.add(request.requestId);
+    if (_processedRequestIds.size > MAX_REMEMBERED_REQUESTS) {
+        _processedRequestIds.delete(_processedRequestIds.values().next().value);
+    }
+
+    // Identical requests arriving while one is still pending (e.g. the same reveal from two triggers) share its result
+    const signature = JSON.stringify([request.uuid, request.hiddenElements, request.audiences]);
+    if (_inFlightRequests.has(signature)) return _inFlightRequests.get(signature);
+
+    const promise = _performHiddenElementsUpdate(request)
+        .finally(() => _inFlightRequests.delete(signature));
+
+    _inFlightRequests.set(signature, promise);
+    return promise;
+}
+
+/**
+ * Queues the requested flag changes. Unchanged keys are skipped, so repeated reveals are no-ops.
+ * Requests of players are limited to reveals, see the file overview.
+ * @param {object} request
+ * @returns {Promise<boolean>} True if the document was updated.
+ * @private
+ */
+async function _performHiddenElementsUpdate({ uuid, hiddenElements = {}, audiences = {}, actorUuid, userId, source = null }) {
+    // Players' clients only forward reveals of triggers, which wait for approval like automatic reveals
+    const fromPlayer = !game.users.get(userId)?.isGM;
+    if (fromPlayer) {
+        hiddenElements = Object.fromEntries(Object.entries(hiddenElements).filter(([, hidden]) => hidden === false));
+        audiences = {};
+        source = { ...(source ?? { type: 'autoReveal' }), approved: false };
+        if (Object.keys(hiddenElements).length === 0) {
+            console.warn(`${MODULE_ID} | Ignored a visibility change of ${uuid} by player ${userId} that reveals nothing.`);
+            return false;
+        }
+    }
+
+    const targetDoc = await fromUuid(uuid);
+    if (!targetDoc) {
+        console.warn(`${MODULE_ID} | Visibility change requested for missing document ${uuid}`);
+        return false;
+    }
+
+    const current = getPendingHiddenElements(targetDoc);
+    const currentAudiences = targetDoc.getFlag(MODULE_ID, 'elementAudiences') || {};
+    const hiddenChanges = {};
+    const audienceChanges = {};
+    const knowledgeChanges = {};
+
+    for (const [key, hidden] of Object.entries(hiddenElements)) {
+        const audience = audiences[key];
+        const hasNewAudience = Array.isArray(audience) && audience.length > 0;
+
+        const currentlyHidden = key in current ? current[key] === true : getInheritedHiddenState(targetDoc, key);
+        if (currentlyHidden !== hidden) hiddenChanges[key] = hidden;
+        if (hasNewAudience) {
+            audienceChanges[key] = audience;
+        } else {
+            if (currentAudiences[key]) audienceChanges[key] = null;
+            // Global reveals also become shared knowledge of the creature source
+            knowledgeChanges[key] = !hidden;
+        }
+    }
+
+    if (Object.keys(hiddenChanges).length === 0 && Object.keys(audienceChanges).length === 0) return false;
+
+    // Automatic reveals wait in the GM's approval queue, approving them requests the change again as approved
+    if ((source?.type === 'autoReveal' || fromPlayer) && !source.approved && isRevealApprovalEnabled()) {
+        if (Object.keys(hiddenChanges).length === 0) return false;
+        await enqueueReveal({ uuid, name: targetDoc.name, actorUuid, userId, source, hiddenElements: hiddenChanges });
+        return false;
+    }
+
+    console.log(`${MODULE_ID} | Applying visibility change to ${targetDoc.name} requested by user ${userId}:`, hiddenElements);
+    await queueVisibilityUpdate(targetDoc, { hiddenElements: hiddenChanges, audiences: audienceChanges, source, userId });
+
+    if (actorUuid && Object.keys(knowledgeChanges).length > 0) {
+        const actor = await fromUuid(actorUuid);
+        if (actor) await recordCreatureKnowledge(actor, knowledgeChanges);
+    }
+    return true;
+}
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Flag storage modes of the Inspect Statblock module.
+ * - per-actor: flags live on the world Actor and are shared by all its tokens
+ * - per-token: every token keeps its own flags
+ * - hybrid: the world Actor holds the shared baseline, TokenDocuments hold per-token overrides on top of it
+ */
+
+const MODULE_ID = 'inspect-statblock';
+
+/**
+ * Values of the `flagStorageMode` setting.
+ * @enum {string}
+ */
+export const STORAGE_MODES = {
+    PER_ACTOR: 'per-actor',
+    PER_TOKEN: 'per-token',
+    HYBRID: 'hybrid'
+};
+
+/**
+ * The configured flag storage mode.
+ * @returns {string} One of STORAGE_MODES.
+ */
+export function getStorageMode() {
+    return game.settings.get(MODULE_ID, 'flagStorageMode') || STORAGE_MODES.PER_ACTOR;
+}
+
+/**
+ * Whether the world uses hybrid storage (actor baseline plus token overrides).
+ * @returns {boolean}
+ */
+export function isHybridStorage() {
+    return getStorageMode() === STORAGE_MODES.HYBRID;
+}
+
+/**
+ * The world Actor holding the baseline flags of a token.
+ * @param {TokenDocument|null} tokenDoc - The token document.
+ * @returns {Actor|null}
+ */
+export function getBaselineActor(tokenDoc) {
+    return tokenDoc?.actorId ? game.actors.get(tokenDoc.actorId) ?? null : null;
+}
+
+/**
+ * Merges the actor baseline and token override layers of a flag map.
+ * @param {object} actorFlags - The baseline map stored on the actor.
+ * @param {object} tokenFlags - The override map stored on the token.
+ * @returns {{values: object, sources: object}} The merged map, and elementKey -> 'token' | 'actor' for every stored key.
+ */
+export function mergeFlagLayers(actorFlags = {}, tokenFlags = {}) {
+    const sources = {};
+    for (const key of Object.keys(actorFlags || {})) sources[key] = 'actor';
+    for (const key of Object.keys(tokenFlags || {})) sources[key] = 'token';
+    return { values: { ...(actorFlags || {}), ...(tokenFlags || {}) }, sources };
+}
+
+/**
+ * The documents holding the visibility flags of a token, matching what its statblock window reads and writes.
+ * @param {TokenDocument} tokenDoc - The token document.
+ * @returns {{read: Array<Actor|TokenDocument>, write: Actor|TokenDocument}} `read` in merge order (later layers win),
+ *   `write` the document changes for this token go to.
+ */
+export function getTokenFlagDocuments(tokenDoc) {
+    const baseActor = getBaselineActor(tokenDoc) ?? tokenDoc.actor;
+    switch (getStorageMode()) {
+        case STORAGE_MODES.PER_TOKEN:
+            return { read: [tokenDoc.actor], write: tokenDoc.actor };
+        case STORAGE_MODES.HYBRID:
+            return { read: [baseActor, tokenDoc], write: tokenDoc };
+        default:
+            return { read: [baseActor], write: baseActor };
+    }
+}
@@ -0,0 +1,362 @@
+/**
+ * @fileoverview JSON export and import of the visibility state of the Inspect Statblock module.
+ * Exports hold one entry per actor (or per token for a scene) with its visibility flags: hidden elements,
+ * partial reveal levels and per-user audiences. The actor baseline and, in hybrid storage, the token
+ * overrides are kept as separate layers, so an import writes each layer back to where it came from.
+ * Entries also carry what the creature source is known for (see bestiary.js).
+ * Element keys are stored as portable keys (see the system handler's getPortableElementKey), so keys
+ * of items and effects are matched by identifier or name on import, even when the document IDs differ,
+ * e.g. when the same adventure is run in another world. Audience members that don't exist in the
+ * importing world are dropped.
+ */
+
+import { systemRegistry } from './system-registry.js';
+import { getCreatureSourceKey, getSourceKnowledge, addSourceKnowledge, isCreatureKnowledgeEnabled } from './bestiary.js';
+import { queueVisibilityUpdate, flushVisibilityUpdates, getPendingHiddenElements, getPendingRevealLevels, getInheritedHiddenState } from './flag-updates.js';
+import { getTokenFlagDocuments, isHybridStorage } from './storage.js';
+import { FLAG_SCHEMA_VERSION } from './migrations.js';
+import { AUDIENCE_FLAG, REVEAL_LEVEL_FLAG } from './visibility.js';
+
+const MODULE_ID = 'inspect-statblock';
+
+/** Value of the `type` field identifying a visibility export. */
+export const VISIBILITY_EXPORT_TYPE = 'visibility-export';
+
+/**
+ * The documents holding the flag layers of a token: the actor baseline, and the token overrides in hybrid storage.
+ * @param {TokenDocument} tokenDoc - The token document.
+ * @returns {{actor: Actor|TokenDocument, token: TokenDocument|null}}
+ */
+export function getVisibilityLayerDocuments(tokenDoc) {
+    const { read, write } = getTokenFlagDocuments(tokenDoc);
+    return isHybridStorage() ? { actor: read[0], token: tokenDoc } : { actor: write, token: null };
+}
+
+/**
+ * Builds the export entry of an actor.
+ * @param {Actor} actor - The actor the element keys belong to.
+ * @param {{actor: Actor|TokenDocument|null, token?: TokenDocument|null}} layers - The documents holding the actor
+ *   baseline and the token overrides.
+ * @param {string} [name] - Display name of the entry, e.g. the token name. Defaults to the actor name.
+ * @returns {{name: string, actorName: string, sourceKey: string|null, actor: object, token: object|null, knowledge: string[]}}
+ */
+export function buildVisibilityEntry(actor, { actor: actorDoc = null, token: tokenDoc = null }, name = actor.name) {
+    const sourceKey = getCreatureSourceKey(actor);
+    return {
+        name,
+        actorName: actor.name,
+        sourceKey,
+        actor: actorDoc ? _buildLayer(actor, actorDoc) : null,
+        token: tokenDoc ? _buildLayer(actor, tokenDoc) : null,
+        knowledge: isCreatureKnowledgeEnabled() ? getSourceKnowledge(sourceKey) : []
+    };
+}
+
+/**
+ * Builds the export entries of every token on a scene.
+ * @param {Scene} scene - The scene.
+ * @returns {object[]} One entry per token with visibility flags.
+ */
+export function buildSceneVisibilityEntries(scene) {
+    const entries = [];
+    for (const tokenDoc of scene?.tokens?.contents ?? []) {
+        if (!tokenDoc.actor) continue;
+        const entry = buildVisibilityEntry(tokenDoc.actor, getVisibilityLayerDocuments(tokenDoc), tokenDoc.name);
+        if (_isEmptyLayer(entry.actor) && _isEmptyLayer(entry.token)) continue;
+        entries.push(entry);
+    }
+    return entries;
+}
+
+/**
+ * Saves export entries as a JSON file.
+ * @param {object[]} entries - The export entries.
+ * @param {string} filenamePart - Name of the exported actor or scene, used in the file name.
+ */
+export function downloadVisibilityExport(entries, filenamePart) {
+    const data = {
+        module: MODULE_ID,
+        type: VISIBILITY_EXPORT_TYPE,
+        schemaVersion: FLAG_SCHEMA_VERSION,
+        system: game.system.id,
+        exportedAt: Date.now(),
+        entries
+    };
+    const slug = String(filenamePart || 'export').slugify();
+    saveDataToFile(JSON.stringify(data, null, 2), 'text/json', `${MODULE_ID}-${slug}.json`);
+    console.log(`${MODULE_ID} | Exported visibility of ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}.`);
+}
+
+/**
+ * Asks the user for a visibility export file and reads it.
+ * @param {string} title - The dialog title.
+ * @returns {Promise<object[]|null>} The entries of the file, or null when cancelled.
+ */
+export async function promptVisibilityImport(title) {
+    const file = await Dialog.prompt({
+        title,
+        content: `<div class="form-group"><label>${game.i18n.localize("INSPECTSTATBLOCK.TransferFile")}</label><input type="file" name="importFile" accept=".json,application/json" /></div>`,
+        label: game.i18n.localize("INSPECTSTATBLOCK.TransferImport"),
+        callback: html => html.find('input[name="importFile"]')[0]?.files?.[0] ?? null,
+        rejectClose: false
+    });
+    if (!file) return null;
+
+    const data = JSON.parse(await readTextFromFile(file));
+    if (data?.module !== MODULE_ID || data.type !== VISIBILITY_EXPORT_TYPE || !Array.isArray(data.entries)) {
+        throw new Error(game.i18n.localize("INSPECTSTATBLOCK.TransferInvalidFile"));
+    }
+    if (data.system !== game.system.id) {
+        console.warn(`${MODULE_ID} | Importing visibility exported from system ${data.system} into ${game.system.id}.`);
+    }
+    return data.entries;
+}
+
+/**
+ * Finds the entry that best matches an actor: same display name, then same actor name, then same creature source.
+ * @param {object[]} entries - The imported entries.
+ * @param {Actor} actor - The actor to import into.
+ * @param {string} [name] - Display name of the target, e.g. the token name.
+ * @returns {object|null}
+ */
+export function findVisibilityEntry(entries, actor, name = actor.name) {
+    const sourceKey = getCreatureSourceKey(actor);
+    return entries.find(e => e.name === name)
+        ?? entries.find(e => e.actorName === actor.name)
+        ?? (sourceKey ? entries.find(e => e.sourceKey === sourceKey) : null)
+        ?? null;
+}
+
+/**
+ * Applies an imported entry. Each layer replaces the stored flags of its document; without a token document
+ * (storage other than hybrid) the token overrides of the entry are applied on top of its baseline instead.
+ * Item and effect keys the actor has no match for are skipped. The creature knowledge of the entry is added
+ * to the actor's creature source.
+ * @param {{actor: Actor|TokenDocument, token?: TokenDocument|null}} layers - The documents the actor baseline
+ *   and the token overrides are written to.
+ * @param {Actor} actor - The actor the element keys are resolved against.
+ * @param {object} entry - The imported entry.
+ * @param {Set<string>} [written] - UUIDs of documents already written by this import. Their layer is skipped,
+ *   so tokens sharing an actor don't overwrite each other's baseline; the first entry wins.
+ * @returns {Promise<{applied: number, skipped: string[]}>}
+ */
+export async function applyVisibilityEntry({ actor: actorDoc, token: tokenDoc = null }, actor, entry, written = new Set()) {
+    const layers = tokenDoc
+        ? [[actorDoc, entry.actor], [tokenDoc, entry.token]]
+        : [[actorDoc, _mergeLayers(entry.actor, entry.token)]];
+
+    let applied = 0;
+    const skipped = [];
+    for (const [doc, layer] of layers) {
+        if (!doc) continue;
+        if (written.has(doc.uuid)) {
+            console.log(`${MODULE_ID} | ${doc.name} was already imported, skipping the entry of ${entry.name}.`);
+            continue;
+        }
+        written.add(doc.uuid);
+        const result = await _applyLayer(doc, actor, layer ?? {}, entry.name);
+        applied += result.applied;
+        skipped.push(...result.skipped);
+    }
+    if (entry.knowledge?.length && isCreatureKnowledgeEnabled()) {
+        await addSourceKnowledge(getCreatureSourceKey(actor), entry.knowledge);
+    }
+    return { applied, skipped };
+}
+
+/**
+ * Imports entries into every token of a scene with a matching entry. Tokens sharing the documents a previous
+ * token was imported into (e.g. the actor in per-actor storage) keep the first import.
+ * @param {Scene} scene - The scene.
+ * @param {object[]} entries - The imported entries.
+ * @returns {Promise<{tokens: number, skipped: string[]}>} Number of updated tokens and the keys that could not be matched.
+ */
+export async function importSceneVisibility(scene, entries) {
+    let tokens = 0;
+    const skipped = [];
+    const written = new Set();
+    for (const tokenDoc of scene?.tokens?.contents ?? []) {
+        if (!tokenDoc.actor) continue;
+        const entry = findVisibilityEntry(entries, tokenDoc.actor, tokenDoc.name);
+        if (!entry) continue;
+        const result = await applyVisibilityEntry(getVisibilityLayerDocuments(tokenDoc), tokenDoc.actor, entry, written);
+        skipped.push(...result.skipped.map(key => `${tokenDoc.name}: ${key}`));
+        tokens++;
+    }
+    return { tokens, skipped };
+}
+
+/**
+ * Settings menu for exporting and importing the visibility state of the current scene.
+ */
+export class VisibilityTransferApp extends FormApplication {
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'inspect-statblock-visibility-transfer',
+            title: 'Import / Export Visibility',
+            template: `modules/${MODULE_ID}/templates/visibility-transfer.hbs`,
+            width: 420,
+            height: 'auto',
+            classes: ['inspect-statblock', 'visibility-transfer'],
+            closeOnSubmit: false,
+            submitOnChange: false
+        });
+    }
+
+    /**
+     * Prepare data for the template.
+     */
+    async getData(options = {}) {
+        return { sceneName: canvas.scene?.name ?? null };
+    }
+
+    /**
+     * Activate event listeners.
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find('[data-action="export-scene"]').on('click', this._onExportScene.bind(this));
+        html.find('[data-action="import-scene"]').on('click', this._onImportScene.bind(this));
+    }
+
+    /** Nothing to submit, the actions run from their buttons. */
+    async _updateObject(event, formData) {}
+
+    /**
+     * Export the visibility of every token on the current scene.
+     * @private
+     */
+    _onExportScene(event) {
+        event.preventDefault();
+        const entries = buildSceneVisibilityEntries(canvas.scene);
+        if (entries.length === 0) {
+            ui.notifications.info(game.i18n.localize("INSPECTSTATBLOCK.TransferNothingToExport"));
+            return;
+        }
+        downloadVisibilityExport(entries, canvas.scene.name);
+    }
+
+    /**
+     * Import a visibility export into the tokens of the current scene.
+     * @private
+     */
+    async _onImportScene(event) {
+        event.preventDefault();
+        try {
+            const entries = await promptVisibilityImport(game.i18n.localize("INSPECTSTATBLOCK.TransferImportSceneTitle"));
+            if (!entries) return;
+            const { tokens, skipped } = await importSceneVisibility(canvas.scene, entries);
+            if (skipped.length > 0) console.warn(`${MODULE_ID} | Unmatched element keys on import:`, skipped);
+            const key = skipped.length > 0 ? "INSPECTSTATBLOCK.TransferSceneImportedSkipped" : "INSPECTSTATBLOCK.TransferSceneImported";
+            ui.notifications.info(game.i18n.format(key, { tokens, skipped: skipped.length }));
+        } catch (error) {
+            console.error(`${MODULE_ID} | Error importing visibility:`, error);
+            ui.notifications.error(game.i18n.format("INSPECTSTATBLOCK.TransferImportFailed", { error: error.message }));
+        }
+    }
+}
+
+/**
+ * Builds the exported layer of a document: its visibility flags with portable keys.
+ * @param {Actor} actor - The actor the element keys belong to.
+ * @param {Actor|TokenDocument} doc - The document holding the flags.
+ * @returns {{hiddenElements: object, revealLevels: object, elementAudiences: object}}
+ * @private
+ */
+function _buildLayer(actor, doc) {
+    return {
+        hiddenElements: _toPortableKeys(actor, doc.getFlag(MODULE_ID, 'hiddenElements')),
+        revealLevels: _toPortableKeys(actor, doc.getFlag(MODULE_ID, REVEAL_LEVEL_FLAG)),
+        elementAudiences: _toPortableKeys(actor, doc.getFlag(MODULE_ID, AUDIENCE_FLAG))
+    };
+}
+
+/**
+ * Whether an exported layer holds no flags.
+ * @private
+ */
+function _isEmptyLayer(layer) {
+    return !layer || ['hiddenElements', 'revealLevels', 'elementAudiences'].every(key => Object.keys(layer[key] || {}).length === 0);
+}
+
+/**
+ * Merges the token overrides of an entry into its baseline, for storage without a token layer.
+ * @private
+ */
+function _mergeLayers(actorLayer, tokenLayer) {
+    return Object.fromEntries(['hiddenElements', 'revealLevels', 'elementAudiences'].map(key => [
+        key, { ...(actorLayer?.[key] || {}), ...(tokenLayer?.[key] || {}) }
+    ]));
+}
+
+/**
+ * Maps the element keys of a flag map to portable keys.
+ * @private
+ */
+function _toPortableKeys(actor, map) {
+    const handler = _getHandler();
+    const portable = {};
+    for (const [elementKey, value] of Object.entries(map || {})) {
+        const portableKey = handler?.getPortableElementKey ? handler.getPortableElementKey(actor, elementKey) : elementKey;
+        if (portableKey) portable[portableKey] = value;
+    }
+    return portable;
+}
+
+/**
+ * Replaces the visibility flags of a document with an imported layer. Stored entries not in the layer go back
+ * to what they inherit, which removes them.
+ * @param {Actor|TokenDocument} doc - The document the flags are written to.
+ * @param {Actor} actor - The actor the element keys are resolved against.
+ * @param {object} layer - The imported layer.
+ * @param {string} name - Name of the entry, for the reveal history.
+ * @returns {Promise<{applied: number, skipped: string[]}>}
+ * @private
+ */
+async function _applyLayer(doc, actor, layer, name) {
+    const handler = _getHandler();
+    const resolve = portableKey => handler?.resolvePortableElementKey ? handler.resolvePortableElementKey(actor, portableKey) : portableKey;
+    const hiddenElements = {};
+    const revealLevels = {};
+    const audiences = {};
+    const skipped = [];
+    for (const [portableKey, hidden] of Object.entries(layer.hiddenElements || {})) {
+        const elementKey = resolve(portableKey);
+        if (elementKey) hiddenElements[elementKey] = hidden === true;
+        else skipped.push(portableKey);
+    }
+    for (const [portableKey, level] of Object.entries(layer.revealLevels || {})) {
+        const elementKey = resolve(portableKey);
+        if (elementKey && Number(level) > 0) revealLevels[elementKey] = Number(level);
+    }
+    // Users and actors of another world don't exist here
+    for (const [portableKey, audience] of Object.entries(layer.elementAudiences || {})) {
+        const elementKey = resolve(portableKey);
+        const members = Array.isArray(audience) ? audience.filter(uuid => !!fromUuidSync(uuid)) : [];
+        if (elementKey && members.length > 0) audiences[elementKey] = members;
+    }
+
+    for (const elementKey of Object.keys(getPendingHiddenElements(doc))) {
+        if (!(elementKey in hiddenElements)) hiddenElements[elementKey] = getInheritedHiddenState(doc, elementKey);
+    }
+    for (const elementKey of Object.keys(getPendingRevealLevels(doc))) {
+        if (!(elementKey in revealLevels)) revealLevels[elementKey] = null;
+    }
+    for (const elementKey of Object.keys(doc.getFlag(MODULE_ID, AUDIENCE_FLAG) || {})) {
+        if (!(elementKey in audiences)) audiences[elementKey] = null;
+    }
+
+    await queueVisibilityUpdate(doc, { hiddenElements, revealLevels, audiences, source: { type: 'import', description: name } });
+    await flushVisibilityUpdates(doc);
+    return { applied: Object.keys(layer.hiddenElements || {}).length - skipped.length, skipped };
+}
+
+/**
+ * Gets the system handler for the active game system.
+ * @returns {object|null}
+ * @private
+ */
+function _getHandler() {
+    return systemRegistry.getHandler(game.system.id);
+}
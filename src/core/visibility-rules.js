@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Rule-based default visibility for the Inspect Statblock module.
+ * Rules override the global default visibility settings for matching creatures, e.g. "CR 10+ hides
+ * defenses and features" or "friendly NPCs show everything". Rules are evaluated in order against
+ * attributes supplied by the system handler (`getRuleAttributes`); for every default setting the first
+ * matching rule that sets it wins, settings no matching rule sets keep their global value.
+ * Rules only change defaults: elements the GM toggled keep their override.
+ *
+ * Rules are stored in a world setting as
+ * `[{ id, name, enabled, conditions: [{ attribute, operator, value }], visibility: { [settingKey]: shown } }]`.
+ */
+
+import { systemRegistry } from './system-registry.js';
+
+const MODULE_ID = 'inspect-statblock';
+
+/** World setting holding the rules. */
+export const RULES_SETTING = 'defaultVisibilityRules';
+
+/**
+ * Condition operators.
+ * @type {Object<string, {label: string, test: function(*, string): boolean}>}
+ */
+export const RULE_OPERATORS = {
+    eq: { label: 'is', test: (actual, value) => String(actual) === String(value) },
+    ne: { label: 'is not', test: (actual, value) => String(actual) !== String(value) },
+    gte: { label: 'at least', test: (actual, value) => Number(actual) >= Number(value) },
+    lte: { label: 'at most', test: (actual, value) => Number(actual) <= Number(value) }
+};
+
+/**
+ * The configured rules, in evaluation order.
+ * @returns {object[]}
+ */
+export function getVisibilityRules() {
+    return game.settings.get(MODULE_ID, RULES_SETTING) || [];
+}
+
+/**
+ * Stores the rules.
+ * @param {object[]} rules - The rules, in evaluation order.
+ * @returns {Promise<void>}
+ */
+export async function setVisibilityRules(rules) {
+    await game.settings.set(MODULE_ID, RULES_SETTING, rules);
+}
+
+/**
+ * Gets the attributes rules are matched against, as supplied by the system handler.
+ * @param {Actor} actor - The actor.
+ * @param {TokenDocument|null} [tokenDoc=null] - The token, if any.
+ * @returns {object} attribute -> value.
+ */
+export function getRuleAttributes(actor, tokenDoc = null) {
+    const handler = _getHandler();
+    if (!actor || !handler?.getRuleAttributes) return {};
+    return handler.getRuleAttributes(actor, tokenDoc) || {};
+}
+
+/**
+ * Whether all conditions of a rule hold for the given attributes. A rule without conditions matches everything.
+ * @param {object} rule - The rule.
+ * @param {object} attributes - attribute -> value.
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, attributes) {
+    return (rule.conditions || []).every(({ attribute, operator, value }) => {
+        const actual = attributes[attribute];
+        if (actual === undefined || actual === null) return false;
+        return RULE_OPERATORS[operator]?.test(actual, value) ?? false;
+    });
+}
+
+/**
+ * Gets the default visibility settings for a creature: the global defaults with the matching rules applied.
+ * Without an actor the global defaults are returned.
+ * @param {Actor|null} [actor=null] - The actor.
+ * @param {TokenDocument|null} [tokenDoc=null] - The token, if any.
+ * @returns {object} settingKey -> true if shown by default.
+ */
+export function getDefaultVisibilitySettings(actor = null, tokenDoc = null) {
+    const settings = { ...(game.settings.get(MODULE_ID, 'defaultVisibilitySettings') || {}) };
+    const rules = getVisibilityRules().filter(rule => rule.enabled !== false);
+    if (!actor || rules.length === 0) return settings;
+
+    const attributes = getRuleAttributes(actor, tokenDoc);
+    const decided = new Set();
+    for (const rule of rules) {
+        if (!ruleMatches(rule, attributes)) continue;
+        for (const [settingKey, shown] of Object.entries(rule.visibility || {})) {
+            if (decided.has(settingKey)) continue;
+            settings[settingKey] = shown;
+            decided.add(settingKey);
+        }
+    }
+    return settings;
+}
+
+/**
+ * Gets the system handler for the active game system.
+ * @returns {object|null}
+ * @private
+ */
+function _getHandler() {
+    return systemRegistry.getHandler(game.system.id);
+}
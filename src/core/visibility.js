@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Visibility resolution helpers for the Inspect Statblock module.
+ * Turns the stored visibility flags of an actor into the effective hiddenElements map
+ * for a specific viewing user. These helpers are system-agnostic: system handlers keep
+ * receiving a plain `{ elementKey: boolean }` map and never need to know about audiences.
+ *
+ * The stored map only holds GM overrides. Keys without an entry resolve from the default
+ * visibility settings through the system handler's `getDefaultHiddenState`. When the creature
+ * is known, the default visibility rules matching it are applied (see visibility-rules.js).
+ */
+
+import { systemRegistry } from './system-registry.js';
+
+const MODULE_ID = 'inspect-statblock';
+
+/**
+ * Flag (next to `hiddenElements`) mapping element keys to the audience that may see them
+ * even though they are hidden for everyone else.
+ * Audience entries are document UUIDs: `User.<id>` for a specific user, or `Actor.<id>` for
+ * every owner of that (player character) actor.
+ * @type {string}
+ */
+export const AUDIENCE_FLAG = 'elementAudiences';
+
+/**
+ * Flag (next to `hiddenElements`) mapping hidden element keys to a partial reveal level, e.g. a
+ * feature whose name is known but not its description. Levels count from 0 (hidden) to the last
+ * level of the element (fully revealed), see getRevealLevels; only the levels in between are stored.
+ * The entry only applies while the element is hidden, so code that only knows hidden/shown treats a
+ * partially revealed element as hidden.
+ * @type {string}
+ */
+export const REVEAL_LEVEL_FLAG = 'revealLevels';
+
+/**
+ * Checks whether a user belongs to an element's audience.
+ * @param {string[]} audience - Array of `User.<id>` / `Actor.<id>` UUIDs.
+ * @param {User|null} user - The user to test. A null user (generic player) is never in an audience.
+ * @returns {boolean}
+ */
+export function isUserInAudience(audience, user) {
+    if (!user || !Array.isArray(audience) || audience.length === 0) return false;
+
+    for (const uuid of audience) {
+        const [documentName, id] = String(uuid).split('.');
+        if (documentName === 'User' && id === user.id) return true;
+        if (documentName === 'Actor') {
+            const actor = game.actors.get(id);
+            if (actor?.testUserPermission(user, 'OWNER')) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Resolves the hiddenElements map as seen by a specific user.
+ * Elements that are hidden but revealed to the user through their audience become visible (false).
+ * @param {object} hiddenElements - The stored hiddenElements flag (elementKey -> true if hidden).
+ * @param {object} audiences - The stored elementAudiences flag (elementKey -> audience UUIDs).
+ * @param {User|null} user - The viewing user, or null for a generic player.
+ * @returns {object} A new hiddenElements map for that user.
+ */
+export function resolveHiddenElementsForUser(hiddenElements, audiences, user) {
+    const resolved = { ...(hiddenElements || {}) };
+    if (!audiences || !user) return resolved;
+
+    for (const [elementKey, audience] of Object.entries(audiences)) {
+        if (isUserInAudience(audience, user)) {
+            resolved[elementKey] = false;
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Returns the display names of an audience, for GM indicators.
+ * @param {string[]} audience - Array of `User.<id>` / `Actor.<id>` UUIDs.
+ * @returns {string[]} Names of the users and actors that still exist.
+ */
+export function getAudienceNames(audience) {
+    if (!Array.isArray(audience)) return [];
+    return audience
+        .map(uuid => {
+            const [documentName, id] = String(uuid).split('.');
+            if (documentName === 'User') return game.users.get(id)?.name;
+            if (documentName === 'Actor') return game.actors.get(id)?.name;
+            return null;
+        })
+        .filter(name => !!name);
+}
+
+/**
+ * Lists the candidates a GM can reveal an element to: every non-GM user and every player-owned character.
+ * @returns {{users: Array<{uuid: string, name: string}>, actors: Array<{uuid: string, name: string}>}}
+ */
+export function getAudienceCandidates() {
+    const users = game.users
+        .filter(u => !u.isGM)
+        .map(u => ({ uuid: `User.${u.id}`, name: u.name }));
+    const actors = game.actors
+        .filter(a => a.type === 'character' && a.hasPlayerOwner)
+        .map(a => ({ uuid: `Actor.${a.id}`, name: a.name }));
+    return { users, actors };
+}
+
+/**
+ * The ordered reveal levels of an element, from hidden to fully revealed, as defined by the system
+ * handler's getRevealLevels. Elements without partial levels have two: hidden and revealed.
+ * @param {string} elementKey - The element key.
+ * @returns {string[]} The level labels (can be localization keys).
+ */
+export function getRevealLevels(elementKey) {
+    const handler = systemRegistry.getHandler(game.system.id);
+    const levels = handler?.getRevealLevels?.(elementKey);
+    return Array.isArray(levels) && levels.length >= 2 ? levels : ['INSPECTSTATBLOCK.RevealLevelHidden', 'INSPECTSTATBLOCK.RevealLevelRevealed'];
+}
+
+/**
+ * The current reveal level of an element: 0 when hidden, the last level when shown, or the stored partial level.
+ * @param {object} hiddenElements - elementKey -> true if hidden (overrides only).
+ * @param {object} revealLevels - elementKey -> partial reveal level.
+ * @param {string} elementKey - The element key.
+ * @param {Actor|null} [actor=null] - The creature, to apply the matching visibility rules.
+ * @param {TokenDocument|null} [tokenDoc=null] - The creature's token, if any.
+ * @returns {number}
+ */
+export function getRevealLevel(hiddenElements, revealLevels, elementKey, actor = null, tokenDoc = null) {
+    const lastLevel = getRevealLevels(elementKey).length - 1;
+    if (!isElementHidden(hiddenElements, elementKey, actor, tokenDoc)) return lastLevel;
+    const level = Number(revealLevels?.[elementKey]) || 0;
+    return level > 0 && level < lastLevel ? level : 0;
+}
+
+/**
+ * Whether an element is hidden by default (i.e. when it has no stored override).
+ * @param {string} elementKey - The element key.
+ * @param {Actor|null} [actor=null] - The creature, to apply the matching visibility rules.
+ * @param {TokenDocument|null} [tokenDoc=null] - The creature's token, if any.
+ * @returns {boolean}
+ */
+export function getDefaultHiddenState(elementKey, actor = null, tokenDoc = null) {
+    const handler = systemRegistry.getHandler(game.system.id);
+    return handler?.getDefaultHiddenState ? handler.getDefaultHiddenState(elementKey, actor, tokenDoc) === true : false;
+}
+
+/**
+ * Whether an element is hidden according to a hiddenElements map, falling back to its default.
+ * @param {object} hiddenElements - elementKey -> true if hidden (overrides only).
+ * @param {string} elementKey - The element key.
+ * @param {Actor|null} [actor=null] - The creature, to apply the matching visibility rules.
+ * @param {TokenDocument|null} [tokenDoc=null] - The creature's token, if any.
+ * @returns {boolean}
+ */
+export function isElementHidden(hiddenElements, elementKey, actor = null, tokenDoc = null) {
+    if (hiddenElements && elementKey in hiddenElements) return hiddenElements[elementKey] === true;
+    return getDefaultHiddenState(elementKey, actor, tokenDoc);
+}
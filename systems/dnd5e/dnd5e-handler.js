@@ -8,6 +8,7 @@
 
 import { registerDnd5eSettings } from './dnd5e-settings.js';
 import { Dnd5eTooltipManager } from './dnd5e-tooltips.js';
+import { getHealthDisplayMode, getHealthDescriptor, promptHealthDisplayMode } from './dnd5e-health-config.js';
 
 const MODULE_ID = 'inspect-statblock';
 
@@ -70,46 +71,59 @@ Hooks.once('init', () => {
           });
       }
 
-      // Auto-reveal system
+      // Per-actor HP display mode
+      Hooks.on('getActorDirectoryEntryContext', (html, options) => {
+        options.push({
+          name: "INSPECTSTATBLOCK.HealthDisplayTitle",
+          icon: '<i class="fas fa-heartbeat"></i>',
+          condition: () => game.user.isGM,
+          callback: async li => {
+            const el = li instanceof HTMLElement ? li : li[0];
+            const actor = game.actors.get(el?.dataset.documentId);
+            if (actor && await promptHealthDisplayMode(actor)) _rerenderOpenStatblocksForActor(actor);
+          }
+        });
+      });
+
+      // Auto-reveal: the hooks below fire the auto-reveal triggers (see getRevealTriggerDefinitions), the
+      // core's rules decide what they reveal. The built-in rules (see getBuiltInRevealRules) reveal the
+      // defenses against damage taken, condition immunities and used features.
       console.log(`${MODULE_ID} | Setting up auto-reveal hooks for DnD5e`);
 
-      // 1) Reveal condition immunities when a condition is applied
+      // 1) Effects and conditions applied; the defeated status also defeats the creature
+      // (document hooks fire on every client, only the active GM acts on them)
       Hooks.on('createActiveEffect', async (effect) => {
         try {
+          if (!game.users.activeGM?.isSelf) return;
           if (!effect?.parent || effect.parent.documentName !== 'Actor') return;
           const actor = effect.parent;
+          const tokenDoc = actor.token ?? null;
           const statuses = _getConditionStatusesFromEffect(effect);
-          if (statuses.size === 0) return;
-          for (const statusId of statuses) {
-            await _revealDefenseForCondition(actor, statusId);
-          }
+          const originName = effect.origin ? fromUuidSync(effect.origin)?.name : null;
+          const origin = originName && originName !== effect.name ? `${effect.name} (${originName})` : effect.name;
+          await _fireRevealTrigger('effect', actor, tokenDoc, {
+            values: [...statuses, effect.name].filter(value => !!value),
+            relatedKeys: Array.from(statuses).flatMap(statusId => _getDefenseKeysForCondition(actor, statusId)),
+            origin
+          });
+          if (statuses.has(CONFIG.specialStatusEffects?.DEFEATED)) await _fireRevealTrigger('defeated', actor, tokenDoc, { origin });
         } catch (err) {
-          console.warn(`${MODULE_ID} | Auto-reveal (conditions) failed:`, err);
+          console.warn(`${MODULE_ID} | Auto-reveal (effects) failed:`, err);
         }
       });
 
-      // 2) Reveal feature when an activity is used (DnD5e v5.1.0+)
-      Hooks.on('dnd5e.useActivity', async (...args) => {
-        try {
-          const item = _extractItemFromDnd5eContext(args);
-          if (!item) return;
-          await _revealFeatureByItem(item);
-        } catch (err) {
-          console.debug(`${MODULE_ID} | Auto-reveal (useActivity) failed:`, err);
-        }
-      });
+      // 2) Feature used (DnD5e v5.1.0+). Only the post-use hook, so one use fires the trigger once
       Hooks.on('dnd5e.postUseActivity', async (...args) => {
         try {
-          if (!game.settings.get(MODULE_ID, 'autoRevealOnFeatureUse')) return;
           const item = _extractItemFromDnd5eContext(args);
           if (!item) return;
-          await _revealFeatureByItem(item);
+          await _fireFeatureUseTrigger(item);
         } catch (err) {
           console.debug(`${MODULE_ID} | Auto-reveal (postUseActivity) failed:`, err);
         }
       });
 
-      // 3) Damage detection: use canonical dnd5e hooks pair (v5.1.0)
+      // 3) Damage taken: use canonical dnd5e hooks pair (v5.1.0)
       Hooks.on('dnd5e.calculateDamage', (actor, damages, context) => {
         try {
           const types = Array.from(new Set(
@@ -126,14 +140,12 @@ Hooks.once('init', () => {
 
       Hooks.on('dnd5e.applyDamage', async (actor, _data, context) => {
         try {
-          if (!game.settings.get(MODULE_ID, 'autoRevealOnDamage')) return;
           const types = context?.__inspect_types__ || [];
           if (!types.length || !actor) return;
           // Prefer token document if synthetic
           const tokenDoc = actor?.token ?? actor?.getActiveTokens?.()[0]?.document ?? null;
-          for (const type of types) {
-            await _revealDefenseForDamageType(actor, tokenDoc, type);
-          }
+          const message = context?.originatingMessage;
+          await _fireDamageTrigger(actor, tokenDoc, types, message?.getAssociatedItem?.()?.name, message?.id ?? null);
         } catch (err) {
           console.debug(`${MODULE_ID} | applyDamage reveal failed:`, err);
         }
@@ -142,7 +154,6 @@ Hooks.once('init', () => {
       // MIDI-QOL compatibility: capture types and targets when MIDI applies damage
       Hooks.on('midi-qol.RollComplete', async (workflow) => {
         try {
-          if (!game.settings.get(MODULE_ID, 'autoRevealOnDamage')) return;
           const details = workflow?.damageDetail;
           const targets = workflow?.targets;
           if (!Array.isArray(details) || !targets?.size) return;
@@ -156,31 +167,127 @@ Hooks.once('init', () => {
             const actor = token?.actor;
             const tokenDoc = token?.document ?? null;
             if (!actor) continue;
-            for (const type of types) {
-              await _revealDefenseForDamageType(actor, tokenDoc, type);
-            }
+            await _fireDamageTrigger(actor, tokenDoc, types, workflow.item?.name, workflow.itemCardId ?? workflow.id ?? null);
           }
         } catch (err) {
           console.debug(`${MODULE_ID} | MIDI RollComplete reveal failed:`, err);
         }
       });
 
-      // Maintain default visibility for newly-added elements (traits/features) on actor updates
-      Hooks.on('updateActor', async (actor) => {
+      // 4) HP dropping below a threshold, and creatures dropping to 0 HP are defeated.
+      // The HP before the update travels in the update options, so only crossing a threshold fires
+      Hooks.on('preUpdateActor', (actor, changed, options) => {
+        if (foundry.utils.hasProperty(changed, 'system.attributes.hp.value')) {
+          options.inspectStatblockPreviousHp = Number(actor.system?.attributes?.hp?.value) || 0;
+        }
+      });
+      Hooks.on('updateActor', async (actor, changed, options) => {
+        try {
+          if (!game.users.activeGM?.isSelf) return;
+          const previousHp = options?.inspectStatblockPreviousHp;
+          if (!foundry.utils.hasProperty(changed, 'system.attributes.hp.value') || !Number.isFinite(previousHp)) return;
+          const hp = actor.system?.attributes?.hp;
+          if (!(hp?.max > 0)) return;
+          const current = Math.max(0, Number(hp.value) || 0);
+          if (current >= previousHp) return;
+          const tokenDoc = actor.token ?? null;
+          const toPercent = value => Math.max(0, value) / hp.max * 100;
+          const origin = `${hp.value}/${hp.max} HP`;
+          await _fireRevealTrigger('hpBelow', actor, tokenDoc, {
+            value: toPercent(current),
+            previousValue: toPercent(previousHp),
+            relatedKeys: ['section-hp'],
+            origin
+          });
+          if (current <= 0 && previousHp > 0) await _fireRevealTrigger('defeated', actor, tokenDoc, { origin });
+        } catch (err) {
+          console.debug(`${MODULE_ID} | Auto-reveal (HP) failed:`, err);
+        }
+      });
+
+      // 5) Saving throw rolled (fires on the rolling client, reveals are forwarded to the GM)
+      Hooks.on('dnd5e.rollSavingThrow', async (rolls, data) => {
         try {
-          await _ensureDefaultFlagsForNewElements(actor);
+          const actor = data?.subject;
+          if (actor?.documentName !== 'Actor') return;
+          const ability = data.ability ?? null;
+          const abilityLabel = game.i18n.localize(CONFIG.DND5E.abilities?.[ability]?.label ?? ability ?? '');
+          await _fireRevealTrigger('save', actor, actor.token ?? null, {
+            values: ability ? [ability] : [],
+            relatedKeys: ability ? [`ability-${ability}`] : [],
+            origin: `${abilityLabel} ${rolls?.[0]?.total ?? ''}`.trim()
+          });
+        } catch (err) {
+          console.debug(`${MODULE_ID} | Auto-reveal (saving throw) failed:`, err);
+        }
+      });
+
+      // 6) Combat round reached, for every combatant. Rules match the round they name only
+      Hooks.on('updateCombat', async (combat, changed) => {
+        try {
+          if (!game.users.activeGM?.isSelf || !('round' in changed) || !(combat.round > 0)) return;
+          for (const combatant of combat.combatants) {
+            if (!combatant.actor) continue;
+            await _fireRevealTrigger('round', combatant.actor, combatant.token ?? null, { value: combat.round, origin: `${combat.round}` });
+          }
+        } catch (err) {
+          console.debug(`${MODULE_ID} | Auto-reveal (combat round) failed:`, err);
+        }
+      });
+
+      // Knowledge checks rolled from the statblock window are resolved by the active GM
+      Hooks.on('createChatMessage', async (message) => {
+        try {
+          if (!game.users.activeGM?.isSelf) return;
+          const check = message?.getFlag?.(MODULE_ID, 'knowledgeCheck');
+          if (!check) return;
+          await _resolveKnowledgeCheck(message, check);
         } catch (err) {
-          console.debug(`${MODULE_ID} | ensure defaults on updateActor failed:`, err);
+          console.warn(`${MODULE_ID} | Knowledge check resolution failed:`, err);
         }
       });
 
-      Hooks.on('createItem', async (item) => {
+      // 4) AC inference: hits and misses of attack rolls narrow down the range of a hidden AC
+      Hooks.on('createChatMessage', async (message) => {
         try {
-          const actor = item?.parent?.documentName === 'Actor' ? item.parent : item?.actor;
-          if (!actor) return;
-          await _ensureDefaultFlagsForNewElements(actor);
+          if (!game.users.activeGM?.isSelf) return;
+          if (!game.settings.get(MODULE_ID, 'dnd5e-inferAcFromAttacks')) return;
+          // MIDI-QOL decides hits itself (cover, reactions), its workflows are recorded from RollComplete
+          if (game.modules.get('midi-qol')?.active) return;
+          if (message?.flags?.dnd5e?.roll?.type !== 'attack') return;
+          const roll = message.rolls?.[0];
+          // Natural 20s and 1s hit or miss regardless of AC
+          if (!Number.isFinite(roll?.total) || roll.isCritical || roll.isFumble) return;
+          for (const doc of _getTargetDocsFromMessage(message)) {
+            const actor = doc.documentName === 'Token' ? doc.actor : doc;
+            const tokenDoc = doc.documentName === 'Token' ? doc : (doc.token ?? null);
+            const ac = actor?.system?.attributes?.ac?.value;
+            if (!Number.isFinite(ac)) continue;
+            await _recordAttackResult(actor, tokenDoc, roll.total, roll.total >= ac);
+          }
+        } catch (err) {
+          console.debug(`${MODULE_ID} | AC inference (attack roll) failed:`, err);
+        }
+      });
+
+      Hooks.on('midi-qol.RollComplete', async (workflow) => {
+        try {
+          if (!game.settings.get(MODULE_ID, 'dnd5e-inferAcFromAttacks')) return;
+          const total = workflow?.attackTotal;
+          if (!workflow?.attackRoll || !Number.isFinite(total) || workflow.isCritical || workflow.isFumble) return;
+          for (const t of workflow.targets ?? []) {
+            const token = t?.object ?? t; // Token placeable
+            if (!token?.actor) continue;
+            // Recorded by the active GM, the workflow may run on a player's client
+            await globalThis.InspectStatblockCore.requestHandlerAction('recordAttackResult', {
+              actorUuid: token.actor.uuid,
+              tokenUuid: token.document?.uuid ?? null,
+              total,
+              hit: workflow.hitTargets?.has(t) ?? false
+            });
+          }
         } catch (err) {
-          console.debug(`${MODULE_ID} | ensure defaults on createItem failed:`, err);
+          console.debug(`${MODULE_ID} | AC inference (MIDI RollComplete) failed:`, err);
         }
       });
   }
@@ -204,19 +311,77 @@ function _getItemUuidFromMessage(message) {
 }
 
 /**
- * Reveal a passive feature when it is used/rolled by direct Item reference.
+ * Fire an auto-reveal trigger for a creature and reveal what the matching rules reveal (see the core's reveal-rules.js).
+ * The reveals carry the trigger event as their source, so they can wait in the GM's approval queue.
+ * @param {string} type - The trigger (see getRevealTriggerDefinitions).
+ * @param {Actor} actor - The creature.
+ * @param {TokenDocument|null} tokenDoc - Its token, if any.
+ * @param {object} [event={}] - The `value`, `previousValue`, `values` and `relatedKeys` of the event, and `origin`, the
+ *                              roll or effect that caused it (e.g. the item dealing the damage) for the approval queue.
+ *                              `eventKey` identifies events that can fire on several clients (e.g. the damage
+ *                              roll's chat message ID), so the active GM performs their reveals once.
+ * @returns {Promise<boolean>} Whether the rules revealed anything.
  */
-async function _revealFeatureByItem(item) {
-  try {
-    if (!item || item.documentName !== 'Item') return;
-    const actor = item.actor;
-    if (!actor) return;
-    const featureKey = `feature-${item.id}`;
-    await _setHiddenFlag(actor, null, featureKey, false);
-    _rerenderOpenStatblocksForActor(actor);
-  } catch (err) {
-    console.debug(`${MODULE_ID} | _revealFeatureByItem: error`, err);
+async function _fireRevealTrigger(type, actor, tokenDoc, { value = null, previousValue = null, values = [], relatedKeys = [], origin = null, eventKey = null } = {}) {
+  const keys = await globalThis.InspectStatblockCore?.getTriggeredRevealKeys?.({ type, actor, tokenDoc, value, previousValue, values, relatedKeys }) ?? [];
+  if (keys.length === 0) return false;
+  console.log(`${MODULE_ID} | Auto-revealing for ${actor.name} (${type}):`, keys);
+
+  const trigger = Dnd5eHandler.getRevealTriggerDefinitions().find(def => def.key === type);
+  const source = {
+    type: 'autoReveal',
+    eventId: eventKey ? `${type}.${eventKey}` : foundry.utils.randomID(),
+    description: [trigger?.label ?? type, origin].filter(part => !!part).join(': '),
+    labels: Object.fromEntries(keys.map(key => [key, _getElementLabel(actor, key)]))
+  };
+  // Requested together so they are written as a single update
+  const changed = await Promise.all(keys.map(key => _setHiddenFlag(actor, tokenDoc, key, false, null, source)));
+  if (changed.some(c => c)) _rerenderOpenStatblocksForActor(actor, tokenDoc);
+  return true;
+}
+
+/**
+ * Fire the feature use trigger for a used/rolled Item.
+ */
+async function _fireFeatureUseTrigger(item) {
+  if (!item || item.documentName !== 'Item') return;
+  const actor = item.actor;
+  if (!actor) return;
+  await _fireRevealTrigger('featureUse', actor, actor.token ?? null, { values: [item.name], relatedKeys: [`feature-${item.id}`], origin: item.name });
+}
+
+/**
+ * Fire the damage trigger for damage of the given types taken by a creature.
+ * @param {string|null} [itemName=null] - Name of the item that dealt the damage, if known.
+ * @param {string|null} [eventKey=null] - ID of the roll's chat message or workflow, the same on every client.
+ */
+async function _fireDamageTrigger(actor, tokenDoc, damageTypes, itemName = null, eventKey = null) {
+  const typeLabels = damageTypes.map(type => game.i18n.localize(CONFIG.DND5E.damageTypes?.[type]?.label ?? type)).join(', ');
+  await _fireRevealTrigger('damage', actor, tokenDoc, {
+    values: damageTypes,
+    relatedKeys: damageTypes.flatMap(type => _getDefenseKeysForDamageType(actor, type)),
+    origin: itemName ? `${typeLabels} (${itemName})` : typeLabels,
+    eventKey
+  });
+}
+
+/**
+ * A readable label of an element key, e.g. "Damage Resistances: Fire" or a feature's name.
+ * @returns {string}
+ */
+function _getElementLabel(actor, elementKey) {
+  const tagMatch = /^def-tag-(resistances|immunities|vulnerabilities|conditionimmunities)-(.+)$/.exec(elementKey);
+  if (tagMatch) {
+    const category = { resistances: 'DND5E.DamRes', immunities: 'DND5E.DamImm', vulnerabilities: 'DND5E.DamVuln', conditionimmunities: 'DND5E.ConImm' }[tagMatch[1]];
+    const config = tagMatch[1] === 'conditionimmunities' ? CONFIG.DND5E.conditionTypes : CONFIG.DND5E.damageTypes;
+    return `${game.i18n.localize(category)}: ${game.i18n.localize(config?.[tagMatch[2]]?.label ?? tagMatch[2])}`;
   }
+  const itemMatch = /^(?:active-)?feature-(.+)$/.exec(elementKey);
+  if (itemMatch) return actor.items?.get(itemMatch[1])?.name ?? elementKey;
+  const effectMatch = /^effect-(.+)$/.exec(elementKey);
+  if (effectMatch) return actor.effects?.get(effectMatch[1])?.name ?? elementKey;
+  const def = Object.values(getSystemSectionDefinitions()).find(d => d.keyPattern === elementKey);
+  return def ? game.i18n.localize(def.name) : elementKey;
 }
 
 /**
@@ -372,74 +537,29 @@ function _extractDamageContext(args) {
 }
 
 /**
- * Reveal defenses for a given damage type on an actor/token, if the actor has such defenses.
+ * The defense keys matching a damage type, if the actor resists, is immune or vulnerable to it.
+ * @returns {string[]} The defense category and tag keys.
  */
-async function _revealDefenseForDamageType(actor, tokenDoc, damageTypeId) {
-  try {
-    const traits = actor?.system?.traits;
-    if (!traits) return;
-    
-    const norm = (s) => String(s).toLowerCase().replace(/[^a-z0-9]/gi, '');
-    const t = norm(damageTypeId);
-
-    const hasRes = _traitHas(traits.dr, t);
-    const hasImm = _traitHas(traits.di, t);
-    const hasVul = _traitHas(traits.dv, t);
-
-    let shouldRerender = false;
-    if (hasRes) {
-      console.log(`${MODULE_ID} | Auto-revealing resistance to ${t} for ${actor.name}`);
-      const changed1 = await _setHiddenFlag(actor, tokenDoc, 'def-resistances', false);
-      const changed2 = await _setHiddenFlag(actor, tokenDoc, `def-tag-resistances-${t}`, false);
-      shouldRerender = changed1 || changed2 || shouldRerender;
-    }
-    if (hasImm) {
-      console.log(`${MODULE_ID} | Auto-revealing immunity to ${t} for ${actor.name}`);
-      const changed1 = await _setHiddenFlag(actor, tokenDoc, 'def-immunities', false);
-      const changed2 = await _setHiddenFlag(actor, tokenDoc, `def-tag-immunities-${t}`, false);
-      shouldRerender = changed1 || changed2 || shouldRerender;
-    }
-    if (hasVul) {
-      console.log(`${MODULE_ID} | Auto-revealing vulnerability to ${t} for ${actor.name}`);
-      const changed1 = await _setHiddenFlag(actor, tokenDoc, 'def-vulnerabilities', false);
-      const changed2 = await _setHiddenFlag(actor, tokenDoc, `def-tag-vulnerabilities-${t}`, false);
-      shouldRerender = changed1 || changed2 || shouldRerender;
-    }
-
-    if (shouldRerender) {
-      console.log(`${MODULE_ID} | Re-rendering statblock for ${actor.name} due to defense reveal`);
-      _rerenderOpenStatblocksForActor(actor);
-    }
-  } catch (err) {
-    console.warn(`${MODULE_ID} | _revealDefenseForDamageType: error`, err);
-  }
+function _getDefenseKeysForDamageType(actor, damageTypeId) {
+  const traits = actor?.system?.traits;
+  if (!traits) return [];
+  const t = String(damageTypeId).toLowerCase().replace(/[^a-z0-9]/gi, '');
+  const keys = [];
+  if (_traitHas(traits.dr, t)) keys.push('def-resistances', `def-tag-resistances-${t}`);
+  if (_traitHas(traits.di, t)) keys.push('def-immunities', `def-tag-immunities-${t}`);
+  if (_traitHas(traits.dv, t)) keys.push('def-vulnerabilities', `def-tag-vulnerabilities-${t}`);
+  return keys;
 }
 
 /**
- * Reveal condition immunities when a specific condition is applied.
+ * The condition immunity keys matching a condition, if the actor is immune to it.
+ * @returns {string[]}
  */
-async function _revealDefenseForCondition(actor, conditionId) {
-  try {
-    const traits = actor?.system?.traits;
-    if (!traits) return;
-    
-    const norm = (s) => String(s).toLowerCase().replace(/[^a-z0-9]/gi, '');
-    const c = norm(conditionId);
-    
-    const hasCondImm = _traitHas(traits.ci, c);
-    if (!hasCondImm) return;
-    
-    console.log(`${MODULE_ID} | Auto-revealing condition immunity to ${c} for ${actor.name}`);
-    const changed1 = await _setHiddenFlag(actor, null, 'def-conditionimmunities', false);
-    const changed2 = await _setHiddenFlag(actor, null, `def-tag-conditionimmunities-${c}`, false);
-    
-    if (changed1 || changed2) {
-      console.log(`${MODULE_ID} | Re-rendering statblock for ${actor.name} due to condition immunity reveal`);
-      _rerenderOpenStatblocksForActor(actor);
-    }
-  } catch (err) {
-    console.warn(`${MODULE_ID} | _revealDefenseForCondition: error`, err);
-  }
+function _getDefenseKeysForCondition(actor, conditionId) {
+  const traits = actor?.system?.traits;
+  if (!traits) return [];
+  const c = String(conditionId).toLowerCase().replace(/[^a-z0-9]/gi, '');
+  return _traitHas(traits.ci, c) ? ['def-conditionimmunities', `def-tag-conditionimmunities-${c}`] : [];
 }
 
 /**
@@ -482,49 +602,80 @@ function _traitHas(traitField, id) {
 
 /**
  * Set a hiddenElements flag to a specific boolean on either the token or actor, respecting storage mode.
+ * In hybrid mode an existing token override is updated, otherwise the actor baseline is.
+ * When an audience is given, the element stays hidden for everyone else but is revealed to that audience
+ * (`User.<id>` / `Actor.<id>` UUIDs). Without an audience any previously stored audience is cleared.
+ * Safe to call from any client: non-GM clients forward the change to the active GM over the module socket.
+ * `source` names what made the change for the reveal history; automatic reveals pass their trigger event (see _fireRevealTrigger).
  */
-async function _setHiddenFlag(actor, tokenDoc, key, hidden) {
+async function _setHiddenFlag(actor, tokenDoc, key, hidden, audience = null, source = null) {
   try {
-    const storageMode = game.settings.get(MODULE_ID, 'flagStorageMode') || 'per-actor';
-    let targetDoc = null;
-
-    if (storageMode === 'per-token') {
-      // In per-token mode write to the TokenDocument if provided, else fall back to the actor
-      targetDoc = tokenDoc || actor;
-    } else {
-      // In per-actor mode always write to the base Actor document that sheets/apps read from
-      if (tokenDoc?.actorId) {
-        targetDoc = game.actors.get(tokenDoc.actorId) || actor;
-      } else if (actor?.isToken) {
-        // Synthetic token actor - resolve its base if available
-        targetDoc = game.actors.get(actor.id) || actor;
-      } else {
-        // Already a base actor
-        targetDoc = actor;
-      }
-    }
+    const targetDoc = _getFlagTargetDoc(actor, tokenDoc, key);
 
     if (!targetDoc) {
       console.warn(`${MODULE_ID} | _setHiddenFlag: No target document for key ${key}`);
       return false;
     }
 
-    const current = foundry.utils.duplicate(targetDoc.getFlag(MODULE_ID, 'hiddenElements') || {});
+    const current = _getStoredHiddenElements(actor, tokenDoc);
+    const currentAudience = targetDoc.getFlag(MODULE_ID, 'elementAudiences')?.[key];
+    const hasNewAudience = Array.isArray(audience) && audience.length > 0;
 
-    if (current[key] === hidden) {
+    if (_shouldHideElement(key, current, true, _getVisibilityDefaults(actor, tokenDoc)) === hidden && !hasNewAudience && !currentAudience) {
       // Even if the flag is already set correctly, signal caller to re-render
       return true;
     }
 
-    current[key] = hidden;
-    await targetDoc.setFlag(MODULE_ID, 'hiddenElements', current);
-    return true;
+    // The write itself is performed by the active GM, so it also works from player clients
+    return await globalThis.InspectStatblockCore.requestHiddenElementsUpdate({
+      uuid: targetDoc.uuid,
+      hiddenElements: { [key]: hidden },
+      audiences: { [key]: hasNewAudience ? audience : null },
+      actorUuid: actor?.uuid ?? null,
+      source
+    });
   } catch (err) {
     console.error(`${MODULE_ID} | _setHiddenFlag: error setting ${key}=${hidden}:`, err);
     return false;
   }
 }
 
+/**
+ * Resolve the document that holds the hiddenElements flags of an actor/token, respecting storage mode.
+ * In hybrid mode this is the token when it already overrides the given key, otherwise the base actor.
+ */
+function _getFlagTargetDoc(actor, tokenDoc, key = null) {
+  const storageMode = game.settings.get(MODULE_ID, 'flagStorageMode') || 'per-actor';
+
+  if (storageMode === 'per-token') {
+    // In per-token mode write to the TokenDocument if provided, else fall back to the actor
+    return tokenDoc || actor;
+  }
+  if (storageMode === 'hybrid') {
+    const layerToken = tokenDoc ?? actor?.token ?? null;
+    if (key && layerToken && key in (layerToken.getFlag(MODULE_ID, 'hiddenElements') || {})) return layerToken;
+  }
+  // In per-actor mode always write to the base Actor document that sheets/apps read from
+  if (tokenDoc?.actorId) {
+    return game.actors.get(tokenDoc.actorId) || actor;
+  } else if (actor?.isToken) {
+    // Synthetic token actor - resolve its base if available
+    return game.actors.get(actor.id) || actor;
+  }
+  // Already a base actor
+  return actor;
+}
+
+/**
+ * Read the stored hiddenElements of an actor/token. In hybrid mode the token overrides are merged over the actor baseline.
+ */
+function _getStoredHiddenElements(actor, tokenDoc) {
+  const stored = _getFlagTargetDoc(actor, tokenDoc)?.getFlag(MODULE_ID, 'hiddenElements') || {};
+  if (game.settings.get(MODULE_ID, 'flagStorageMode') !== 'hybrid') return stored;
+  const layerToken = tokenDoc ?? actor?.token ?? null;
+  return { ...stored, ...(layerToken?.getFlag(MODULE_ID, 'hiddenElements') || {}) };
+}
+
 /**
  * Rerender any open statblock windows for a given actor.
  */
@@ -547,69 +698,181 @@ function _rerenderOpenStatblocksForActor(actor, tokenDoc = null) {
 }
 
 /**
- * Ensure default flags exist for any newly-added elements (defense tags, features, effects) so
- * that visibility respects module defaults instead of implicitly showing.
+ * Order in which a successful knowledge check reveals elements when the reveal order is 'priority'.
+ * Each entry is matched against the start of the element key.
  */
-async function _ensureDefaultFlagsForNewElements(actor) {
-  try {
-    if (!actor) return;
-    const storageMode = game.settings.get(MODULE_ID, 'flagStorageMode') || 'per-actor';
-    const targetDoc = (storageMode === 'per-actor') ? (game.actors.get(actor.id) || actor) : actor;
-
-    const current = foundry.utils.duplicate(targetDoc.getFlag(MODULE_ID, 'hiddenElements') || {});
-
-    // Read defaults
-    const defaults = game.settings.get(MODULE_ID, 'defaultVisibilitySettings') || {};
-
-    // 1) Defense tags derived from traits
-    const traits = actor.system?.traits;
-    const categories = [
-      { id: 'resistances', field: traits?.dr, setting: 'dnd5e-showDefault-defenseResistances' },
-      { id: 'immunities', field: traits?.di, setting: 'dnd5e-showDefault-defenseImmunities' },
-      { id: 'vulnerabilities', field: traits?.dv, setting: 'dnd5e-showDefault-defenseVulnerabilities' },
-      { id: 'conditionimmunities', field: traits?.ci, setting: 'dnd5e-showDefault-defenseConditions' }
-    ];
+const KNOWLEDGE_REVEAL_PRIORITY = [
+  'header-type', 'header-name',
+  'def-tag-vulnerabilities-', 'def-tag-immunities-', 'def-tag-resistances-', 'def-tag-conditionimmunities-',
+  'feature-', 'active-feature-',
+  'header-crlevel', 'section-ac', 'section-hp', 'hp-',
+  'ability-', 'movement-', 'header-size'
+];
 
-    for (const c of categories) {
-      const values = _collectTraitValues(c.field);
-      const showByDefault = defaults[c.setting] ?? true;
-      const categoryKey = `def-${c.id}`;
-      if (!(categoryKey in current)) current[categoryKey] = !showByDefault;
-      for (const v of values) {
-        const tagKey = `def-tag-${c.id}-${v}`;
-        if (!(tagKey in current)) current[tagKey] = !showByDefault;
-      }
-    }
+/**
+ * Resolve a knowledge check rolled from the statblock window (see Dnd5eHandler.rollKnowledgeCheck).
+ * On success reveals one hidden element, plus one for every `dnd5e-knowledgeRevealStep` points the
+ * roll beat the DC, then whispers a summary to the roller and the GMs.
+ */
+async function _resolveKnowledgeCheck(message, check) {
+  const total = message.rolls?.[0]?.total;
+  if (!Number.isFinite(total)) return;
+
+  const actor = await fromUuid(check.actorUuid);
+  if (!actor) return;
+  const tokenDoc = check.tokenUuid ? await fromUuid(check.tokenUuid) : null;
+  const dc = Number(check.dc) || 0;
+  const whisper = [message.author?.id, ...game.users.filter(u => u.isGM).map(u => u.id)].filter(id => !!id);
+
+  if (total < dc) {
+    console.log(`${MODULE_ID} | Knowledge check about ${actor.name} failed (${total} vs DC ${dc})`);
+    await ChatMessage.create({
+      content: `<p>${game.i18n.format('INSPECTSTATBLOCK.KnowledgeCheckFailed', { name: actor.name })}</p>`,
+      whisper
+    });
+    return;
+  }
 
-    // 2) Passive features list
-    if (Array.isArray(actor.items)) {
-      const featureItems = actor.items.filter(i => i.type === 'feat');
-      for (const item of featureItems) {
-        const key = `feature-${item.id}`;
-        if (!(key in current)) {
-          // Default: follow Features section default if present
-          const showByDefault = defaults['dnd5e-showDefault-passiveFeaturesSection'] ?? true;
-          current[key] = !showByDefault;
-        }
-      }
+  const step = Math.max(1, Number(game.settings.get(MODULE_ID, 'dnd5e-knowledgeRevealStep')) || 5);
+  const count = 1 + Math.floor((total - dc) / step);
+  let candidates = _getKnowledgeRevealCandidates(actor, tokenDoc);
+  if (game.settings.get(MODULE_ID, 'dnd5e-knowledgeRevealOrder') === 'random') {
+    for (let i = candidates.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
     }
+  }
+  const revealed = candidates.slice(0, count);
+
+  console.log(`${MODULE_ID} | Knowledge check about ${actor.name} succeeded (${total} vs DC ${dc}), revealing:`, revealed.map(c => c.key));
+  // Revealed entries need their section/category visible too
+  const keysToReveal = new Set(revealed.flatMap(({ key }) => [key, _getKnowledgeParentKey(key)]).filter(k => !!k));
+  // Requested together so they are written as a single update
+  const source = { type: 'knowledgeCheck', label: 'INSPECTSTATBLOCK.HistorySourceKnowledgeCheck', description: `${total} vs DC ${dc}` };
+  await Promise.all(Array.from(keysToReveal, key => _setHiddenFlag(actor, tokenDoc, key, false, null, source)));
+  if (revealed.length) _rerenderOpenStatblocksForActor(actor, tokenDoc);
+
+  const content = revealed.length
+    ? `<p>${game.i18n.format('INSPECTSTATBLOCK.KnowledgeCheckRevealed', { name: actor.name })}</p><ul>${revealed.map(c => `<li>${c.label}</li>`).join('')}</ul>`
+    : `<p>${game.i18n.format('INSPECTSTATBLOCK.KnowledgeCheckNothingLeft', { name: actor.name })}</p>`;
+  await ChatMessage.create({ content, whisper });
+}
 
-    // 3) Active effects
-    if (actor.effects) {
-      for (const effect of actor.effects) {
-        if (effect.disabled) continue;
-        const key = `effect-${effect.id}`;
-        if (!(key in current)) {
-          const showByDefault = defaults['dnd5e-showDefault-activeEffectsSection'] ?? true;
-          current[key] = !showByDefault;
-        }
-      }
+/**
+ * Narrow down the AC range players inferred from attacks against a creature: a hit means the AC is at
+ * most the attack total, a miss that it is above it. Once only one value is left the AC is revealed.
+ * Nothing is recorded while players already see the AC.
+ * @param {Actor} actor - The attacked actor.
+ * @param {TokenDocument|null} tokenDoc - The attacked token, if any.
+ * @param {number} total - The attack roll total.
+ * @param {boolean} hit - Whether the attack hit.
+ * @returns {Promise<boolean>} Whether the range changed.
+ */
+async function _recordAttackResult(actor, tokenDoc, total, hit) {
+  if (!actor || !Number.isFinite(total)) return false;
+  if (!_shouldHideElement('section-ac', _getStoredHiddenElements(actor, tokenDoc), true, _getVisibilityDefaults(actor, tokenDoc))) return false;
+  const targetDoc = _getFlagTargetDoc(actor, tokenDoc);
+  if (!targetDoc) return false;
+
+  const current = targetDoc.getFlag(MODULE_ID, AC_INFERENCE_FLAG) || {};
+  let min = Number.isFinite(current.min) ? current.min : null;
+  let max = Number.isFinite(current.max) ? current.max : null;
+  if (hit) max = max === null ? total : Math.min(max, total);
+  else min = min === null ? total + 1 : Math.max(min, total + 1);
+  // Contradicting results mean the AC changed since (e.g. a shield spell), start over from this attack
+  if (min !== null && max !== null && min > max) {
+    min = hit ? null : total + 1;
+    max = hit ? total : null;
+  }
+
+  if (min !== null && min === max) {
+    console.log(`${MODULE_ID} | Attacks narrowed the AC of ${actor.name} down to ${min}, revealing it`);
+    await targetDoc.unsetFlag(MODULE_ID, AC_INFERENCE_FLAG);
+    await _setHiddenFlag(actor, tokenDoc, 'section-ac', false, null, { type: 'acInference', label: 'INSPECTSTATBLOCK.HistorySourceAcInference', description: `AC ${min}` });
+    _rerenderOpenStatblocksForActor(actor, tokenDoc);
+    return true;
+  }
+  if (min === (current.min ?? null) && max === (current.max ?? null)) return false;
+
+  console.log(`${MODULE_ID} | Inferred AC of ${actor.name}: ${_formatAcRange({ min, max })}`);
+  await targetDoc.setFlag(MODULE_ID, AC_INFERENCE_FLAG, { min, max });
+  return true;
+}
+
+/**
+ * Format an inferred AC range, e.g. "14–17", "≥ 14" or "≤ 17".
+ * @param {{min: number|null, max: number|null}|null} bounds - The inferred bounds.
+ * @returns {string|null} Null when nothing is known.
+ */
+function _formatAcRange(bounds) {
+  const min = Number.isFinite(bounds?.min) ? bounds.min : null;
+  const max = Number.isFinite(bounds?.max) ? bounds.max : null;
+  if (min !== null && max !== null) return `${min}–${max}`;
+  if (min !== null) return `≥ ${min}`;
+  if (max !== null) return `≤ ${max}`;
+  return null;
+}
+
+/**
+ * Collect the elements of an actor that are still hidden from players, in reveal priority order.
+ * @returns {Array<{key: string, label: string}>}
+ */
+function _getKnowledgeRevealCandidates(actor, tokenDoc) {
+  const stored = _getStoredHiddenElements(actor, tokenDoc);
+  const visibilityDefaults = _getVisibilityDefaults(actor, tokenDoc);
+  // Elements the party already learned from other actors of the same creature are not worth a reveal
+  const hiddenElements = globalThis.InspectStatblockCore?.applyCreatureKnowledge?.(actor, stored) ?? stored;
+
+  const sectionDefs = getSystemSectionDefinitions();
+  const candidates = [];
+  for (const def of Object.values(sectionDefs)) {
+    const key = def.keyPattern;
+    if (!/^(header-|section-(ac|hp)$|hp-|ability-|movement-)/.test(key)) continue;
+    if (key.startsWith('movement-') && !(actor.system?.attributes?.movement?.[key.slice('movement-'.length)] > 0)) continue;
+    if (key === 'hp-temp' && !(actor.system?.attributes?.hp?.temp > 0)) continue;
+    if (key === 'hp-max-modifier' && !actor.system?.attributes?.hp?.tempmax) continue;
+    candidates.push({ key, label: def.name });
+  }
+
+  const traits = actor.system?.traits;
+  const defenseCategories = [
+    { id: 'resistances', field: traits?.dr, label: 'DND5E.DamRes', config: CONFIG.DND5E.damageTypes },
+    { id: 'immunities', field: traits?.di, label: 'DND5E.DamImm', config: CONFIG.DND5E.damageTypes },
+    { id: 'vulnerabilities', field: traits?.dv, label: 'DND5E.DamVuln', config: CONFIG.DND5E.damageTypes },
+    { id: 'conditionimmunities', field: traits?.ci, label: 'DND5E.ConImm', config: CONFIG.DND5E.conditionTypes }
+  ];
+  for (const c of defenseCategories) {
+    for (const value of _collectTraitValues(c.field)) {
+      const valueLabel = c.config?.[value]?.label ?? value;
+      candidates.push({ key: `def-tag-${c.id}-${value}`, label: `${game.i18n.localize(c.label)}: ${game.i18n.localize(valueLabel)}` });
     }
+  }
 
-    await targetDoc.setFlag(MODULE_ID, 'hiddenElements', current);
-  } catch (err) {
-    console.debug(`${MODULE_ID} | _ensureDefaultFlagsForNewElements error:`, err);
+  for (const item of actor.items ?? []) {
+    if (item.type !== 'feat' || _isCommonDnd5eActionName(item.name)) continue;
+    const activities = item.system?.activities;
+    const isActive = activities && (activities instanceof Map ? activities.size > 0 : Object.keys(activities).length > 0);
+    candidates.push({ key: `${isActive ? 'active-feature' : 'feature'}-${item.id}`, label: item.name });
   }
+
+  const priorityOf = (key) => {
+    const index = KNOWLEDGE_REVEAL_PRIORITY.findIndex(prefix => key.startsWith(prefix));
+    return index === -1 ? KNOWLEDGE_REVEAL_PRIORITY.length : index;
+  };
+  return candidates
+    .filter(c => _shouldHideElement(c.key, hiddenElements, false, visibilityDefaults))
+    .sort((a, b) => priorityOf(a.key) - priorityOf(b.key));
+}
+
+/**
+ * The section or category key that must be visible for an element to show up, if any.
+ */
+function _getKnowledgeParentKey(elementKey) {
+  const tagMatch = /^def-tag-(resistances|immunities|vulnerabilities|conditionimmunities)-/.exec(elementKey);
+  if (tagMatch) return `def-${tagMatch[1]}`;
+  if (elementKey.startsWith('feature-')) return 'section-passive-features';
+  if (elementKey.startsWith('active-feature-')) return 'section-active-features';
+  return null;
 }
 
 function _collectTraitValues(field) {
@@ -662,61 +925,89 @@ function _getConditionStatusesFromEffect(effect) {
   return ids;
 }
 
+/**
+ * Upgrade element keys written by older versions of the module (see Dnd5eHandler.migrateElementKeys).
+ * - `def-tag-*` values are normalized the way the statblock builds them (lowercase alphanumerics)
+ * - the whole-block `section-defenses` / `section-movement` toggles become per-category / per-speed keys
+ */
+function _migrateLegacyElementKeys(hiddenElements) {
+  const migrated = {};
+  const legacyBlocks = {};
+
+  for (const [key, hidden] of Object.entries(hiddenElements || {})) {
+    if (key === 'section-defenses' || key === 'section-movement') {
+      legacyBlocks[key] = hidden;
+      continue;
+    }
+    const tagMatch = /^def-tag-(resistances|immunities|vulnerabilities|conditionimmunities)-(.+)$/.exec(key);
+    const newKey = tagMatch ? `def-tag-${tagMatch[1]}-${toKey(tagMatch[2])}` : key;
+    // An entry already in the current format wins over its legacy spelling
+    if (newKey === key || !(newKey in hiddenElements)) migrated[newKey] = hidden;
+  }
+
+  // Whole-block toggles apply to every element of the block that has no flag of its own
+  if ('section-defenses' in legacyBlocks) {
+    for (const category of ['resistances', 'immunities', 'vulnerabilities', 'conditionimmunities']) {
+      if (!(`def-${category}` in migrated)) migrated[`def-${category}`] = legacyBlocks['section-defenses'];
+    }
+  }
+  if ('section-movement' in legacyBlocks) {
+    for (const type of ['walk', 'fly', 'swim', 'climb', 'burrow']) {
+      if (!(`movement-${type}` in migrated)) migrated[`movement-${type}`] = legacyBlocks['section-movement'];
+    }
+  }
+
+  return migrated;
+}
+
 /**
  * Helper function to determine if an element should be hidden based on flags or defaults.
+ * Flags only hold GM overrides, every other element follows its default visibility setting.
  * @param {string} elementKey - The key of the element to check.
  * @param {object} hiddenElements - The current hiddenElements flag state.
  * @param {boolean} isGM - Whether the current user is a GM.
  * @returns {boolean} True if the element should be hidden.
  * @private
  */
-function _shouldHideElement(elementKey, hiddenElements, isGM) {
+function _shouldHideElement(elementKey, hiddenElements, isGM, visibilityDefaults = null) {
   // If a flag exists (for GM or player), use it
   if (elementKey in hiddenElements) {
     return hiddenElements[elementKey];
   }
+  return _getDefaultHiddenState(elementKey, visibilityDefaults);
+}
+
+/**
+ * Whether an element is hidden when no GM override exists, according to the default visibility settings.
+ * Individual defense tags, features and effects follow the default of the category/section they belong to.
+ * @param {string} elementKey - The key of the element to check.
+ * @param {object|null} [visibilityDefaults=null] - The default visibility settings to use (see _getVisibilityDefaults). The global ones when null.
+ * @returns {boolean} True if the element is hidden by default.
+ * @private
+ */
+function _getDefaultHiddenState(elementKey, visibilityDefaults = null) {
+  const defaultVisibilitySettings = visibilityDefaults ?? (game.settings.get('inspect-statblock', 'defaultVisibilitySettings') || {});
+  const isHiddenBySetting = (settingKey) => !(defaultVisibilitySettings[settingKey] ?? true);
 
-  // Special-case: individual defense tags should inherit their category's default when no tag flag exists
   // Example keys: def-tag-resistances-fire, def-tag-immunities-poison, def-tag-vulnerabilities-slashing, def-tag-conditionimmunities-poisoned
   const tagMatch = /^def-tag-(resistances|immunities|vulnerabilities|conditionimmunities)-/.exec(elementKey);
-  if (!isGM && tagMatch) {
-    const categoryId = tagMatch[1];
-    const categoryElementKey = `def-${categoryId}`; // e.g., def-resistances
-    // If category flag exists, inherit it
-    if (categoryElementKey in hiddenElements) {
-      return hiddenElements[categoryElementKey];
-    }
-    // Otherwise, fall back to category default visibility setting
-    const defaultVisibilitySettings = game.settings.get('inspect-statblock', 'defaultVisibilitySettings') || {};
+  const defenseMatch = tagMatch ?? /^def-(resistances|immunities|vulnerabilities|conditionimmunities)$/.exec(elementKey);
+  if (defenseMatch) {
     const categoryToSettingKey = {
       resistances: 'dnd5e-showDefault-defenseResistances',
       immunities: 'dnd5e-showDefault-defenseImmunities',
       vulnerabilities: 'dnd5e-showDefault-defenseVulnerabilities',
       conditionimmunities: 'dnd5e-showDefault-defenseConditions'
     };
-    const settingKey = categoryToSettingKey[categoryId];
-    if (settingKey) {
-      const showByDefault = defaultVisibilitySettings[settingKey] ?? true;
-      return !showByDefault; // if default says don't show, then hide the tag
-    }
+    return isHiddenBySetting(categoryToSettingKey[defenseMatch[1]]);
   }
 
-  // Special-case: features and active effects inherit section defaults when no explicit flag exists
-  if (elementKey.startsWith('feature-')) {
-    const defaultVisibilitySettings = game.settings.get('inspect-statblock', 'defaultVisibilitySettings') || {};
-    const showByDefault = defaultVisibilitySettings['dnd5e-showDefault-passiveFeaturesSection'] ?? true;
-    return !showByDefault;
-  }
-  if (elementKey.startsWith('effect-')) {
-    const defaultVisibilitySettings = game.settings.get('inspect-statblock', 'defaultVisibilitySettings') || {};
-    const showByDefault = defaultVisibilitySettings['dnd5e-showDefault-activeEffectsSection'] ?? true;
-    return !showByDefault;
-  }
+  if (elementKey.startsWith('feature-')) return isHiddenBySetting('dnd5e-showDefault-passiveFeaturesSection');
+  if (elementKey.startsWith('active-feature-')) return isHiddenBySetting('dnd5e-showDefault-activeFeaturesSection');
+  if (elementKey.startsWith('effect-')) return isHiddenBySetting('dnd5e-showDefault-activeEffectsSection');
 
-  // No flag exists, check the default setting
-  const sectionDefs = getSystemSectionDefinitions();
   // Find the section definition that matches this elementKey
-  const matchingDef = Object.values(sectionDefs).find(def => {
+  const matchingDef = Object.values(getSystemSectionDefinitions()).find(def => {
     if (def.type === 'single') {
       return def.keyPattern === elementKey;
     } else if (def.type === 'group') {
@@ -726,15 +1017,124 @@ function _shouldHideElement(elementKey, hiddenElements, isGM) {
   });
 
   if (matchingDef?.defaultShowSettingKey) {
-    // Read from the visibility settings object instead of individual settings
-    const defaultVisibilitySettings = game.settings.get('inspect-statblock', 'defaultVisibilitySettings') || {};
-    const showByDefault = defaultVisibilitySettings[matchingDef.defaultShowSettingKey] ?? true;
-    return !showByDefault; // If showByDefault is false, we should hide
+    return isHiddenBySetting(matchingDef.defaultShowSettingKey);
   }
 
   return false; // If no matching definition or setting found, show by default
 }
 
+/**
+ * The default visibility settings of a creature: the global defaults with the core's matching visibility rules applied.
+ * @param {Actor|null} actor - The actor.
+ * @param {TokenDocument|null} tokenDoc - The token, if any.
+ * @returns {object} settingKey -> true if shown by default.
+ * @private
+ */
+function _getVisibilityDefaults(actor, tokenDoc = null) {
+  return globalThis.InspectStatblockCore?.getDefaultVisibilitySettings?.(actor, tokenDoc)
+    ?? (game.settings.get(MODULE_ID, 'defaultVisibilitySettings') || {});
+}
+
+/**
+ * Ordered reveal levels of the elements that have a partial level between hidden and revealed.
+ * Implements the getRevealLevels method of the SystemHandler interface.
+ * Features and effects can show their name without description, defense tags that a defense
+ * exists without its type, and health a descriptive state without numbers.
+ * @param {string} elementKey - The element key.
+ * @returns {string[]|null} Localization keys of the levels, or null for hidden/revealed only.
+ */
+function getRevealLevels(elementKey) {
+  if (/^(feature|active-feature|effect)-/.test(elementKey)) {
+    return ['INSPECTSTATBLOCK.RevealLevelHidden', 'INSPECTSTATBLOCK.RevealLevelNameOnly', 'INSPECTSTATBLOCK.RevealLevelRevealed'];
+  }
+  if (elementKey.startsWith('def-tag-')) {
+    return ['INSPECTSTATBLOCK.RevealLevelHidden', 'INSPECTSTATBLOCK.RevealLevelTypeUnknown', 'INSPECTSTATBLOCK.RevealLevelRevealed'];
+  }
+  if (elementKey === 'section-hp') {
+    return ['INSPECTSTATBLOCK.RevealLevelHidden', 'INSPECTSTATBLOCK.RevealLevelDescriptive', 'INSPECTSTATBLOCK.RevealLevelRevealed'];
+  }
+  return null;
+}
+
+/**
+ * Whether a hidden element is partially revealed, i.e. has a stored level between hidden and revealed.
+ * Levels only apply while the element is hidden.
+ * @param {string} elementKey - The element key.
+ * @param {boolean} isHidden - Whether the element is hidden (see _shouldHideElement).
+ * @param {object} [revealLevels={}] - elementKey -> partial reveal level.
+ * @returns {boolean}
+ * @private
+ */
+function _isPartiallyRevealed(elementKey, isHidden, revealLevels = {}) {
+  if (!isHidden) return false;
+  const levels = getRevealLevels(elementKey);
+  const level = Number(revealLevels?.[elementKey]) || 0;
+  return !!levels && level > 0 && level < levels.length - 1;
+}
+
+/**
+ * Placeholder used when the core provides none.
+ * @type {{style: string, text: string, html: string, omit: boolean}}
+ */
+const FALLBACK_PLACEHOLDER = { style: 'marks', text: '??', html: '??', omit: false };
+
+/**
+ * Localized labels of a CONFIG.DND5E collection, e.g. for rule choices.
+ * @param {object} config - key -> label, or key -> { label }.
+ * @returns {object} key -> localized label.
+ * @private
+ */
+function _localizeChoices(config) {
+  return Object.fromEntries(Object.entries(config || {}).map(([key, value]) => [key, game.i18n.localize(value.label ?? value)]));
+}
+
+/** Flag holding the AC range players inferred from attack rolls, `{ min, max }` (either can be null). */
+const AC_INFERENCE_FLAG = 'acInference';
+
+/**
+ * The placeholders players see in place of hidden values, for every placeholder section.
+ * @param {object|null} [placeholderSettings=null] - Placeholder styles to use instead of the stored ones.
+ * @returns {Object<string, {style: string, text: string, html: *, omit: boolean}>} sectionId -> placeholder.
+ * @private
+ */
+function _getPlaceholders(placeholderSettings = null) {
+  const placeholders = {};
+  for (const sectionId of Object.keys(getPlaceholderSections())) {
+    placeholders[sectionId] = globalThis.InspectStatblockCore?.getPlaceholder?.(sectionId, placeholderSettings) ?? FALLBACK_PLACEHOLDER;
+  }
+  return placeholders;
+}
+
+/**
+ * Processes actor armor class data for SIDS.
+ * Players see the range inferred from attack rolls in place of a hidden AC, GMs see it in a tooltip.
+ * @param {Actor} actor - The D&D 5e actor document.
+ * @param {boolean} isHidden - Whether the AC is hidden.
+ * @param {boolean} isGM - Whether the current user is a GM.
+ * @param {object} [placeholder] - The AC placeholder (see _getPlaceholders).
+ * @param {{min: number|null, max: number|null}|null} [acBounds=null] - The inferred AC range, if any.
+ * @returns {object|null} Null when the hidden AC is omitted.
+ * @private
+ */
+function _getAcData(actor, isHidden, isGM, placeholder = FALLBACK_PLACEHOLDER, acBounds = null) {
+  const inferredRange = isHidden ? _formatAcRange(acBounds) : null;
+  if (!isGM && isHidden && inferredRange) {
+    return {
+      value: inferredRange,
+      elementKey: "section-ac",
+      isInferred: true,
+      tooltip: game.i18n.localize("INSPECTSTATBLOCK.AcInferredHint"),
+    };
+  }
+  if (!isGM && isHidden && placeholder.omit) return null;
+  return {
+    value: (!isGM && isHidden) ? placeholder.html : (actor.system.attributes?.ac?.value ?? "??"),
+    elementKey: "section-ac",
+    isHiddenGM: isGM && isHidden,
+    tooltip: (isGM && inferredRange) ? game.i18n.format("INSPECTSTATBLOCK.AcInferredGM", { range: inferredRange }) : null,
+  };
+}
+
 /**
  * Fetches and transforms D&D 5e actor data into the StandardizedStatblockData format.
  * Implements the getStandardizedActorData method of the SystemHandler interface.
@@ -742,12 +1142,18 @@ function _shouldHideElement(elementKey, hiddenElements, isGM) {
  * @param {Actor} actor - The D&D 5e actor document.
  * @param {TokenDocument | undefined} token - The linked token document, if any.
  * @param {object} hiddenElements - The current hiddenElements flag state for this actor, 
- *                                  mapping elementKeys to boolean (true if hidden).
+ *                                  mapping elementKeys to boolean (true if hidden). Already resolved
+ *                                  for the viewing user (elements revealed to them are false).
  * @param {boolean} isGM - Whether the current user is a Game Master.
+ * @param {object} [options={}]
+ * @param {object} [options.visibilityDefaults] - Default visibility settings to use instead of the stored
+ *                                                ones, e.g. unsaved changes in the default visibility menu.
+ * @param {object} [options.placeholderSettings] - Placeholder styles to use instead of the stored ones.
+ * @param {object} [options.revealLevels] - elementKey -> partial reveal level of hidden elements (see getRevealLevels).
  * @returns {Promise<SIDS.StandardizedStatblockData>} A promise that resolves to the
  *                                                    standardized statblock data object.
  */
-async function getStandardizedActorData(actor, token, hiddenElements, isGM) {
+async function getStandardizedActorData(actor, token, hiddenElements, isGM, options = {}) {
   // Ensure actor and actor.system are available, crucial for D&D5e data.
   if (!actor || !actor.system) {
     console.warn("Inspect Statblock | Dnd5eHandler.getStandardizedActorData: Actor or actor.system is undefined. Cannot process D&D 5e data.");
@@ -768,6 +1174,13 @@ async function getStandardizedActorData(actor, token, hiddenElements, isGM) {
 
   const { details, traits } = actor.system;
 
+  // Default visibility for this creature, with the matching visibility rules applied
+  const visibilityDefaults = options.visibilityDefaults ?? _getVisibilityDefaults(actor, token?.document ?? token);
+  // What players see in place of hidden values, per placeholder section
+  const placeholders = _getPlaceholders(options.placeholderSettings);
+  // Partial reveal levels only change what players see, GMs see the marked element (see the core's indicators)
+  const revealLevels = isGM ? {} : (options.revealLevels || {});
+
   // Define element keys for header section
   const nameElementKey = "header-name";
   const levelOrCrElementKey = "header-crlevel";
@@ -780,9 +1193,9 @@ async function getStandardizedActorData(actor, token, hiddenElements, isGM) {
     displayedName = token.name; // Use token's name if it exists and is different
   }
 
-  const nameIsHidden = _shouldHideElement(nameElementKey, hiddenElements, isGM);
+  const nameIsHidden = _shouldHideElement(nameElementKey, hiddenElements, isGM, visibilityDefaults);
   if (!isGM && nameIsHidden) {
-    displayedName = "??";
+    displayedName = placeholders.header.html;
   }
 
   // Level/CR, Size, and Type determination
@@ -790,9 +1203,9 @@ async function getStandardizedActorData(actor, token, hiddenElements, isGM) {
   let sizeText;
   let typeText;
 
-  const levelOrCrIsHidden = _shouldHideElement(levelOrCrElementKey, hiddenElements, isGM);
-  const sizeIsHidden = _shouldHideElement(sizeElementKey, hiddenElements, isGM);
-  const typeIsHidden = _shouldHideElement(typeElementKey, hiddenElements, isGM);
+  const levelOrCrIsHidden = _shouldHideElement(levelOrCrElementKey, hiddenElements, isGM, visibilityDefaults);
+  const sizeIsHidden = _shouldHideElement(sizeElementKey, hiddenElements, isGM, visibilityDefaults);
+  const typeIsHidden = _shouldHideElement(typeElementKey, hiddenElements, isGM, visibilityDefaults);
 
   // Get creature size
   sizeText = traits?.size ? _formatSize(traits.size) : "";
@@ -833,13 +1246,13 @@ async function getStandardizedActorData(actor, token, hiddenElements, isGM) {
   }
 
   if (!isGM && levelOrCrIsHidden) {
-    levelOrCrText = "??";
+    levelOrCrText = placeholders.header.html;
   }
   if (!isGM && sizeIsHidden) {
-    sizeText = "??";
+    sizeText = placeholders.header.html;
   }
   if (!isGM && typeIsHidden) {
-    typeText = "??";
+    typeText = placeholders.header.html;
   }
 
   // Initialize sidsData.defenses
@@ -863,7 +1276,7 @@ async function getStandardizedActorData(actor, token, hiddenElements, isGM) {
     // Check if the specific defense group (e.g. resistances) should be hidden based on a flag for it.
     // This assumes flags like "hiddenElements['def-resistances']" might exist.
     const categoryElementKey = `def-${category.id}`; // e.g., def-resistances
-    const isCategoryHiddenByFlag = _shouldHideElement(categoryElementKey, hiddenElements, isGM);
+    const isCategoryHiddenByFlag = _shouldHideElement(categoryElementKey, hiddenElements, isGM, visibilityDefaults);
 
     const defenseCategoryItem = _getSingleDefenseCategoryItem(
       category.dataPath?.value, // Pass the array of strings (e.g., ['fire', 'cold'])
@@ -872,7 +1285,10 @@ async function getStandardizedActorData(actor, token, hiddenElements, isGM) {
       isCategoryHiddenByFlag,   // Pass the specific hidden state for THIS category
       isGM,
       hiddenElements,           // Pass the hiddenElements object down
-      category.dataPath?.custom // Pass custom string if available
+      category.dataPath?.custom, // Pass custom string if available
+      visibilityDefaults,
+      placeholders.defenses,
+      revealLevels
     );
     
     // The subText from _getSingleDefenseCategoryItem will be "??" if !isGM and isCategoryHiddenByFlag is true.
@@ -918,18 +1334,15 @@ async function getStandardizedActorData(actor, token, hiddenElements, isGM) {
       tokenImgSrc: token?.document?.texture?.src || token?.texture?.src || actor.prototypeToken?.texture?.src,
       actorImgSrc: actor.img,
     },
-    ac: {
-      value: (!isGM && _shouldHideElement("section-ac", hiddenElements, isGM)) ? "??" : (actor.system.attributes?.ac?.value ?? "??"),
-      elementKey: "section-ac",
-      isHiddenGM: isGM && _shouldHideElement("section-ac", hiddenElements, isGM),
-    },
-    movement: _getMovementData(actor.system.attributes, hiddenElements, isGM),
-    health: _getHealthData(baseActorForHP, _shouldHideElement("section-hp", hiddenElements, isGM), isGM),
-    abilityScores: _getAbilityScoresData(actor.system.abilities, hiddenElements, isGM),
-    activeEffects: _getActiveEffectsData(actor, hiddenElements, isGM),
+    ac: _getAcData(actor, _shouldHideElement("section-ac", hiddenElements, isGM, visibilityDefaults), isGM, placeholders.ac,
+      _getFlagTargetDoc(actor, token?.document ?? token)?.getFlag?.(MODULE_ID, AC_INFERENCE_FLAG)),
+    movement: _getMovementData(actor.system.attributes, hiddenElements, isGM, visibilityDefaults, placeholders.movement),
+    health: _getHealthData(baseActorForHP, hiddenElements, isGM, visibilityDefaults, placeholders.hp, revealLevels),
+    abilityScores: _getAbilityScoresData(actor.system.abilities, hiddenElements, isGM, visibilityDefaults, placeholders.abilities),
+    activeEffects: _getActiveEffectsData(actor, hiddenElements, isGM, visibilityDefaults, placeholders.effects, revealLevels),
     defenses: defensesSection, // Assign the newly constructed defenses section
-    passiveFeatures: _getPassiveFeaturesData(actor, hiddenElements, isGM),
-    activeFeatures: _getActiveFeaturesData(actor, hiddenElements, isGM),
+    passiveFeatures: _getPassiveFeaturesData(actor, hiddenElements, isGM, visibilityDefaults, placeholders.features, revealLevels),
+    activeFeatures: _getActiveFeaturesData(actor, hiddenElements, isGM, visibilityDefaults, placeholders.features, revealLevels),
   };
 
   console.log("Inspect Statblock | [Dnd5eHandler.getStandardizedActorData] Processed actor:", actor.name, "SIDS Data (partial):", sidsData);
@@ -1010,10 +1423,12 @@ function _getCharacterClassStringAndLevel(characterActor) {
  * @param {object} attributes - The actor.system.attributes object.
  * @param {object} hiddenElements - The hiddenElements flag object.
  * @param {boolean} isGM - Whether the current user is a GM.
+ * @param {object|null} [visibilityDefaults=null] - The creature's default visibility settings.
+ * @param {object} [placeholder] - The movement placeholder (see _getPlaceholders).
  * @returns {SIDS.MovementInfo}
  * @private
  */
-function _getMovementData(attributes, hiddenElements, isGM) {
+function _getMovementData(attributes, hiddenElements, isGM, visibilityDefaults = null, placeholder = FALLBACK_PLACEHOLDER) {
   const movementInfo = {
     speeds: [],
     isEmpty: true,
@@ -1033,7 +1448,7 @@ function _getMovementData(attributes, hiddenElements, isGM) {
 
   for (const stdType of STANDARD_MOVEMENT_TYPES) {
     const elementKey = `movement-${stdType.key}`;
-    const isSpeedHiddenByFlag = _shouldHideElement(elementKey, hiddenElements, isGM);
+    const isSpeedHiddenByFlag = _shouldHideElement(elementKey, hiddenElements, isGM, visibilityDefaults);
 
     let rawSpeedData = actorMovementData[stdType.key];
     let possessedSpeedValue = 0;
@@ -1056,16 +1471,18 @@ function _getMovementData(attributes, hiddenElements, isGM) {
     } else { // Player view
       if (possessedSpeedValue > 0) { // Creature possesses this speed type
         if (isSpeedHiddenByFlag) { // GM hid this specific speed
-          displayedValue = "??";
+          displayedValue = placeholder.html;
           isNumeric = false;
         } else { // Speed is visible, show actual speed
           displayedValue = String(possessedSpeedValue);
           isNumeric = true;
         }
       } else { // Creature does not possess this speed type
-        displayedValue = "??";
+        displayedValue = placeholder.html;
         isNumeric = false;
       }
+      // Omitted speeds are left out, unknown and missing ones alike
+      if (!isNumeric && placeholder.omit) continue;
     }
 
     movementInfo.speeds.push({
@@ -1088,33 +1505,103 @@ function _getMovementData(attributes, hiddenElements, isGM) {
 }
 
 /**
- * Processes actor health data for SIDS.
+ * Processes actor health data for SIDS: current and maximum HP, temporary HP, the temporary max-HP
+ * modifier and the HP bar. Temporary HP (`hp-temp`) and the max-HP modifier (`hp-max-modifier`) have
+ * their own visibility keys; the bar is only shown along with the numbers.
  * @param {Actor} baseActor - The base actor document (for character sheet HP).
- * @param {boolean} isSectionHidden - Whether the whole health section is hidden for the player.
+ * @param {object} hiddenElements - The hiddenElements flag object.
  * @param {boolean} isGM - Whether the current user is a GM.
- * @returns {SIDS.HealthInfo}
+ * @param {object|null} [visibilityDefaults=null] - The creature's default visibility settings.
+ * @param {object} [placeholder] - The health placeholder (see _getPlaceholders).
+ * @param {object} [revealLevels={}] - Partial reveal levels for the player view.
+ * @returns {SIDS_DND5E.HealthObject|null} Null when the hidden health is omitted. Players see a descriptor instead of the
+ *   numbers when the health is partially revealed, or revealed on a creature with the descriptive HP display.
  * @private
  */
-function _getHealthData(baseActor, isSectionHidden, isGM) {
+function _getHealthData(baseActor, hiddenElements, isGM, visibilityDefaults = null, placeholder = FALLBACK_PLACEHOLDER, revealLevels = {}) {
   const elementKey = "section-hp";
-  
+  const tempElementKey = "hp-temp";
+  const maxModifierElementKey = "hp-max-modifier";
+  const isSectionHidden = _shouldHideElement(elementKey, hiddenElements, isGM, visibilityDefaults);
+  const isTempHidden = _shouldHideElement(tempElementKey, hiddenElements, isGM, visibilityDefaults);
+  const isMaxModifierHidden = _shouldHideElement(maxModifierElementKey, hiddenElements, isGM, visibilityDefaults);
+
   // Get HP from the base actor to ensure we're showing character sheet HP, not token overrides
   const hpData = baseActor?.system?.attributes?.hp;
+  const value = Number(hpData?.value) || 0;
+  const max = Number(hpData?.max) || 0;
+  const temp = Number(hpData?.temp) || 0;
+  const tempMax = Number(hpData?.tempmax) || 0;
+  const effectiveMax = Number(hpData?.effectiveMax) || Math.max(0, max + tempMax);
+
+  // Descriptive: the player knows how hurt the creature looks, not the numbers
+  const isDescriptive = _isPartiallyRevealed(elementKey, isSectionHidden, revealLevels)
+    || (!isSectionHidden && getHealthDisplayMode(baseActor) === 'descriptive');
+  if (!isGM && isDescriptive) {
+    return {
+      descriptor: getHealthDescriptor(value, effectiveMax),
+      elementKey: elementKey,
+      isPartial: true,
+      isHiddenGM: false,
+    };
+  }
 
   if (!isGM && isSectionHidden) {
+    if (placeholder.omit) return null;
     return {
-      current: "??",
-      max: "??",
+      current: placeholder.html,
+      max: placeholder.html,
       elementKey: elementKey,
       isHiddenGM: false, // Player view, so this flag isn't relevant for element-hidden-to-players class here
     };
   }
 
+  // A hidden modifier is left out entirely: players see the effective maximum as the maximum
+  const showMaxModifier = tempMax !== 0 && (isGM || !isMaxModifierHidden);
+  const isTempConcealed = !isGM && isTempHidden;
+  const showTemp = temp > 0 && !(isTempConcealed && placeholder.omit);
+
   return {
-    current: hpData?.value ?? "0",
-    max: hpData?.max ?? "0",
+    current: value,
+    max: effectiveMax,
+    temp: showTemp ? (isTempConcealed ? placeholder.html : temp) : null,
+    tempMax: showMaxModifier ? tempMax : null,
+    increasedMax: showMaxModifier && tempMax > 0,
+    decreasedMax: showMaxModifier && tempMax < 0,
     elementKey: elementKey,
     isHiddenGM: isGM && isSectionHidden,
+    tempElementKey,
+    tempIsHiddenGM: isGM && isTempHidden,
+    maxModifierElementKey,
+    maxModifierIsHiddenGM: isGM && isMaxModifierHidden,
+    bar: _getHealthBar(value, max, effectiveMax, (showTemp && !isTempConcealed) ? temp : 0, showMaxModifier),
+  };
+}
+
+/**
+ * Widths (percent of the bar) of the HP bar segments. The bar spans the larger of the normal and the
+ * effective maximum, or current plus temporary HP when that is more.
+ * @param {number} value - Current HP.
+ * @param {number} max - Normal maximum HP.
+ * @param {number} effectiveMax - Maximum HP with the temporary modifier applied.
+ * @param {number} temp - Temporary HP to overlay, 0 for none.
+ * @param {boolean} showMaxModifier - Whether to mark the part of the bar the modifier adds or removes.
+ * @returns {{value: number, temp: number, reducedStart: number, reduced: number, normalMax: number|null}} `reduced`
+ *   is the part lost to a decreased maximum, starting at `reducedStart`; `normalMax` the position of the normal
+ *   maximum when increased.
+ * @private
+ */
+function _getHealthBar(value, max, effectiveMax, temp, showMaxModifier) {
+  const shownMax = showMaxModifier ? Math.max(max, effectiveMax) : effectiveMax;
+  const current = Math.max(0, value);
+  const total = Math.max(shownMax, current + temp, 1);
+  const percent = amount => Math.round(Math.clamp(amount / total * 100, 0, 100) * 10) / 10;
+  return {
+    value: percent(current),
+    temp: percent(temp),
+    reducedStart: percent(effectiveMax),
+    reduced: (showMaxModifier && effectiveMax < max) ? percent(max - effectiveMax) : 0,
+    normalMax: (showMaxModifier && effectiveMax > max) ? percent(max) : null
   };
 }
 
@@ -1123,21 +1610,24 @@ function _getHealthData(baseActor, isSectionHidden, isGM) {
  * @param {object} abilities - The actor.system.abilities object.
  * @param {object} hiddenElements - The hiddenElements flag object.
  * @param {boolean} isGM - Whether the current user is a GM.
+ * @param {object|null} [visibilityDefaults=null] - The creature's default visibility settings.
+ * @param {object} [placeholder] - The abilities placeholder (see _getPlaceholders).
  * @returns {SIDS.AbilityScore[]}
  * @private
  */
-function _getAbilityScoresData(abilities, hiddenElements, isGM) {
+function _getAbilityScoresData(abilities, hiddenElements, isGM, visibilityDefaults = null, placeholder = FALLBACK_PLACEHOLDER) {
   const scores = [];
   if (!abilities) return scores;
 
   for (const [key, ability] of Object.entries(abilities)) {
     const elementKey = `ability-${key}`;
-    const isHidden = _shouldHideElement(elementKey, hiddenElements, isGM);
+    const isHidden = _shouldHideElement(elementKey, hiddenElements, isGM, visibilityDefaults);
+    if (!isGM && isHidden && placeholder.omit) continue;
     scores.push({
       key: key,
       label: ability.label?.toUpperCase() || key.toUpperCase(), // Ensure uppercase, fallback to key if label is missing
-      value: (!isGM && isHidden) ? "??" : ability.value,
-      mod: (!isGM && isHidden) ? "??" : (ability.mod >= 0 ? `+${ability.mod}` : ability.mod),
+      value: (!isGM && isHidden) ? placeholder.html : ability.value,
+      mod: (!isGM && isHidden) ? placeholder.html : (ability.mod >= 0 ? `+${ability.mod}` : ability.mod),
       elementKey: elementKey,
       isHiddenGM: isGM && isHidden,
     });
@@ -1150,10 +1640,13 @@ function _getAbilityScoresData(abilities, hiddenElements, isGM) {
  * @param {Actor} actor - The D&D 5e actor document.
  * @param {object} hiddenElements - The hiddenElements flag object.
  * @param {boolean} isGM - Whether the current user is a GM.
+ * @param {object|null} [visibilityDefaults=null] - The creature's default visibility settings.
+ * @param {object} [placeholder] - The effects placeholder (see _getPlaceholders).
+ * @param {object} [revealLevels={}] - Partial reveal levels for the player view.
  * @returns {SIDS.StatblockSection}
  * @private
  */
-function _getActiveEffectsData(actor, hiddenElements, isGM) {
+function _getActiveEffectsData(actor, hiddenElements, isGM, visibilityDefaults = null, placeholder = FALLBACK_PLACEHOLDER, revealLevels = {}) {
   const sectionElementKey = "section-active-effects";
   const effectsSection = {
     title: "Active Effects",
@@ -1161,7 +1654,7 @@ function _getActiveEffectsData(actor, hiddenElements, isGM) {
     isEmpty: true,
     sectionClasses: "active-effects-section",
     elementKey: sectionElementKey,
-    isHiddenGM: isGM && _shouldHideElement(sectionElementKey, hiddenElements, isGM)
+    isHiddenGM: isGM && _shouldHideElement(sectionElementKey, hiddenElements, isGM, visibilityDefaults)
   };
 
   const effectsToRender = (actor.effects || []).filter(e => !e.disabled);
@@ -1174,8 +1667,11 @@ function _getActiveEffectsData(actor, hiddenElements, isGM) {
 
   for (const effect of effectsToRender) {
     const elementKey = `effect-${effect.id}`;
-    const isEffectHiddenForPlayer = !isGM && _shouldHideElement(elementKey, hiddenElements, isGM);
+    const isEffectHiddenForPlayer = !isGM && _shouldHideElement(elementKey, hiddenElements, isGM, visibilityDefaults);
     const effectIsHiddenByGM = isGM && hiddenElements[elementKey];
+    // Name-only level: the name and icon are shown, the details stay hidden
+    const isNameOnly = _isPartiallyRevealed(elementKey, isEffectHiddenForPlayer, revealLevels);
+    if (isEffectHiddenForPlayer && !isNameOnly && placeholder.omit) continue;
 
     // DEBUG LOG:
     if (isGM) {
@@ -1205,8 +1701,10 @@ function _getActiveEffectsData(actor, hiddenElements, isGM) {
 
     effectsSection.items.push({
       id: effect.id,
-      name: isEffectHiddenForPlayer ? "??" : effect.name,
-      icon: isEffectHiddenForPlayer ? "" : effect.img,
+      name: (isEffectHiddenForPlayer && !isNameOnly) ? placeholder.html : effect.name,
+      isConcealed: isEffectHiddenForPlayer && !isNameOnly,
+      isPartial: isNameOnly,
+      icon: (isEffectHiddenForPlayer && !isNameOnly) ? "" : effect.img,
       // Enhanced: Keep full HTML for rich tooltips instead of stripping tags
       descriptionHTML: isEffectHiddenForPlayer ? "" : (effect.description || ""),
       subText: isEffectHiddenForPlayer ? "" : subText, // Don't show subtext like duration if item is hidden to player
@@ -1244,12 +1742,12 @@ function _getActiveEffectsData(actor, hiddenElements, isGM) {
   effectsSection.sectionClasses = "active-effects-section";
 
   // If all effects were hidden for player, the section might appear empty to them
-  if (!isGM && effectsSection.items.every(item => item.name === "??")) {
-      // This is tricky. The section isn't technically empty of items, but items are all ??.
+  if (!isGM && effectsSection.items.every(item => item.isConcealed)) {
+      // This is tricky. The section isn't technically empty of items, but items are all placeholders.
       // The renderer will handle not showing item details. `isEmpty` should reflect if there are processable items.
-      // If all items are hidden, the renderer will just show a list of "??" if it iterates.
-      // Or, the renderer could check if all items are "??" and then show a generic "??" message.
+      // If all items are hidden, the renderer will just show a list of placeholders if it iterates.
       // For now, `isEmpty` remains false if there were effects, even if all hidden.
+      // Omitted effects leave no items at all, so the section is left out (neither items nor isEmpty).
   }
 
   return effectsSection;
@@ -1264,10 +1762,13 @@ function _getActiveEffectsData(actor, hiddenElements, isGM) {
  * @param {boolean} isGM - Whether the current user is a GM.
  * @param {object} hiddenElements - The actor's hiddenElements flag object.
  * @param {string} [customString] - Custom string from actor.system.traits.dx.custom.
+ * @param {object|null} [visibilityDefaults=null] - The creature's default visibility settings.
+ * @param {object} [placeholder] - The defenses placeholder (see _getPlaceholders).
+ * @param {object} [revealLevels={}] - Partial reveal levels for the player view.
  * @returns {SIDS.StatblockItem}
  * @private
  */
-function _getSingleDefenseCategoryItem(defenseValuesObjectOrArray, categoryName, categoryElementKey, isCategoryHiddenByFlag, isGM, hiddenElements, customStringFromActorTraits) {
+function _getSingleDefenseCategoryItem(defenseValuesObjectOrArray, categoryName, categoryElementKey, isCategoryHiddenByFlag, isGM, hiddenElements, customStringFromActorTraits, visibilityDefaults = null, placeholder = FALLBACK_PLACEHOLDER, revealLevels = {}) {
   let processedTraitValues = []; // e.g., ["fire", "cold"]
   if (defenseValuesObjectOrArray instanceof Set) {
     processedTraitValues = Array.from(defenseValuesObjectOrArray);
@@ -1315,10 +1816,20 @@ function _getSingleDefenseCategoryItem(defenseValuesObjectOrArray, categoryName,
       populateAllPotentialTags(customItems, true);
   }
 
+  // Type-unknown level: the player knows there is a defense, but not against what
+  const unknownTypeName = game.i18n.localize("INSPECTSTATBLOCK.RevealedDefenseUnknown");
+  const getPartialTag = gmTag => ({
+    id: gmTag.elementKey,
+    name: unknownTypeName,
+    isPartial: true,
+    elementKey: gmTag.elementKey,
+    isHiddenGM: false,
+  });
+
   // Now, process for display based on GM/Player and placeholderMode
   if (isGM) {
     allPotentialGmTags.forEach(gmTag => {
-        const isTagHiddenByGM = _shouldHideElement(gmTag.elementKey, hiddenElements, true);
+        const isTagHiddenByGM = _shouldHideElement(gmTag.elementKey, hiddenElements, true, visibilityDefaults);
         individualTagItems.push({
             id: gmTag.elementKey,
             name: gmTag.name, // GM always sees real name
@@ -1330,23 +1841,33 @@ function _getSingleDefenseCategoryItem(defenseValuesObjectOrArray, categoryName,
   } else { // Player view
     if (placeholderMode === "individualPlaceholders") {
         allPotentialGmTags.forEach(gmTag => {
-            const isTagHiddenForPlayer = _shouldHideElement(gmTag.elementKey, hiddenElements, false);
+            const isTagHiddenForPlayer = _shouldHideElement(gmTag.elementKey, hiddenElements, false, visibilityDefaults);
+            if (_isPartiallyRevealed(gmTag.elementKey, isTagHiddenForPlayer, revealLevels)) {
+                individualTagItems.push(getPartialTag(gmTag));
+                rawTagStrings.push(unknownTypeName);
+                return;
+            }
+            if (isTagHiddenForPlayer && placeholder.omit) return;
             individualTagItems.push({
                 id: gmTag.elementKey, 
-                name: isTagHiddenForPlayer ? "??" : gmTag.name,
+                name: isTagHiddenForPlayer ? placeholder.html : gmTag.name,
+                isConcealed: isTagHiddenForPlayer,
                 elementKey: gmTag.elementKey, 
                 isHiddenGM: false, // Player view should not use this flag for styling themselves
             });
             if (!isTagHiddenForPlayer) rawTagStrings.push(gmTag.name);
-            else rawTagStrings.push("??"); 
+            else rawTagStrings.push(placeholder.text); 
       });
         // In individualPlaceholders mode: if there are NO defenses at all, show nothing (no placeholders)
         // Only show placeholders for defenses that actually exist but are hidden
     } else if (placeholderMode === "persistentSinglePlaceholder") {
         // Show all visible defenses
         allPotentialGmTags.forEach(gmTag => {
-            const isTagHiddenForPlayer = _shouldHideElement(gmTag.elementKey, hiddenElements, false);
-            if (!isTagHiddenForPlayer) {
+            const isTagHiddenForPlayer = _shouldHideElement(gmTag.elementKey, hiddenElements, false, visibilityDefaults);
+            if (_isPartiallyRevealed(gmTag.elementKey, isTagHiddenForPlayer, revealLevels)) {
+                individualTagItems.push(getPartialTag(gmTag));
+                rawTagStrings.push(unknownTypeName);
+            } else if (!isTagHiddenForPlayer) {
                 individualTagItems.push({
                     id: gmTag.elementKey,
                     name: gmTag.name,
@@ -1356,16 +1877,19 @@ function _getSingleDefenseCategoryItem(defenseValuesObjectOrArray, categoryName,
                 rawTagStrings.push(gmTag.name);
             }
         });
-        // ALWAYS add exactly one persistent "??" to keep it ambiguous
+        // ALWAYS add exactly one persistent placeholder to keep it ambiguous, unless placeholders are omitted
         // This happens regardless of whether there are any defenses at all
-        individualTagItems.push({
-            id: categoryElementKey + "-persistent-placeholder",
-            name: "??",
-            elementKey: categoryElementKey + "-persistent-placeholder", // Non-interactive key
-            isPlaceholder: true, // For template styling/logic
-            isHiddenGM: false, // Not relevant for GM styling, always visible to player in this mode
-        });
-        rawTagStrings.push("??"); // For tooltip
+        if (!placeholder.omit) {
+            individualTagItems.push({
+                id: categoryElementKey + "-persistent-placeholder",
+                name: placeholder.html,
+                isConcealed: true,
+                elementKey: categoryElementKey + "-persistent-placeholder", // Non-interactive key
+                isPlaceholder: true, // For template styling/logic
+                isHiddenGM: false, // Not relevant for GM styling, always visible to player in this mode
+            });
+            rawTagStrings.push(placeholder.text); // For tooltip
+        }
     }
     
     // REMOVED: The problematic logic that added ?? even when no defenses exist
@@ -1384,7 +1908,7 @@ function _getSingleDefenseCategoryItem(defenseValuesObjectOrArray, categoryName,
     subText: (individualTagItems.length === 0 && displayedCategoryName !== "??" && isGM) ? game.i18n.localize("None") : "", // Show "None" for GM if category is empty
     elementKey: categoryElementKey,
     isHiddenGM: isGM && isCategoryHiddenByFlag, 
-    nativeTooltipText: isGM ? `${categoryName}: ${rawTagStrings.join(', ') || game.i18n.localize("None")}` : `${categoryName}: ${rawTagStrings.join(', ') || "??"}` // Player tooltip shows ?? if empty
+    nativeTooltipText: isGM ? `${categoryName}: ${rawTagStrings.join(', ') || game.i18n.localize("None")}` : `${categoryName}: ${rawTagStrings.join(', ') || placeholder.text}` // Player tooltip shows the placeholder if empty
   };
 }
 
@@ -1393,10 +1917,13 @@ function _getSingleDefenseCategoryItem(defenseValuesObjectOrArray, categoryName,
  * @param {Actor} actor - The D&D 5e actor document.
  * @param {object} hiddenElements - The hiddenElements flag object.
  * @param {boolean} isGM - Whether the current user is a GM.
+ * @param {object|null} [visibilityDefaults=null] - The creature's default visibility settings.
+ * @param {object} [placeholder] - The features placeholder (see _getPlaceholders).
+ * @param {object} [revealLevels={}] - Partial reveal levels for the player view.
  * @returns {SIDS.StatblockSection}
  * @private
  */
-function _getPassiveFeaturesData(actor, hiddenElements, isGM) {
+function _getPassiveFeaturesData(actor, hiddenElements, isGM, visibilityDefaults = null, placeholder = FALLBACK_PLACEHOLDER, revealLevels = {}) {
   const sectionElementKey = "section-passive-features";
   const featuresSection = {
     title: "Passive Traits",
@@ -1404,7 +1931,7 @@ function _getPassiveFeaturesData(actor, hiddenElements, isGM) {
     isEmpty: true,
     sectionClasses: "passive-features-section",
     elementKey: sectionElementKey,
-    isHiddenGM: isGM && _shouldHideElement(sectionElementKey, hiddenElements, isGM)
+    isHiddenGM: isGM && _shouldHideElement(sectionElementKey, hiddenElements, isGM, visibilityDefaults)
   };
 
   // List of common D&D 5e actions that should be excluded from passive features
@@ -1438,8 +1965,11 @@ function _getPassiveFeaturesData(actor, hiddenElements, isGM) {
 
   for (const item of passiveFeatureItems) {
     const elementKey = `feature-${item.id}`;
-    const isFeatureHiddenForPlayer = !isGM && _shouldHideElement(elementKey, hiddenElements, isGM);
-    const featureIsHiddenByGM = isGM && _shouldHideElement(elementKey, hiddenElements, isGM);
+    const isFeatureHiddenForPlayer = !isGM && _shouldHideElement(elementKey, hiddenElements, isGM, visibilityDefaults);
+    const featureIsHiddenByGM = isGM && _shouldHideElement(elementKey, hiddenElements, isGM, visibilityDefaults);
+    // Name-only level: the name and icon are shown, the description stays hidden
+    const isNameOnly = _isPartiallyRevealed(elementKey, isFeatureHiddenForPlayer, revealLevels);
+    if (isFeatureHiddenForPlayer && !isNameOnly && placeholder.omit) continue;
 
     // DEBUG LOG:
     if (isGM) {
@@ -1454,8 +1984,10 @@ function _getPassiveFeaturesData(actor, hiddenElements, isGM) {
 
     featuresSection.items.push({
       id: item.id,
-      name: isFeatureHiddenForPlayer ? "??" : item.name,
-      icon: isFeatureHiddenForPlayer ? "" : item.img,
+      name: (isFeatureHiddenForPlayer && !isNameOnly) ? placeholder.html : item.name,
+      isConcealed: isFeatureHiddenForPlayer && !isNameOnly,
+      isPartial: isNameOnly,
+      icon: (isFeatureHiddenForPlayer && !isNameOnly) ? "" : item.img,
       // Enhanced: Keep full HTML for rich tooltips instead of stripping tags
       descriptionHTML: isFeatureHiddenForPlayer ? "" : (item.system.description?.value || ""),
       // subText: typically not used for passive features in this context
@@ -1499,14 +2031,15 @@ function _getPassiveFeaturesData(actor, hiddenElements, isGM) {
           value: item.system.weight || 0
         } : null
       },
-      nativeTooltipText: isFeatureHiddenForPlayer ? "" : item.name,
+      nativeTooltipText: (isFeatureHiddenForPlayer && !isNameOnly) ? "" : item.name,
     });
   }
   
   // sectionClasses is already set on featuresSection init
 
-  // isEmpty reflects original presence of items. Player view of all "??" is handled by template.
-  if (featuresSection.items.length === 0) featuresSection.isEmpty = true; 
+  // isEmpty reflects original presence of items. Player view of all placeholders is handled by template.
+  // Omitted features leave no items; the section is then left out rather than shown as empty.
+  if (featuresSection.items.length === 0 && !placeholder.omit) featuresSection.isEmpty = true; 
 
   return featuresSection;
 }
@@ -1516,10 +2049,13 @@ function _getPassiveFeaturesData(actor, hiddenElements, isGM) {
  * @param {Actor} actor - The D&D 5e actor document.
  * @param {object} hiddenElements - The hiddenElements flag object.
  * @param {boolean} isGM - Whether the current user is a GM.
+ * @param {object|null} [visibilityDefaults=null] - The creature's default visibility settings.
+ * @param {object} [placeholder] - The features placeholder (see _getPlaceholders).
+ * @param {object} [revealLevels={}] - Partial reveal levels for the player view.
  * @returns {SIDS.StatblockSection}
  * @private
  */
-function _getActiveFeaturesData(actor, hiddenElements, isGM) {
+function _getActiveFeaturesData(actor, hiddenElements, isGM, visibilityDefaults = null, placeholder = FALLBACK_PLACEHOLDER, revealLevels = {}) {
   const sectionElementKey = "section-active-features";
   const featuresSection = {
     title: "Active Features",
@@ -1527,7 +2063,7 @@ function _getActiveFeaturesData(actor, hiddenElements, isGM) {
     isEmpty: true,
     sectionClasses: "active-features-section",
     elementKey: sectionElementKey,
-    isHiddenGM: isGM && _shouldHideElement(sectionElementKey, hiddenElements, isGM)
+    isHiddenGM: isGM && _shouldHideElement(sectionElementKey, hiddenElements, isGM, visibilityDefaults)
   };
 
   const activeFeatureItems = (actor.items || []).filter(item => {
@@ -1545,13 +2081,17 @@ function _getActiveFeaturesData(actor, hiddenElements, isGM) {
 
   for (const item of activeFeatureItems) {
     const elementKey = `active-feature-${item.id}`;
-    const isHiddenForPlayer = !isGM && _shouldHideElement(elementKey, hiddenElements, isGM);
-    const isHiddenByGM = isGM && _shouldHideElement(elementKey, hiddenElements, isGM);
+    const isHiddenForPlayer = !isGM && _shouldHideElement(elementKey, hiddenElements, isGM, visibilityDefaults);
+    const isHiddenByGM = isGM && _shouldHideElement(elementKey, hiddenElements, isGM, visibilityDefaults);
+    const isNameOnly = _isPartiallyRevealed(elementKey, isHiddenForPlayer, revealLevels);
+    if (isHiddenForPlayer && !isNameOnly && placeholder.omit) continue;
 
     featuresSection.items.push({
       id: item.id,
-      name: isHiddenForPlayer ? "??" : item.name,
-      icon: isHiddenForPlayer ? "" : item.img,
+      name: (isHiddenForPlayer && !isNameOnly) ? placeholder.html : item.name,
+      isConcealed: isHiddenForPlayer && !isNameOnly,
+      isPartial: isNameOnly,
+      icon: (isHiddenForPlayer && !isNameOnly) ? "" : item.img,
       descriptionHTML: isHiddenForPlayer ? "" : (item.system.description?.value || ""),
       elementKey,
       isHiddenGM: isHiddenByGM,
@@ -1580,7 +2120,7 @@ function _getActiveFeaturesData(actor, hiddenElements, isGM) {
           save: activity.save
         })) : []
       },
-      nativeTooltipText: isHiddenForPlayer ? "" : item.name,
+      nativeTooltipText: (isHiddenForPlayer && !isNameOnly) ? "" : item.name,
     });
   }
 
@@ -1677,108 +2217,140 @@ function getSystemSectionDefinitions() {
       name: i18n.localize("DND5E.Name"),
       type: 'single',
       keyPattern: "header-name",
+      category: 'header',
       defaultShowSettingKey: "dnd5e-showDefault-headerName"
     },
     headerCrLevel: {
       name: i18n.localize("DND5E.CR") + "/" + i18n.localize("DND5E.Level"),
       type: 'single',
       keyPattern: "header-crlevel",
+      category: 'header',
       defaultShowSettingKey: "dnd5e-showDefault-headerCrLevel"
     },
     headerSize: {
       name: i18n.localize("DND5E.Size"),
       type: 'single',
       keyPattern: "header-size",
+      category: 'header',
       defaultShowSettingKey: "dnd5e-showDefault-headerSize"
     },
     headerType: {
       name: i18n.localize("DND5E.CreatureType") + " / " + i18n.localize("DND5E.Class"),
       type: 'single',
       keyPattern: "header-type",
+      category: 'header',
       defaultShowSettingKey: "dnd5e-showDefault-headerType"
     },
     ac: {
       name: i18n.localize("DND5E.ArmorClass"),
       type: 'single',
       keyPattern: "section-ac",
+      category: 'combat',
       defaultShowSettingKey: "dnd5e-showDefault-ac"
     },
     movementWalk: {
       name: i18n.localize("DND5E.MovementWalk") || "Walk Speed",
       type: 'single',
       keyPattern: "movement-walk",
+      category: 'movement',
       defaultShowSettingKey: "dnd5e-showDefault-movementWalk"
     },
     movementFly: {
       name: i18n.localize("DND5E.MovementFly") || "Fly Speed",
       type: 'single',
       keyPattern: "movement-fly",
+      category: 'movement',
       defaultShowSettingKey: "dnd5e-showDefault-movementFly"
     },
     movementSwim: {
       name: i18n.localize("DND5E.MovementSwim") || "Swim Speed",
       type: 'single',
       keyPattern: "movement-swim",
+      category: 'movement',
       defaultShowSettingKey: "dnd5e-showDefault-movementSwim"
     },
     movementClimb: {
       name: i18n.localize("DND5E.MovementClimb") || "Climb Speed",
       type: 'single',
       keyPattern: "movement-climb",
+      category: 'movement',
       defaultShowSettingKey: "dnd5e-showDefault-movementClimb"
     },
     movementBurrow: {
       name: i18n.localize("DND5E.MovementBurrow") || "Burrow Speed",
       type: 'single',
       keyPattern: "movement-burrow",
+      category: 'movement',
       defaultShowSettingKey: "dnd5e-showDefault-movementBurrow"
     },
     health: {
       name: i18n.localize("DND5E.HitPoints"),
       type: 'single',
       keyPattern: "section-hp",
+      category: 'combat',
       defaultShowSettingKey: "dnd5e-showDefault-health"
     },
+    healthTemp: {
+      name: i18n.localize("DND5E.HitPointsTemp") || "Temporary HP",
+      type: 'single',
+      keyPattern: "hp-temp",
+      category: 'combat',
+      defaultShowSettingKey: "dnd5e-showDefault-healthTemp"
+    },
+    healthMaxModifier: {
+      name: i18n.localize("DND5E.HitPointsTempMax") || "Max HP Modifier",
+      type: 'single',
+      keyPattern: "hp-max-modifier",
+      category: 'combat',
+      defaultShowSettingKey: "dnd5e-showDefault-healthMaxModifier"
+    },
     abilityStr: {
       name: i18n.localize("DND5E.AbilityStr") || "Strength",
       type: 'single',
       keyPattern: "ability-str",
+      category: 'abilities',
       defaultShowSettingKey: "dnd5e-showDefault-abilityStr"
     },
     abilityDex: {
       name: i18n.localize("DND5E.AbilityDex") || "Dexterity",
       type: 'single',
       keyPattern: "ability-dex",
+      category: 'abilities',
       defaultShowSettingKey: "dnd5e-showDefault-abilityDex"
     },
     abilityCon: {
       name: i18n.localize("DND5E.AbilityCon") || "Constitution",
       type: 'single',
       keyPattern: "ability-con",
+      category: 'abilities',
       defaultShowSettingKey: "dnd5e-showDefault-abilityCon"
     },
     abilityInt: {
       name: i18n.localize("DND5E.AbilityInt") || "Intelligence",
       type: 'single',
       keyPattern: "ability-int",
+      category: 'abilities',
       defaultShowSettingKey: "dnd5e-showDefault-abilityInt"
     },
     abilityWis: {
       name: i18n.localize("DND5E.AbilityWis") || "Wisdom",
       type: 'single',
       keyPattern: "ability-wis",
+      category: 'abilities',
       defaultShowSettingKey: "dnd5e-showDefault-abilityWis"
     },
     abilityCha: {
       name: i18n.localize("DND5E.AbilityCha") || "Charisma",
       type: 'single',
       keyPattern: "ability-cha",
+      category: 'abilities',
       defaultShowSettingKey: "dnd5e-showDefault-abilityCha"
     },
     activeEffectsSection: {
         name: i18n.localize("DND5E.Effects"),
         type: 'single',
         keyPattern: "section-active-effects",
+        category: 'features',
         defaultShowSettingKey: "dnd5e-showDefault-activeEffectsSection"
     },
     // defensesSection is no longer needed here as the main "Defenses" title is not toggleable.
@@ -1793,41 +2365,126 @@ function getSystemSectionDefinitions() {
         name: i18n.localize("DND5E.DamRes"),
         type: 'single',
         keyPattern: "def-resistances",
+        category: 'defenses',
         defaultShowSettingKey: "dnd5e-showDefault-defenseResistances"
     },
     defenseImmunities: {
         name: i18n.localize("DND5E.DamImm"),
         type: 'single',
         keyPattern: "def-immunities",
+        category: 'defenses',
         defaultShowSettingKey: "dnd5e-showDefault-defenseImmunities"
     },
     defenseVulnerabilities: {
         name: i18n.localize("DND5E.DamVuln"),
         type: 'single',
         keyPattern: "def-vulnerabilities",
+        category: 'defenses',
         defaultShowSettingKey: "dnd5e-showDefault-defenseVulnerabilities"
     },
     defenseConditions: {
         name: i18n.localize("DND5E.ConImm"),
         type: 'single',
         keyPattern: "def-conditionimmunities",
+        category: 'defenses',
         defaultShowSettingKey: "dnd5e-showDefault-defenseConditions"
     },
     passiveFeaturesSection: {
         name: i18n.localize("DND5E.Features") + " (Passive)",
         type: 'single',
         keyPattern: "section-passive-features",
+        category: 'features',
         defaultShowSettingKey: "dnd5e-showDefault-passiveFeaturesSection"
     },
     activeFeaturesSection: {
         name: i18n.localize("DND5E.Features") + " (Active)",
         type: 'single',
         keyPattern: "section-active-features",
+        category: 'features',
         defaultShowSettingKey: "dnd5e-showDefault-activeFeaturesSection"
     }
   };
 }
 
+/**
+ * Categories grouping the D&D 5e section definitions in the default visibility configuration, in display order.
+ * Implements the getSectionCategories method of the SystemHandler interface.
+ * @returns {Record<string, {name: string, icon: string, hint: string}>}
+ */
+function getSectionCategories() {
+  return {
+    header: { name: 'Header Information', icon: 'fas fa-id-card', hint: 'Basic creature identification and stats' },
+    combat: { name: 'Combat Stats', icon: 'fas fa-shield-alt', hint: 'Armor class and health information' },
+    movement: { name: 'Movement Speeds', icon: 'fas fa-running', hint: 'Various movement types and speeds' },
+    abilities: { name: 'Ability Scores', icon: 'fas fa-dice-d20', hint: 'Strength, Dexterity, Constitution, Intelligence, Wisdom, Charisma' },
+    defenses: { name: 'Defenses', icon: 'fas fa-shield', hint: 'Damage resistances, immunities, vulnerabilities, and condition immunities' },
+    features: { name: 'Features & Effects', icon: 'fas fa-magic', hint: 'Active Effects, Passive Traits, and Active Features' }
+  };
+}
+
+/**
+ * Sections with their own placeholder style for hidden values, listed under the given categories of the
+ * default visibility configuration.
+ * Implements the getPlaceholderSections method of the SystemHandler interface.
+ * @returns {Record<string, {name: string, category: string}>}
+ */
+function getPlaceholderSections() {
+  return {
+    header: { name: 'Header', category: 'header' },
+    ac: { name: 'Armor Class', category: 'combat' },
+    hp: { name: 'Health', category: 'combat' },
+    movement: { name: 'Movement', category: 'movement' },
+    abilities: { name: 'Ability Scores', category: 'abilities' },
+    defenses: { name: 'Defenses', category: 'defenses' },
+    effects: { name: 'Active Effects', category: 'features' },
+    features: { name: 'Features', category: 'features' }
+  };
+}
+
+/**
+ * Source data of the example creature shown in the default visibility preview when no world actor is
+ * selected. It has every kind of element the defaults cover: all movement types, defenses of each
+ * category, an active effect and passive and active features.
+ * Implements the getPreviewActorData method of the SystemHandler interface.
+ * @returns {object} Actor source data.
+ */
+function getPreviewActorData() {
+  return {
+    name: 'Marsh Troll (Example)',
+    type: 'npc',
+    img: 'icons/svg/mystery-man.svg',
+    system: {
+      abilities: { str: { value: 18 }, dex: { value: 13 }, con: { value: 20 }, int: { value: 7 }, wis: { value: 9 }, cha: { value: 7 } },
+      attributes: {
+        ac: { flat: 15, calc: 'natural' },
+        hp: { value: 62, max: 84, temp: 8, tempmax: -10 },
+        movement: { walk: 30, swim: 30, climb: 20, fly: 0, burrow: 10 }
+      },
+      details: { cr: 5, type: { value: 'giant' } },
+      traits: {
+        size: 'lg',
+        dr: { value: ['cold', 'poison'] },
+        di: { value: ['acid'] },
+        dv: { value: ['fire'] },
+        ci: { value: ['frightened'] }
+      }
+    },
+    items: [
+      { _id: 'isbPreviewRegen0', name: 'Regeneration', type: 'feat', system: { description: { value: '<p>The troll regains 10 hit points at the start of its turn.</p>' } } },
+      {
+        _id: 'isbPreviewBite00', name: 'Bite', type: 'feat',
+        system: {
+          description: { value: '<p>Melee Weapon Attack: +7 to hit, reach 5 ft., one target.</p>' },
+          activities: { isbPreviewAttack: { _id: 'isbPreviewAttack', type: 'attack' } }
+        }
+      }
+    ],
+    effects: [
+      { _id: 'isbPreviewEffect', name: 'Mud-Slick Hide', img: 'icons/svg/aura.svg', transfer: false, changes: [] }
+    ]
+  };
+}
+
 /**
  * D&D 5e System Handler
  * An object implementing the SystemHandler interface for the D&D 5th Edition game system.
@@ -1837,6 +2494,10 @@ export const Dnd5eHandler = {
 
   getStandardizedActorData,
   getSystemSectionDefinitions,
+  getRevealLevels,
+  getSectionCategories,
+  getPlaceholderSections,
+  getPreviewActorData,
   
   /**
    * Registers D&D 5e specific settings.
@@ -1845,6 +2506,133 @@ export const Dnd5eHandler = {
     registerDnd5eSettings();
   },
 
+  /**
+   * Whether an element is hidden when no GM override is stored for it.
+   * @param {string} elementKey - The element key.
+   * @param {Actor|null} [actor=null] - The creature, to apply the matching visibility rules.
+   * @param {TokenDocument|null} [tokenDoc=null] - The creature's token, if any.
+   * @returns {boolean} True if hidden by default.
+   */
+  getDefaultHiddenState(elementKey, actor = null, tokenDoc = null) {
+    return _getDefaultHiddenState(elementKey, actor ? _getVisibilityDefaults(actor, tokenDoc) : null);
+  },
+
+  /**
+   * Describes the creature attributes default visibility rules can match.
+   * @returns {Array<{key: string, label: string, type: string, choices?: object}>} `type` is 'choice' or 'number'.
+   */
+  getRuleAttributeDefinitions() {
+    return [
+      { key: 'type', label: 'Creature Type', type: 'choice', choices: _localizeChoices(CONFIG.DND5E.creatureTypes) },
+      { key: 'cr', label: 'Challenge Rating', type: 'number' },
+      { key: 'disposition', label: 'Token Disposition', type: 'choice', choices: { friendly: 'Friendly', neutral: 'Neutral', hostile: 'Hostile', secret: 'Secret' } },
+      { key: 'folder', label: 'Actor Folder', type: 'choice', choices: Object.fromEntries(game.folders.filter(f => f.type === 'Actor').map(f => [f.name, f.name])) }
+    ];
+  },
+
+  /**
+   * Gets the attributes of a creature that default visibility rules are matched against.
+   * @param {Actor} actor - The D&D 5e actor document.
+   * @param {TokenDocument|null} [tokenDoc=null] - The creature's token, if any.
+   * @returns {{type: string|null, cr: number|null, disposition: string|null, folder: string|null}}
+   */
+  getRuleAttributes(actor, tokenDoc = null) {
+    const disposition = tokenDoc?.disposition ?? actor?.prototypeToken?.disposition;
+    const dispositionName = Object.entries(CONST.TOKEN_DISPOSITIONS).find(([, value]) => value === disposition)?.[0];
+    // Synthetic token actors belong to the folder of their base actor
+    const folderActor = actor?.isToken ? (game.actors.get(actor.id) ?? actor) : actor;
+    return {
+      type: actor?.system?.details?.type?.value || null,
+      cr: actor?.type === 'npc' ? (actor.system.details?.cr ?? null) : null,
+      disposition: dispositionName ? dispositionName.toLowerCase() : null,
+      folder: folderActor?.folder?.name ?? null
+    };
+  },
+
+  /**
+   * Describes the auto-reveal triggers this handler fires. Triggers with a `type` take a value in rules:
+   * 'choice' values match the event's values, 'number' values are compared as given by `compare`.
+   * `relatedLabel` describes the elements revealed by rules revealing related elements.
+   * @returns {Array<{key: string, label: string, type?: string, valueLabel?: string, choices?: object, compare?: string, relatedLabel?: string}>}
+   */
+  getRevealTriggerDefinitions() {
+    const t = key => game.i18n.localize(`INSPECTSTATBLOCK.${key}`);
+    return [
+      { key: 'damage', label: t('TriggerDamage'), type: 'choice', valueLabel: t('TriggerDamageValue'), choices: _localizeChoices(CONFIG.DND5E.damageTypes), relatedLabel: t('TriggerDamageRelated') },
+      { key: 'hpBelow', label: t('TriggerHpBelow'), type: 'number', valueLabel: t('TriggerHpBelowValue'), compare: 'below', relatedLabel: t('TriggerHpBelowRelated') },
+      { key: 'effect', label: t('TriggerEffect'), type: 'choice', valueLabel: t('TriggerEffectValue'), choices: _localizeChoices(CONFIG.DND5E.conditionTypes), relatedLabel: t('TriggerEffectRelated') },
+      { key: 'save', label: t('TriggerSave'), type: 'choice', valueLabel: t('TriggerSaveValue'), choices: _localizeChoices(CONFIG.DND5E.abilities), relatedLabel: t('TriggerSaveRelated') },
+      { key: 'round', label: t('TriggerRound'), type: 'number', valueLabel: t('TriggerRoundValue') },
+      { key: 'defeated', label: t('TriggerDefeated') },
+      { key: 'featureUse', label: t('TriggerFeatureUse'), relatedLabel: t('TriggerFeatureUseRelated') }
+    ];
+  },
+
+  /**
+   * The built-in auto-reveal rules, formerly fixed hooks. The damage and feature rules start as the
+   * former auto-reveal settings were set.
+   * @returns {object[]}
+   */
+  getBuiltInRevealRules() {
+    return [
+      { id: 'dnd5e-damage-defenses', name: 'INSPECTSTATBLOCK.AutoRevealRuleDefenses', trigger: { type: 'damage', value: '' }, reveal: { related: true }, defaultEnabled: game.settings.get(MODULE_ID, 'autoRevealOnDamage') },
+      { id: 'dnd5e-condition-immunities', name: 'INSPECTSTATBLOCK.AutoRevealRuleConditionImmunities', trigger: { type: 'effect', value: '' }, reveal: { related: true }, defaultEnabled: true },
+      { id: 'dnd5e-feature-use', name: 'INSPECTSTATBLOCK.AutoRevealRuleFeatureUse', trigger: { type: 'featureUse', value: '' }, reveal: { related: true }, defaultEnabled: game.settings.get(MODULE_ID, 'autoRevealOnFeatureUse') }
+    ];
+  },
+
+  /**
+   * Gets the element keys a section covers, for auto-reveal rules revealing whole sections: the
+   * section key, plus the tags of a defense category or the entries of a feature or effect section.
+   * @param {string} sectionId - The section (see getSystemSectionDefinitions).
+   * @param {Actor} actor - The D&D 5e actor document.
+   * @param {string[]} toggleableKeys - Every toggleable element key of the actor.
+   * @returns {string[]}
+   */
+  getSectionElementKeys(sectionId, actor, toggleableKeys) {
+    const def = this.getSystemSectionDefinitions()[sectionId];
+    if (!def) return [];
+    const defenseCategory = /^def-(\w+)$/.exec(def.keyPattern)?.[1];
+    const itemPrefix = {
+      'section-active-effects': 'effect-',
+      'section-passive-features': 'feature-',
+      'section-active-features': 'active-feature-'
+    }[def.keyPattern];
+    return [def.keyPattern, ...toggleableKeys.filter(key =>
+      (defenseCategory && key.startsWith(`def-tag-${defenseCategory}-`)) || (itemPrefix && key.startsWith(itemPrefix)))];
+  },
+
+  /**
+   * Upgrades element keys written by older versions of the module to the current key format.
+   * @param {object} hiddenElements - A copy of the stored hiddenElements flag.
+   * @param {Actor|null} actor - The actor the flags belong to.
+   * @returns {object} The upgraded hiddenElements map.
+   */
+  migrateElementKeys(hiddenElements, actor) {
+    return _migrateLegacyElementKeys(hiddenElements);
+  },
+
+  /**
+   * Folds the legacy single "Defenses" default into the four defense category defaults.
+   * @returns {Promise<boolean>} True if the default visibility settings were changed.
+   */
+  async migrateDefaultVisibilitySettings() {
+    const settings = foundry.utils.deepClone(game.settings.get(MODULE_ID, 'defaultVisibilitySettings') || {});
+    const legacyKey = 'dnd5e-showDefault-defensesSection';
+    if (!(legacyKey in settings)) return false;
+
+    if (settings[legacyKey] === false) {
+      for (const key of ['dnd5e-showDefault-defenseResistances', 'dnd5e-showDefault-defenseImmunities',
+        'dnd5e-showDefault-defenseVulnerabilities', 'dnd5e-showDefault-defenseConditions']) {
+        settings[key] = false;
+      }
+    }
+    delete settings[legacyKey];
+    console.log(`${MODULE_ID} | Migrated legacy Defenses default visibility setting`);
+    await game.settings.set(MODULE_ID, 'defaultVisibilitySettings', settings);
+    return true;
+  },
+
   /**
    * Gets the default ability keys for D&D 5e.
    * @returns {Array<string>} Array of ability keys.
@@ -1994,6 +2782,124 @@ export const Dnd5eHandler = {
     return Array.from(itemKeys);
   },
 
+  /**
+   * Gets the key identifying the creature source of an actor, used to share knowledge between
+   * actors of the same creature. Prefers the compendium source, then the dnd5e identifier.
+   * @param {Actor} actor - The D&D 5e actor document.
+   * @returns {string|null} The source key, or null if the actor has no known source.
+   */
+  getKnowledgeSourceKey(actor) {
+    const compendiumSource = actor?._stats?.compendiumSource || actor?.flags?.core?.sourceId;
+    if (compendiumSource) return compendiumSource;
+    const identifier = actor?.system?.identifier;
+    if (identifier) return `dnd5e.${identifier}`;
+    return null;
+  },
+
+  /**
+   * Gets a readable label of an element key, e.g. "Damage Resistances: Fire" or a feature's name.
+   * @param {Actor} actor - The D&D 5e actor document the key belongs to.
+   * @param {string} elementKey - The element key.
+   * @returns {string}
+   */
+  getElementLabel(actor, elementKey) {
+    return _getElementLabel(actor, elementKey);
+  },
+
+  /**
+   * Converts an element key into a key that stays stable across actors of the same creature.
+   * Item and effect keys embed document IDs, so they are re-keyed by identifier or name.
+   * @param {Actor} actor - The D&D 5e actor document the key belongs to.
+   * @param {string} elementKey - The element key (e.g. "feature-<itemId>").
+   * @returns {string|null} The portable key, or null if the referenced document no longer exists.
+   */
+  getPortableElementKey(actor, elementKey) {
+    const match = /^(feature|active-feature|effect)-(.+)$/.exec(elementKey);
+    if (!match) return elementKey;
+    const [, prefix, id] = match;
+
+    if (prefix === 'effect') {
+      const effect = actor?.effects?.get(id);
+      return effect ? `effect@${toKey(effect.name)}` : null;
+    }
+    const item = actor?.items?.get(id);
+    return item ? `${prefix}@${item.system?.identifier || toKey(item.name)}` : null;
+  },
+
+  /**
+   * Resolves a portable key (see getPortableElementKey) back into an element key of the given actor.
+   * @param {Actor} actor - The D&D 5e actor document.
+   * @param {string} portableKey - The portable key (e.g. "feature@packtactics").
+   * @returns {string|null} The element key, or null if the actor has no matching item or effect.
+   */
+  resolvePortableElementKey(actor, portableKey) {
+    const match = /^(feature|active-feature|effect)@(.+)$/.exec(portableKey);
+    if (!match) return portableKey;
+    const [, prefix, name] = match;
+
+    if (prefix === 'effect') {
+      const effect = actor?.effects?.find(e => toKey(e.name) === name);
+      return effect ? `effect-${effect.id}` : null;
+    }
+    const item = actor?.items?.find(i => (i.system?.identifier || toKey(i.name)) === name);
+    return item ? `${prefix}-${item.id}` : null;
+  },
+
+  /**
+   * Gets the knowledge check configured for the creature type of an actor.
+   * @param {Actor} actor - The D&D 5e actor document.
+   * @returns {{skill: string, dc: number}|null} The check, or null if the creature type has none.
+   */
+  getKnowledgeCheck(actor) {
+    if (actor?.type !== 'npc') return null;
+    const creatureType = actor.system?.details?.type?.value;
+    if (!creatureType) return null;
+    const check = game.settings.get(MODULE_ID, 'dnd5e-knowledgeChecks')?.[creatureType];
+    return check?.skill ? check : null;
+  },
+
+  /**
+   * Rolls the knowledge check for an actor as the current player. The roll is made by a controlled
+   * owned token's actor, falling back to the user's assigned character, and is resolved by the active GM.
+   * @param {Actor} actor - The actor being inspected.
+   * @param {Token|null} token - The inspected token, if any.
+   * @returns {Promise<void>}
+   */
+  async rollKnowledgeCheck(actor, token) {
+    const check = this.getKnowledgeCheck(actor);
+    if (!check) return;
+
+    const roller = canvas.tokens?.controlled.find(t => t.actor?.isOwner && t.actor !== actor)?.actor ?? game.user.character;
+    if (!roller?.rollSkill) {
+      ui.notifications.warn(game.i18n.localize('INSPECTSTATBLOCK.KnowledgeCheckNoCharacter'));
+      return;
+    }
+    if (!game.users.activeGM) {
+      ui.notifications.warn(game.i18n.localize('INSPECTSTATBLOCK.KnowledgeCheckNoGM'));
+      return;
+    }
+
+    const knowledgeCheck = { actorUuid: actor.uuid, tokenUuid: token?.document?.uuid ?? null, dc: check.dc };
+    console.log(`${MODULE_ID} | ${roller.name} rolls a knowledge check (${check.skill}) about ${actor.name}`);
+    await roller.rollSkill({ skill: check.skill }, {}, { data: { flags: { [MODULE_ID]: { knowledgeCheck } } } });
+  },
+
+  /**
+   * Performs an action requested through InspectStatblockCore.requestHandlerAction, on the active GM.
+   * @param {string} name - The action: 'recordAttackResult' ({ actorUuid, tokenUuid, total, hit }).
+   * @param {object} data - The data of the action.
+   * @param {string} userId - The requesting user.
+   * @returns {Promise<boolean>} Whether the action was performed.
+   */
+  async handleSocketAction(name, data, userId) {
+    if (name !== 'recordAttackResult') return false;
+    if (!game.settings.get(MODULE_ID, 'dnd5e-inferAcFromAttacks')) return false;
+    const actor = await fromUuid(data.actorUuid);
+    if (actor?.documentName !== 'Actor') return false;
+    const tokenDoc = data.tokenUuid ? await fromUuid(data.tokenUuid) : null;
+    return _recordAttackResult(actor, tokenDoc, Number(data.total), data.hit === true);
+  },
+
   /**
    * Accessor for the DND5E config labels on the global CONFIG object.
    */
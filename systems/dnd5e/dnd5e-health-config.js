@@ -0,0 +1,195 @@
+const MODULE_ID = 'inspect-statblock';
+
+/** Actor flag holding the HP display mode of one creature. Unset: the world default applies. */
+export const HP_DISPLAY_MODE_FLAG = 'hpDisplayMode';
+
+/**
+ * How players see revealed hit points.
+ * @type {Object<string, string>}
+ */
+export const HP_DISPLAY_MODES = {
+    numbers: 'Exact Numbers',
+    descriptive: 'Descriptive State'
+};
+
+/**
+ * Default HP descriptors. A creature gets the first descriptor whose threshold (percent of its
+ * maximum HP) it is at or above; only a creature at 0 HP is below 1%.
+ */
+export const DEFAULT_HEALTH_DESCRIPTORS = [
+    { label: 'Unhurt', threshold: 100 },
+    { label: 'Scratched', threshold: 75 },
+    { label: 'Bloodied', threshold: 50 },
+    { label: 'Near Death', threshold: 1 },
+    { label: 'Dead', threshold: 0 }
+];
+
+/**
+ * The HP display mode of a creature: its own, or the world default.
+ * @param {Actor|null} actor - The actor.
+ * @returns {string} A key of HP_DISPLAY_MODES.
+ */
+export function getHealthDisplayMode(actor) {
+    const mode = actor?.getFlag(MODULE_ID, HP_DISPLAY_MODE_FLAG);
+    if (mode in HP_DISPLAY_MODES) return mode;
+    const worldMode = game.settings.get(MODULE_ID, 'dnd5e-hpDisplayMode');
+    return worldMode in HP_DISPLAY_MODES ? worldMode : 'numbers';
+}
+
+/**
+ * The descriptor of a creature's health, e.g. "Bloodied".
+ * @param {number} value - Current HP.
+ * @param {number} max - Maximum HP.
+ * @param {Array<{label: string, threshold: number}>|null} [descriptors=null] - The descriptors. The configured ones when null.
+ * @returns {string}
+ */
+export function getHealthDescriptor(value, max, descriptors = null) {
+    const list = [...(descriptors ?? game.settings.get(MODULE_ID, 'dnd5e-hpDescriptors') ?? DEFAULT_HEALTH_DESCRIPTORS)]
+        .sort((a, b) => b.threshold - a.threshold);
+    if (list.length === 0) return '';
+    const current = Number(value) || 0;
+    const maximum = Number(max) || 0;
+    // Any creature still standing counts as at least 1%, so only 0 HP reaches a 0% descriptor
+    const percent = current <= 0 ? 0 : Math.max(1, Math.floor(maximum > 0 ? current / maximum * 100 : 100));
+    return (list.find(descriptor => percent >= descriptor.threshold) ?? list[list.length - 1]).label;
+}
+
+/**
+ * Asks the GM for the HP display mode of an actor and stores it.
+ * @param {Actor} actor - The actor.
+ * @returns {Promise<boolean>} Whether the mode was changed.
+ */
+export async function promptHealthDisplayMode(actor) {
+    const current = actor.getFlag(MODULE_ID, HP_DISPLAY_MODE_FLAG) ?? '';
+    const worldMode = HP_DISPLAY_MODES[game.settings.get(MODULE_ID, 'dnd5e-hpDisplayMode')] ?? HP_DISPLAY_MODES.numbers;
+    const options = [['', `${game.i18n.localize("INSPECTSTATBLOCK.HealthDisplayWorldDefault")} (${worldMode})`], ...Object.entries(HP_DISPLAY_MODES)]
+        .map(([value, label]) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`);
+
+    const mode = await Dialog.prompt({
+        title: `${game.i18n.localize("INSPECTSTATBLOCK.HealthDisplayTitle")}: ${actor.name}`,
+        content: `<p class="notes">${game.i18n.localize("INSPECTSTATBLOCK.HealthDisplayHint")}</p>
+            <div class="form-group"><select name="hpDisplayMode">${options.join('')}</select></div>`,
+        label: game.i18n.localize("INSPECTSTATBLOCK.HealthDisplaySave"),
+        callback: html => html.find('select[name="hpDisplayMode"]').val(),
+        rejectClose: false
+    });
+    if (mode === null || mode === undefined || mode === current) return false;
+
+    if (mode) await actor.setFlag(MODULE_ID, HP_DISPLAY_MODE_FLAG, mode);
+    else await actor.unsetFlag(MODULE_ID, HP_DISPLAY_MODE_FLAG);
+    return true;
+}
+
+/**
+ * FormApplication for configuring the HP descriptors and their thresholds.
+ */
+export class HealthDescriptorConfigApp extends FormApplication {
+
+    constructor(object = {}, options = {}) {
+        super(object, options);
+        // The rows being edited, kept across re-renders when rows are added or removed
+        this.descriptors = null;
+    }
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'inspect-statblock-health-descriptors',
+            title: 'Configure HP Descriptors',
+            template: 'modules/inspect-statblock/systems/dnd5e/templates/health-descriptor-config.hbs',
+            width: 420,
+            height: 'auto',
+            classes: ['inspect-statblock', 'health-descriptor-config'],
+            closeOnSubmit: true,
+            submitOnChange: false
+        });
+    }
+
+    /**
+     * Prepare data for the template.
+     */
+    async getData(options = {}) {
+        this.descriptors ??= foundry.utils.deepClone(game.settings.get(MODULE_ID, 'dnd5e-hpDescriptors') || DEFAULT_HEALTH_DESCRIPTORS);
+        return {
+            descriptors: [...this.descriptors].sort((a, b) => b.threshold - a.threshold)
+        };
+    }
+
+    /**
+     * Activate event listeners.
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find('[data-action="add-descriptor"]').on('click', this._onAddDescriptor.bind(this));
+        html.find('[data-action="delete-descriptor"]').on('click', this._onDeleteDescriptor.bind(this));
+        html.find('[data-action="reset-descriptors"]').on('click', this._onResetDescriptors.bind(this));
+    }
+
+    /**
+     * Reads the rows from the form.
+     * @returns {Array<{label: string, threshold: number}>}
+     * @private
+     */
+    _readDescriptors() {
+        const expanded = foundry.utils.expandObject(this._getSubmitData());
+        return Object.values(expanded.descriptors || {}).map(row => ({
+            label: String(row.label ?? '').trim(),
+            threshold: Math.clamp(Number(row.threshold) || 0, 0, 100)
+        }));
+    }
+
+    /**
+     * Add an empty row.
+     * @private
+     */
+    _onAddDescriptor(event) {
+        event.preventDefault();
+        this.descriptors = [...this._readDescriptors(), { label: '', threshold: 0 }];
+        this.render();
+    }
+
+    /**
+     * Remove a row.
+     * @private
+     */
+    _onDeleteDescriptor(event) {
+        event.preventDefault();
+        const index = Number(event.currentTarget.closest('[data-index]')?.dataset.index);
+        this.descriptors = this._readDescriptors().filter((row, i) => i !== index);
+        this.render();
+    }
+
+    /**
+     * Restore the default descriptors (saved on submit).
+     * @private
+     */
+    _onResetDescriptors(event) {
+        event.preventDefault();
+        this.descriptors = foundry.utils.deepClone(DEFAULT_HEALTH_DESCRIPTORS);
+        this.render();
+    }
+
+    /**
+     * Handle form submission to save the descriptors.
+     */
+    async _updateObject(event, formData) {
+        const descriptors = Object.values(foundry.utils.expandObject(formData).descriptors || {})
+            .map(row => ({ label: String(row.label ?? '').trim(), threshold: Math.clamp(Number(row.threshold) || 0, 0, 100) }))
+            .filter(row => row.label)
+            .sort((a, b) => b.threshold - a.threshold);
+
+        if (descriptors.length === 0) {
+            ui.notifications.warn('Add at least one HP descriptor.');
+            return;
+        }
+
+        console.log(`${MODULE_ID} | Saving HP descriptors:`, descriptors);
+
+        try {
+            await game.settings.set(MODULE_ID, 'dnd5e-hpDescriptors', descriptors);
+            ui.notifications.info('HP descriptors saved successfully!');
+        } catch (error) {
+            console.error(`${MODULE_ID} | Error saving HP descriptors:`, error);
+            ui.notifications.error('Failed to save HP descriptors. See console for details.');
+        }
+    }
+}
@@ -0,0 +1,92 @@
+const MODULE_ID = 'inspect-statblock';
+
+/**
+ * Default knowledge checks per creature type, loosely following the D&D 5e guidance on
+ * which skill recalls lore about which kind of creature.
+ */
+export const DEFAULT_KNOWLEDGE_CHECKS = {
+    aberration: { skill: 'arc', dc: 15 },
+    beast: { skill: 'nat', dc: 10 },
+    celestial: { skill: 'rel', dc: 15 },
+    construct: { skill: 'arc', dc: 15 },
+    dragon: { skill: 'arc', dc: 15 },
+    elemental: { skill: 'arc', dc: 15 },
+    fey: { skill: 'arc', dc: 15 },
+    fiend: { skill: 'rel', dc: 15 },
+    giant: { skill: 'his', dc: 15 },
+    humanoid: { skill: 'his', dc: 10 },
+    monstrosity: { skill: 'nat', dc: 15 },
+    ooze: { skill: 'nat', dc: 15 },
+    plant: { skill: 'nat', dc: 10 },
+    undead: { skill: 'rel', dc: 15 }
+};
+
+/**
+ * FormApplication for configuring the knowledge check (skill and DC) of each creature type.
+ */
+export class KnowledgeCheckConfigApp extends FormApplication {
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'inspect-statblock-knowledge-config',
+            title: 'Configure Knowledge Checks',
+            template: 'modules/inspect-statblock/systems/dnd5e/templates/knowledge-check-config.hbs',
+            width: 480,
+            height: 'auto',
+            classes: ['inspect-statblock', 'knowledge-check-config'],
+            closeOnSubmit: true,
+            submitOnChange: false
+        });
+    }
+
+    /**
+     * Prepare data for the template.
+     */
+    async getData(options = {}) {
+        const current = game.settings.get(MODULE_ID, 'dnd5e-knowledgeChecks') || {};
+
+        const skills = Object.entries(CONFIG.DND5E.skills || {}).map(([key, skill]) => ({
+            key,
+            label: game.i18n.localize(skill.label ?? skill)
+        }));
+
+        const creatureTypes = Object.entries(CONFIG.DND5E.creatureTypes || {}).map(([key, type]) => {
+            const check = current[key] ?? { skill: '', dc: 15 };
+            return {
+                key,
+                label: game.i18n.localize(type.label ?? type),
+                dc: check.dc,
+                skills: skills.map(s => ({ ...s, selected: s.key === check.skill }))
+            };
+        });
+
+        return {
+            creatureTypes,
+            revealStep: game.settings.get(MODULE_ID, 'dnd5e-knowledgeRevealStep')
+        };
+    }
+
+    /**
+     * Handle form submission to save the knowledge checks.
+     */
+    async _updateObject(event, formData) {
+        const expanded = foundry.utils.expandObject(formData);
+        const checks = {};
+
+        for (const [type, check] of Object.entries(expanded.checks || {})) {
+            if (!check.skill) continue; // No skill selected: no knowledge check for this type
+            checks[type] = { skill: check.skill, dc: Number(check.dc) || 10 };
+        }
+
+        console.log(`${MODULE_ID} | Saving knowledge checks:`, checks);
+
+        try {
+            await game.settings.set(MODULE_ID, 'dnd5e-knowledgeChecks', checks);
+            await game.settings.set(MODULE_ID, 'dnd5e-knowledgeRevealStep', Math.max(1, Number(expanded.revealStep) || 5));
+            ui.notifications.info('Knowledge checks saved successfully!');
+        } catch (error) {
+            console.error(`${MODULE_ID} | Error saving knowledge checks:`, error);
+            ui.notifications.error('Failed to save knowledge checks. See console for details.');
+        }
+    }
+}
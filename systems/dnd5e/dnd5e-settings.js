@@ -1,3 +1,6 @@
+import { KnowledgeCheckConfigApp, DEFAULT_KNOWLEDGE_CHECKS } from './dnd5e-knowledge-config.js';
+import { HealthDescriptorConfigApp, DEFAULT_HEALTH_DESCRIPTORS, HP_DISPLAY_MODES } from './dnd5e-health-config.js';
+
 const MODULE_ID = 'inspect-statblock';
 
 /**
@@ -11,7 +14,7 @@ export function registerDnd5eSettings() {
     // Defense tag placeholder mode setting
     game.settings.register(MODULE_ID, "dnd5e-defensePlaceholderMode", {
         name: "Defense Placeholders",
-        hint: "Controls how hidden defense tags are represented to players. 'Individual': a '??' for each hidden tag. 'Persistent Single': one '??' at the end if any tags are present or hidden.",
+        hint: "Controls how hidden defense tags are represented to players. 'Individual': a placeholder for each hidden tag. 'Persistent Single': one placeholder at the end if any tags are present or hidden. The placeholder itself is set for Defenses in the default visibility menu.",
         scope: "world",
         config: true,
         type: String,
@@ -30,5 +33,91 @@ export function registerDnd5eSettings() {
         }
     });
 
+    // HP display: exact numbers or a descriptor such as "Bloodied" (actors can override it)
+    game.settings.register(MODULE_ID, "dnd5e-hpDisplayMode", {
+        name: "HP Display",
+        hint: "How players see a creature's revealed hit points. 'Descriptive State' shows a descriptor such as Bloodied instead of the numbers; GMs always see the numbers. Individual actors can override this from the actor directory context menu.",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: HP_DISPLAY_MODES,
+        default: "numbers",
+        onChange: () => _rerenderOpenStatblocks()
+    });
+
+    game.settings.registerMenu(MODULE_ID, "dnd5e-hpDescriptorsMenu", {
+        name: "HP Descriptors",
+        label: "Configure HP Descriptors",
+        hint: "Set the descriptors players see for a creature's health and the HP percentage each starts at.",
+        icon: "fas fa-heartbeat",
+        type: HealthDescriptorConfigApp,
+        restricted: true // GM only
+    });
+
+    game.settings.register(MODULE_ID, "dnd5e-hpDescriptors", {
+        scope: "world",
+        config: false,
+        type: Array,
+        default: DEFAULT_HEALTH_DESCRIPTORS,
+        onChange: () => _rerenderOpenStatblocks()
+    });
+
+    // AC inference: attack rolls against a hidden AC give players a range such as "AC 14–17"
+    game.settings.register(MODULE_ID, "dnd5e-inferAcFromAttacks", {
+        name: "Infer AC from Attacks",
+        hint: "When enabled, hits and misses of attack rolls against a creature with a hidden AC narrow down the range players see in its place (e.g. 14–17). The AC is revealed once only one value is left. Natural 20s and 1s are ignored.",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    // Knowledge checks: skill and DC per creature type
+    game.settings.registerMenu(MODULE_ID, "dnd5e-knowledgeChecksMenu", {
+        name: "Knowledge Checks",
+        label: "Configure Knowledge Checks",
+        hint: "Set the skill and DC players roll from the statblock window to recall knowledge about each creature type.",
+        icon: "fas fa-brain",
+        type: KnowledgeCheckConfigApp,
+        restricted: true // GM only
+    });
+
+    game.settings.register(MODULE_ID, "dnd5e-knowledgeChecks", {
+        scope: "world",
+        config: false,
+        type: Object,
+        default: DEFAULT_KNOWLEDGE_CHECKS
+    });
+
+    game.settings.register(MODULE_ID, "dnd5e-knowledgeRevealStep", {
+        scope: "world",
+        config: false,
+        type: Number,
+        default: 5
+    });
+
+    game.settings.register(MODULE_ID, "dnd5e-knowledgeRevealOrder", {
+        name: "Knowledge Check Reveal Order",
+        hint: "Which hidden elements a successful knowledge check reveals first. 'Priority': creature type and name, then defenses, features, CR, AC, HP, abilities, movement and size. 'Random': any hidden element.",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: {
+            "priority": "Priority Order",
+            "random": "Random"
+        },
+        default: "priority"
+    });
+
     console.log(`${MODULE_ID} | DnD5e settings registration complete.`);
+}
+
+/**
+ * Re-renders the open statblock windows, e.g. after a display setting changed.
+ * @private
+ */
+function _rerenderOpenStatblocks() {
+    Object.values(ui.windows).forEach(app => {
+        if (app.constructor.name === 'InspectStatblockApp') app.render(true);
+    });
 } 
\ No newline at end of file
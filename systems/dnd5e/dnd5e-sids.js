@@ -16,21 +16,40 @@
 
 /**
  * @typedef {Object} SIDS_DND5E.ACObject
- * @property {string|number} value
+ * @property {string|number} value - The AC, a placeholder, or for players the range inferred from attacks (e.g. "14–17").
  * @property {string} elementKey
  * @property {boolean} [isHiddenGM]
+ * @property {boolean} [isInferred] - Whether `value` is an inferred range.
+ * @property {string|null} [tooltip] - Players: where the range comes from. GMs: the range players inferred.
  */
 
 /**
  * @typedef {Object} SIDS_DND5E.HealthObject
  * @property {string|number} current
- * @property {string|number} max
- * @property {string|number} temp
- * @property {string|number} tempMax
+ * @property {string|number} max - The effective maximum (with the temporary modifier applied).
+ * @property {string|number|null} temp - Temporary HP, a placeholder when hidden, null when there is none to show.
+ * @property {number|null} tempMax - Temporary max-HP modifier, null when there is none or it is hidden.
  * @property {string} elementKey
  * @property {boolean} [isHiddenGM]
+ * @property {boolean} [isPartial] - True when the player sees `descriptor` (e.g. "Bloodied") instead of the numbers.
+ * @property {string} [descriptor]
  * @property {boolean} [increasedMax]
  * @property {boolean} [decreasedMax]
+ * @property {string} [tempElementKey] - Visibility key of the temporary HP ("hp-temp").
+ * @property {boolean} [tempIsHiddenGM]
+ * @property {string} [maxModifierElementKey] - Visibility key of the max-HP modifier ("hp-max-modifier").
+ * @property {boolean} [maxModifierIsHiddenGM]
+ * @property {SIDS_DND5E.HealthBar} [bar]
+ */
+
+/**
+ * Segment widths of the HP bar, in percent of the bar.
+ * @typedef {Object} SIDS_DND5E.HealthBar
+ * @property {number} value - Current HP.
+ * @property {number} temp - Temporary HP, drawn after the current HP.
+ * @property {number} reducedStart - Where the part lost to a decreased maximum starts.
+ * @property {number} reduced - The part lost to a decreased maximum.
+ * @property {number|null} normalMax - Position of the normal maximum when the maximum is increased.
  */
 
 /**